@@ -0,0 +1,10 @@
+// Most personal access tokens one user may hold
+const MAX_ACCESS_TOKENS = parseInt(process.env.MAX_ACCESS_TOKENS || '20', 10);
+
+// lastUsedAt is written at most this often per token, not on every request
+const ACCESS_TOKEN_TOUCH_SECONDS = parseInt(process.env.ACCESS_TOKEN_TOUCH_SECONDS || '60', 10);
+
+module.exports = {
+  MAX_ACCESS_TOKENS,
+  ACCESS_TOKEN_TOUCH_SECONDS,
+};
@@ -0,0 +1,10 @@
+// Most documents one bulk action may touch
+const BULK_MAX_DOCUMENTS = parseInt(process.env.BULK_MAX_DOCUMENTS || '500', 10);
+
+// Largest total size of the files in one bulk ZIP download (built in memory)
+const BULK_ZIP_MAX_BYTES = parseInt(process.env.BULK_ZIP_MAX_BYTES || String(200 * 1024 * 1024), 10);
+
+module.exports = {
+  BULK_MAX_DOCUMENTS,
+  BULK_ZIP_MAX_BYTES,
+};
@@ -0,0 +1,10 @@
+// Currency assumed for documents that record a cost without one
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Longest renewal forecast, in months
+const MAX_FORECAST_MONTHS = parseInt(process.env.MAX_FORECAST_MONTHS || '36', 10);
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  MAX_FORECAST_MONTHS,
+};
@@ -0,0 +1,37 @@
+// Master keys that wrap the per-file data keys, as comma-separated
+// "id:base64key" pairs of 32-byte keys, e.g. "2024-06:q3v...=,2023-01:Zk1...=".
+// New files use ENCRYPTION_KEY_ID (default: the first key); older keys stay
+// listed until `npm run encrypt-files` has re-wrapped everything under them.
+// Leave ENCRYPTION_KEYS empty to store files unencrypted.
+const parseKeys = (value) => {
+  const keys = new Map();
+  String(value)
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const separator = pair.indexOf(':');
+      const id = pair.slice(0, separator);
+      const key = Buffer.from(pair.slice(separator + 1), 'base64');
+      if (separator < 1 || key.length !== 32) {
+        throw new Error(`ENCRYPTION_KEYS entry "${id || pair}" must be id:<32-byte base64 key>`);
+      }
+      keys.set(id, key);
+    });
+  return keys;
+};
+
+const ENCRYPTION_KEYS = parseKeys(process.env.ENCRYPTION_KEYS || '');
+const ENCRYPTION_KEY_ID = process.env.ENCRYPTION_KEY_ID || ENCRYPTION_KEYS.keys().next().value || null;
+
+if (ENCRYPTION_KEY_ID && !ENCRYPTION_KEYS.has(ENCRYPTION_KEY_ID)) {
+  throw new Error(`ENCRYPTION_KEY_ID "${ENCRYPTION_KEY_ID}" is not in ENCRYPTION_KEYS`);
+}
+
+module.exports = {
+  ENCRYPTION_KEYS,
+  ENCRYPTION_KEY_ID,
+  // Plaintext bytes per authenticated segment of an encrypted file
+  ENCRYPTION_SEGMENT_SIZE: parseInt(process.env.ENCRYPTION_SEGMENT_SIZE || String(64 * 1024), 10),
+  parseKeys,
+};
@@ -0,0 +1,8 @@
+// Notifications older than this are removed by a TTL index
+const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '90', 10);
+
+module.exports = {
+  NOTIFICATION_RETENTION_DAYS,
+  // Comment line sent on idle streams so proxies don't close them
+  NOTIFICATION_HEARTBEAT_MS: parseInt(process.env.NOTIFICATION_HEARTBEAT_MS || '25000', 10),
+};
@@ -0,0 +1,15 @@
+// Days before expiryDate at which owners are reminded, unless they set their own
+const parseLeadTimes = (value) => {
+  return String(value)
+    .split(',')
+    .map((n) => parseInt(n, 10))
+    .filter((n) => Number.isInteger(n) && n >= 0);
+};
+
+const DEFAULT_LEAD_TIMES = parseLeadTimes(process.env.REMINDER_LEAD_TIMES || '90,60,30,7,1');
+
+module.exports = {
+  DEFAULT_LEAD_TIMES,
+  REMINDER_CRON: process.env.REMINDER_CRON || '0 8 * * *',
+  parseLeadTimes,
+};
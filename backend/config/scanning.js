@@ -0,0 +1,14 @@
+// Malware scanner uploads go through: 'none' to skip scanning, or 'clamav'
+// (clamd over its local socket, or TCP when CLAMAV_HOST is set)
+module.exports = {
+  SCANNER: process.env.SCANNER || 'none',
+  CLAMAV: {
+    socket: process.env.CLAMAV_SOCKET || '/var/run/clamav/clamd.ctl',
+    host: process.env.CLAMAV_HOST,
+    port: parseInt(process.env.CLAMAV_PORT || '3310', 10),
+    timeout: parseInt(process.env.CLAMAV_TIMEOUT || '60000', 10),
+  },
+  // Failed or interrupted scans are retried on this schedule, up to SCAN_MAX_ATTEMPTS times
+  SCAN_RETRY_CRON: process.env.SCAN_RETRY_CRON || '*/10 * * * *',
+  SCAN_MAX_ATTEMPTS: parseInt(process.env.SCAN_MAX_ATTEMPTS || '5', 10),
+};
@@ -0,0 +1,28 @@
+// Lifetime of the access token (JWT) sent with each API request; the
+// browser refreshes it silently, so it can be short
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// A session ends after this many days without a refresh
+const SESSION_IDLE_DAYS = parseInt(process.env.SESSION_IDLE_DAYS || '30', 10);
+
+// A refresh token that was just rotated is still accepted for this long, so
+// two tabs refreshing at the same moment don't look like a stolen token
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS || '30', 10);
+
+// lastUsedAt is written at most this often per session, not on every request
+const SESSION_TOUCH_SECONDS = parseInt(process.env.SESSION_TOUCH_SECONDS || '60', 10);
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  SESSION_IDLE_DAYS,
+  REFRESH_REUSE_GRACE_SECONDS,
+  SESSION_TOUCH_SECONDS,
+  REFRESH_COOKIE_NAME: process.env.REFRESH_COOKIE_NAME || 'refreshToken',
+  // The cookie is only sent to the session endpoints, never with other requests
+  REFRESH_COOKIE_PATH: process.env.REFRESH_COOKIE_PATH || '/api/sessions',
+  // 'none' (with HTTPS) when the frontend is served from another site
+  REFRESH_COOKIE_SAMESITE: process.env.REFRESH_COOKIE_SAMESITE || 'strict',
+  REFRESH_COOKIE_SECURE: process.env.REFRESH_COOKIE_SECURE
+    ? process.env.REFRESH_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+};
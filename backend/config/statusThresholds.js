@@ -0,0 +1,62 @@
+// How many days before expiryDate a document counts as "Expiring Soon".
+// Per-type windows can be overridden with EXPIRING_SOON_DAYS, e.g. {"Permit":21},
+// and are superseded by the window an admin sets on the DocumentType.
+const DEFAULT_EXPIRING_SOON_DAYS = parseInt(process.env.DEFAULT_EXPIRING_SOON_DAYS || '30', 10);
+
+// A malformed EXPIRING_SOON_DAYS is reported and ignored rather than keeping
+// the server from starting; entries that aren't whole days are dropped
+const parseOverrides = (value) => {
+  if (!value) return {};
+
+  let overrides;
+  try {
+    overrides = JSON.parse(value);
+  } catch (error) {
+    console.error(`EXPIRING_SOON_DAYS is not valid JSON (${error.message}); using the default windows`);
+    return {};
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    console.error('EXPIRING_SOON_DAYS must be a JSON object such as {"Permit":21}; using the default windows');
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(overrides).filter(([documentType, days]) => {
+    if (Number.isInteger(days) && days >= 0) return true;
+    console.error(`EXPIRING_SOON_DAYS.${documentType} must be a whole number of days; using the default`);
+    return false;
+  }));
+};
+
+const EXPIRING_SOON_DAYS = {
+  Contract: 30,
+  License: 30,
+  Certificate: 30,
+  Insurance: 60,
+  Lease: 90,
+  Permit: 14,
+  Other: DEFAULT_EXPIRING_SOON_DAYS,
+  ...parseOverrides(process.env.EXPIRING_SOON_DAYS),
+};
+
+// Windows configured on DocumentType records, kept in sync by that model
+const typeWindows = new Map();
+
+const setExpiringSoonDays = (documentType, days) => {
+  if (days === undefined || days === null) {
+    typeWindows.delete(documentType);
+  } else {
+    typeWindows.set(documentType, days);
+  }
+};
+
+const getExpiringSoonDays = (documentType) => {
+  return typeWindows.get(documentType) ?? EXPIRING_SOON_DAYS[documentType] ?? DEFAULT_EXPIRING_SOON_DAYS;
+};
+
+module.exports = {
+  DEFAULT_EXPIRING_SOON_DAYS,
+  EXPIRING_SOON_DAYS,
+  getExpiringSoonDays,
+  setExpiringSoonDays,
+  STATUS_CRON: process.env.STATUS_CRON || '5 0 * * *',
+};
@@ -0,0 +1,21 @@
+// Where uploaded files are kept: 'local' (disk under UPLOAD_DIR) or 's3'
+// (any S3-compatible store, e.g. AWS S3 or MinIO via S3_ENDPOINT)
+module.exports = {
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
+  S3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    // MinIO and most self-hosted stores need path-style bucket URLs
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: process.env.S3_PREFIX || 'documents/',
+  },
+  // Lifetime of presigned download URLs, in seconds
+  PRESIGNED_URL_EXPIRES: parseInt(process.env.PRESIGNED_URL_EXPIRES || '300', 10),
+  // Lifetime of in-browser preview links, in seconds. PDF viewers keep
+  // fetching pages while the document is open, so this is longer.
+  PREVIEW_URL_EXPIRES: parseInt(process.env.PREVIEW_URL_EXPIRES || '1800', 10),
+};
@@ -0,0 +1,7 @@
+// How long deleted documents stay in the trash before the purge job removes them
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_PURGE_CRON: process.env.TRASH_PURGE_CRON || '30 3 * * *',
+};
@@ -0,0 +1,9 @@
+// Delivery settings for outbound webhooks. A failed delivery is retried after
+// WEBHOOK_RETRY_BASE_SECONDS, then twice as long each time, up to
+// WEBHOOK_MAX_ATTEMPTS attempts in total.
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+  WEBHOOK_RETRY_BASE_SECONDS: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30', 10),
+  WEBHOOK_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT || '10000', 10),
+  WEBHOOK_RETRY_CRON: process.env.WEBHOOK_RETRY_CRON || '* * * * *',
+};
@@ -0,0 +1,134 @@
+const cron = require('node-cron');
+const Document = require('../models/Document');
+const ReminderLog = require('../models/ReminderLog');
+const ReminderPreference = require('../models/ReminderPreference');
+const sendEmail = require('../utils/sendEmail');
+const { notify } = require('../utils/notifications');
+const { startOfDay, addDays, daysUntil } = require('../utils/dates');
+const { DEFAULT_LEAD_TIMES, REMINDER_CRON } = require('../config/reminders');
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+};
+
+// The reminder due now is the smallest lead time that has been reached, so a
+// document added 20 days before expiry gets its 30-day reminder once, not three
+const dueLeadTime = (leadTimes, daysLeft) => {
+  const reached = leadTimes.filter((lead) => lead >= daysLeft);
+  return reached.length ? Math.min(...reached) : null;
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Titles, names and numbers are user input and must not become markup
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+const expiresIn = (daysLeft) => (daysLeft === 0 ? 'today' : `in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`);
+
+const buildEmail = (document, owner, daysLeft) => {
+  const when = expiresIn(daysLeft);
+  const subject = `Reminder: "${document.title}" expires ${when}`;
+  const link = process.env.CLIENT_URL ? `${process.env.CLIENT_URL}/dashboard` : null;
+  const lines = [
+    `Hi ${owner.name || ''},`.trim(),
+    '',
+    `Your ${document.documentType} "${document.title}" expires ${when} (${formatDate(document.expiryDate)}).`,
+    document.documentNumber ? `Document number: ${document.documentNumber}` : null,
+    link ? `View it at ${link}` : null,
+  ].filter((line) => line !== null);
+
+  return {
+    to: owner.email,
+    subject,
+    text: lines.join('\n'),
+    html: lines.map((line) => `<p>${escapeHtml(line)}</p>`).join(''),
+  };
+};
+
+const runExpiryReminders = async (now = new Date()) => {
+  const today = startOfDay(now);
+  const preferences = await ReminderPreference.find();
+  const prefsByUser = new Map(preferences.map((pref) => [String(pref.user), pref]));
+  const longestLead = Math.max(
+    ...DEFAULT_LEAD_TIMES,
+    ...preferences.flatMap((pref) => pref.leadTimes),
+    0
+  );
+
+  const documents = await Document.find({
+    status: { $ne: 'Renewed' },
+    expiryDate: { $gte: today, $lt: addDays(today, longestLead + 1) },
+  }).populate('uploadedBy', 'name email');
+
+  const result = { checked: documents.length, notified: 0, sent: 0, failed: 0 };
+
+  for (const document of documents) {
+    const owner = document.uploadedBy;
+    if (!owner || !owner.email) continue;
+
+    const pref = prefsByUser.get(String(owner._id));
+    if (pref && !pref.enabled) continue;
+
+    const daysLeft = daysUntil(document.expiryDate, today);
+    const leadTime = dueLeadTime(pref ? pref.leadTimes : DEFAULT_LEAD_TIMES, daysLeft);
+    if (leadTime === null) continue;
+
+    // The key makes this once per lead time, even when the email below is retried
+    result.notified += await notify([owner._id], {
+      type: 'document.expiring',
+      title: `"${document.title}" expires ${expiresIn(daysLeft)}`,
+      message: `${document.documentType} expiring on ${formatDate(document.expiryDate)}`,
+      document,
+      key: `expiring:${document._id}:${leadTime}:${document.expiryDate.toISOString()}`,
+    });
+
+    // Claim the reminder first; the unique index stops it being sent twice
+    let log;
+    try {
+      log = await ReminderLog.create({
+        document: document._id,
+        user: owner._id,
+        leadTime,
+        expiryDate: document.expiryDate,
+      });
+    } catch (error) {
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    try {
+      await sendEmail(buildEmail(document, owner, daysLeft));
+      result.sent += 1;
+    } catch (error) {
+      // Release the claim so the next run retries
+      await log.deleteOne();
+      result.failed += 1;
+      console.error(`Expiry reminder for document ${document._id} failed: ${error.message}`);
+    }
+  }
+
+  return result;
+};
+
+const scheduleExpiryReminders = () => {
+  return cron.schedule(REMINDER_CRON, async () => {
+    try {
+      const result = await runExpiryReminders();
+      console.log(`Expiry reminders: ${result.sent} sent, ${result.failed} failed, ${result.notified} notified`);
+    } catch (error) {
+      console.error(`Expiry reminder job failed: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  runExpiryReminders,
+  scheduleExpiryReminders,
+  dueLeadTime,
+  buildEmail,
+};
@@ -0,0 +1,22 @@
+const cron = require('node-cron');
+const { runPendingScans } = require('../scanning');
+const { SCAN_RETRY_CRON } = require('../config/scanning');
+
+const scheduleFileScanRetries = () => {
+  return cron.schedule(SCAN_RETRY_CRON, async () => {
+    try {
+      const result = await runPendingScans();
+      const total = result.clean + result.infected + result.failed;
+      if (total) {
+        console.log(`Scan retries: ${result.clean} clean, ${result.infected} infected, ${result.failed} failed`);
+      }
+    } catch (error) {
+      console.error(`Scan retry job failed: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  runPendingScans,
+  scheduleFileScanRetries,
+};
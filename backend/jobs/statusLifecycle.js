@@ -0,0 +1,104 @@
+const cron = require('node-cron');
+const Document = require('../models/Document');
+const DocumentType = require('../models/DocumentType');
+const { startOfDay, addDays } = require('../utils/dates');
+const { getExpiringSoonDays, STATUS_CRON } = require('../config/statusThresholds');
+const { emitStatusChange } = require('../utils/webhooks');
+const { notify, documentAudience, announceDocumentChange } = require('../utils/notifications');
+
+// Set `status` on every document matching filter; resolves to the documents
+// that changed, as they were before the update
+const transition = async (filter, status) => {
+  const documents = await Document.find(filter);
+  if (documents.length) {
+    await Document.updateMany({ _id: { $in: documents.map((doc) => doc._id) } }, { $set: { status } });
+  }
+  return documents;
+};
+
+// Announce documents that have just changed status
+const announce = async (documents, status) => {
+  for (const document of documents) {
+    const previousStatus = document.status;
+    document.status = status;
+    await emitStatusChange(document, previousStatus);
+    if (status === 'Expired') {
+      await notify(await documentAudience(document), {
+        type: 'document.expired',
+        title: `"${document.title}" has expired`,
+        message: `${document.documentType} expired; renew it to keep it current`,
+        document,
+        key: `expired:${document._id}:${document.expiryDate.toISOString()}`,
+      });
+    }
+    await announceDocumentChange(document);
+  }
+};
+
+// Bring every document's status in line with its expiryDate
+const runStatusRecalculation = async (now = new Date()) => {
+  const today = startOfDay(now);
+  const result = { expired: 0, expiringSoon: 0, active: 0 };
+
+  await DocumentType.syncThresholds();
+
+  const expired = await transition(
+    { status: { $nin: ['Renewed', 'Expired'] }, expiryDate: { $lt: today } },
+    'Expired'
+  );
+  result.expired = expired.length;
+  await announce(expired, 'Expired');
+
+  const documentTypes = await Document.distinct('documentType', { status: { $ne: 'Renewed' } });
+
+  for (const documentType of documentTypes) {
+    const soonUntil = addDays(today, getExpiringSoonDays(documentType) + 1);
+
+    const expiringSoon = await transition(
+      {
+        documentType,
+        status: { $nin: ['Renewed', 'Expiring Soon'] },
+        expiryDate: { $gte: today, $lt: soonUntil },
+      },
+      'Expiring Soon'
+    );
+    result.expiringSoon += expiringSoon.length;
+    await announce(expiringSoon, 'Expiring Soon');
+
+    const active = await transition(
+      {
+        documentType,
+        status: { $nin: ['Renewed', 'Active'] },
+        expiryDate: { $gte: soonUntil },
+      },
+      'Active'
+    );
+    result.active += active.length;
+    await announce(active, 'Active');
+  }
+
+  return result;
+};
+
+const scheduleStatusRecalculation = () => {
+  // Load the admin-set windows now rather than at the first nightly run
+  DocumentType.syncThresholds().catch((error) => {
+    console.error(`Loading expiring soon windows failed: ${error.message}`);
+  });
+
+  return cron.schedule(STATUS_CRON, async () => {
+    try {
+      const result = await runStatusRecalculation();
+      console.log(
+        `Status recalculation: ${result.expired} expired, ${result.expiringSoon} expiring soon, ${result.active} active`
+      );
+    } catch (error) {
+      console.error(`Status recalculation job failed: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  runStatusRecalculation,
+  scheduleStatusRecalculation,
+};
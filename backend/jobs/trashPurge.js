@@ -0,0 +1,49 @@
+const cron = require('node-cron');
+const TrashedDocument = require('../models/TrashedDocument');
+const { purgeTrashed } = require('../utils/trash');
+const { recordAudit } = require('../utils/auditLog');
+const { TRASH_PURGE_CRON } = require('../config/trash');
+
+// Permanently remove trashed documents whose retention period is over,
+// skipping anything under legal hold
+const runTrashPurge = async (now = new Date()) => {
+  const result = { purged: 0, failed: 0 };
+
+  const due = await TrashedDocument.find({
+    purgeAt: { $lte: now },
+    'legalHold.active': { $ne: true },
+  });
+
+  for (const trashed of due) {
+    try {
+      await purgeTrashed(trashed);
+      await recordAudit(null, {
+        action: 'document.purge',
+        document: { _id: trashed.documentId, title: trashed.title },
+        metadata: { reason: 'retention' },
+      });
+      result.purged += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Purging trashed document ${trashed.documentId} failed: ${error.message}`);
+    }
+  }
+
+  return result;
+};
+
+const scheduleTrashPurge = () => {
+  return cron.schedule(TRASH_PURGE_CRON, async () => {
+    try {
+      const result = await runTrashPurge();
+      console.log(`Trash purge: ${result.purged} purged, ${result.failed} failed`);
+    } catch (error) {
+      console.error(`Trash purge job failed: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  runTrashPurge,
+  scheduleTrashPurge,
+};
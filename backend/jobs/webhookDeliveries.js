@@ -0,0 +1,23 @@
+const cron = require('node-cron');
+const { runWebhookRetries } = require('../utils/webhooks');
+const { WEBHOOK_RETRY_CRON } = require('../config/webhooks');
+
+const scheduleWebhookRetries = () => {
+  return cron.schedule(WEBHOOK_RETRY_CRON, async () => {
+    try {
+      const result = await runWebhookRetries();
+      if (result.delivered + result.pending + result.failed) {
+        console.log(
+          `Webhook retries: ${result.delivered} delivered, ${result.pending} still pending, ${result.failed} failed`
+        );
+      }
+    } catch (error) {
+      console.error(`Webhook retry job failed: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  runWebhookRetries,
+  scheduleWebhookRetries,
+};
@@ -0,0 +1,86 @@
+const AccessToken = require('../models/AccessToken');
+const { ACCESS_TOKEN_TOUCH_SECONDS } = require('../config/accessTokens');
+
+const READ_METHODS = ['GET', 'HEAD'];
+
+// The scope a personal access token needs for each API area (by router
+// mount path) to read and to change things. `readPosts` lists POST routes
+// that only read. Everything else, including managing tokens and accounts,
+// is only reachable by logging in.
+const SCOPE_RULES = {
+  '/api/documents': { read: 'documents:read', write: 'documents:write', readPosts: ['/bulk/download'] },
+  '/api/document-types': { read: 'documents:read' },
+  '/api/calendar': { read: 'documents:read' },
+  '/api/analytics': { read: 'analytics:read' },
+  '/api/costs': { read: 'analytics:read' },
+};
+
+const requiredScope = (req) => {
+  const rule = SCOPE_RULES[req.baseUrl];
+  if (!rule) return null;
+  const reads = READ_METHODS.includes(req.method)
+    || (req.method === 'POST' && (rule.readPosts || []).includes(req.path));
+  return reads ? rule.read : rule.write || null;
+};
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Wrap the JWT `protect` middleware so "Authorization: Bearer pat_..."
+// authenticates too, on the routes the token's scopes cover. The token is
+// available as req.accessToken; JWT requests are passed to `protect` as is.
+const acceptAccessTokens = (protect) => async (req, res, next) => {
+  const token = bearerToken(req);
+  if (!AccessToken.isAccessToken(token)) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const accessToken = await AccessToken.findOne({ tokenHash: AccessToken.hashToken(token) })
+      .populate('user', '-password');
+
+    if (!accessToken || !accessToken.user || accessToken.isExpired()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token is invalid, expired or revoked',
+      });
+    }
+
+    const scope = requiredScope(req);
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access tokens cannot be used for this endpoint',
+      });
+    }
+    if (!accessToken.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `This access token needs the ${scope} scope`,
+      });
+    }
+
+    const now = new Date();
+    if (!accessToken.lastUsedAt || now - accessToken.lastUsedAt > ACCESS_TOKEN_TOUCH_SECONDS * 1000) {
+      await AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: now, lastUsedIp: req.ip });
+    }
+
+    req.user = accessToken.user;
+    req.accessToken = accessToken;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error checking access token',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  SCOPE_RULES,
+  bearerToken,
+  acceptAccessTokens,
+};
@@ -0,0 +1,22 @@
+const { acceptAccessTokens } = require('./accessTokens');
+const { protectSession } = require('./sessions');
+
+// Authenticate a request by a session's access token or, on the API areas
+// its scopes cover, by a personal access token. Sets req.user.
+const protect = acceptAccessTokens(protectSession);
+
+// Let only users with one of `roles` through. Use after protect.
+const authorize = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: `User role ${req.user.role} is not authorized to access this route`,
+    });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  authorize,
+};
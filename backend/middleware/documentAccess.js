@@ -0,0 +1,48 @@
+const Document = require('../models/Document');
+const { hasAccess, getDocumentAccess } = require('../utils/documentAccess');
+
+// Load req.params.id into req.document and require at least `level` access
+// ('viewer', 'editor' or 'owner'). The user's access is set on req.documentAccess.
+const checkDocumentAccess = (level) => async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    const access = await getDocumentAccess(req.user, document);
+
+    // Don't reveal that documents the user can't see exist
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found',
+      });
+    }
+
+    if (!hasAccess(access, level)) {
+      return res.status(403).json({
+        success: false,
+        message: `You need ${level} access to do this`,
+      });
+    }
+
+    req.document = document;
+    req.documentAccess = access;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error checking document access',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  checkDocumentAccess,
+};
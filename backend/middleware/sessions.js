@@ -0,0 +1,50 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { bearerToken } = require('./accessTokens');
+const { verifyAccessToken } = require('../utils/sessions');
+const { SESSION_TOUCH_SECONDS } = require('../config/sessions');
+
+// Authenticate "Authorization: Bearer <access token>". Besides the JWT
+// signature, the token's session must still exist, so a revoked session is
+// locked out on its next request rather than when its token expires. The
+// session id is available as req.sessionId.
+const protectSession = async (req, res, next) => {
+  const payload = verifyAccessToken(bearerToken(req));
+  if (!payload) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, token missing or expired',
+    });
+  }
+
+  try {
+    const session = await Session.findOne({ _id: payload.sid, user: payload.id });
+    const user = session && !session.isExpired() && await User.findById(payload.id).select('-password');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has ended. Please sign in again.',
+      });
+    }
+
+    const now = new Date();
+    if (now - session.lastUsedAt > SESSION_TOUCH_SECONDS * 1000) {
+      await Session.updateOne({ _id: session._id }, { lastUsedAt: now, ip: req.ip });
+    }
+
+    req.user = user;
+    req.sessionId = session._id;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error checking session',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  protectSession,
+};
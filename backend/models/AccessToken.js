@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ACCESS_TOKEN_SCOPES = ['documents:read', 'documents:write', 'analytics:read'];
+
+// Recognisable prefix, so tokens are told apart from JWTs and easy to spot
+// if leaked
+const TOKEN_PREFIX = 'pat_';
+
+// A named, revocable token a user creates for scripts and integrations. Only
+// a hash is stored; the token itself is shown once when created.
+const accessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // First characters of the token, to tell tokens apart in the list
+  tokenHint: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{ type: String, enum: ACCESS_TOKEN_SCOPES }],
+    validate: [(scopes) => scopes.length > 0, 'Choose at least one scope'],
+  },
+  // No expiry when unset
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    },
+  },
+});
+
+accessTokenSchema.index({ user: 1, name: 1 }, { unique: true });
+
+accessTokenSchema.statics.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+accessTokenSchema.statics.generateToken = () => `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+accessTokenSchema.statics.isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+accessTokenSchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+AccessToken.SCOPES = ACCESS_TOKEN_SCOPES;
+
+module.exports = AccessToken;
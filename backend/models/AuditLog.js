@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Append-only record of document activity. Entries can be created and read,
+// never changed or removed.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Snapshots so entries stay readable after users or documents are deleted
+  actorName: String,
+  actorEmail: String,
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+  },
+  documentTitle: String,
+  ip: String,
+  userAgent: String,
+  // Field-level diff for updates: [{ field, from, to }]
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  }],
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+}, {
+  versionKey: false,
+});
+
+auditLogSchema.index({ document: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const rejectChange = function () {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified or deleted'));
+  }
+  next();
+});
+
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove',
+].forEach((operation) => auditLogSchema.pre(operation, rejectChange));
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A user's secret iCalendar subscription. Only a hash of the token is stored,
+// so the feed URL is shown once when created and rotating it revokes the old one.
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  lastAccessedAt: Date,
+}, {
+  timestamps: true,
+});
+
+calendarFeedSchema.statics.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+calendarFeedSchema.statics.generateToken = () => crypto.randomBytes(32).toString('hex');
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../config/costs');
+
+const STATUSES = ['Active', 'Expiring Soon', 'Expired', 'Renewed'];
+
+const documentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide a document title'],
+    trim: true,
+  },
+  // Name of a DocumentType; no enum since admins manage the list
+  documentType: {
+    type: String,
+    required: [true, 'Please provide a document type'],
+    trim: true,
+  },
+  documentNumber: {
+    type: String,
+    trim: true,
+  },
+  issueDate: {
+    type: Date,
+    required: [true, 'Please provide an issue date'],
+  },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Please provide an expiry date'],
+  },
+  issuer: {
+    type: String,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Derived from expiryDate (utils/documentStatus), except "Renewed"
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'Active',
+  },
+  // Values for the custom fields of the document's type, checked by
+  // utils/customFields before they are stored
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  cost: {
+    type: Number,
+    min: 0,
+  },
+  renewalCost: {
+    type: Number,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: DEFAULT_CURRENCY,
+  },
+  // Storage reference of the current file (see storage/index.js)
+  filePath: String,
+  fileName: String,
+  fileSize: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+documentSchema.index({ uploadedBy: 1, expiryDate: 1 });
+documentSchema.index({ status: 1, expiryDate: 1 });
+
+const Document = mongoose.model('Document', documentSchema);
+Document.STATUSES = STATUSES;
+
+module.exports = Document;
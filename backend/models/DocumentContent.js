@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Text extracted from a document's current file, kept out of the Document
+// itself so list queries never load it
+const documentContentSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    unique: true,
+  },
+  filePath: String,
+  text: {
+    type: String,
+    default: '',
+  },
+  extractedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+documentContentSchema.index({ text: 'text' });
+
+module.exports = mongoose.model('DocumentContent', documentContentSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Links a document to the successor created when it was renewed
+const documentRenewalSchema = new mongoose.Schema({
+  previousDocument: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    unique: true,
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    unique: true,
+  },
+  renewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Ids of every term in a document's renewal chain, oldest first
+documentRenewalSchema.statics.getChainIds = async function (documentId) {
+  const seen = new Set([String(documentId)]);
+  const older = [];
+  const newer = [];
+
+  let link = await this.findOne({ document: documentId });
+  while (link && !seen.has(String(link.previousDocument))) {
+    seen.add(String(link.previousDocument));
+    older.unshift(link.previousDocument);
+    link = await this.findOne({ document: link.previousDocument });
+  }
+
+  link = await this.findOne({ previousDocument: documentId });
+  while (link && !seen.has(String(link.document))) {
+    seen.add(String(link.document));
+    newer.push(link.document);
+    link = await this.findOne({ previousDocument: link.document });
+  }
+
+  return [...older, documentId, ...newer];
+};
+
+module.exports = mongoose.model('DocumentRenewal', documentRenewalSchema);
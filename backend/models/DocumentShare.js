@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Grants a user or a whole team access to a document
+const documentShareSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+  },
+  role: {
+    type: String,
+    enum: ['viewer', 'editor'],
+    default: 'viewer',
+  },
+  sharedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+documentShareSchema.index({ document: 1, user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+documentShareSchema.index({ document: 1, team: 1 }, { unique: true, partialFilterExpression: { team: { $exists: true } } });
+documentShareSchema.index({ user: 1 });
+documentShareSchema.index({ team: 1 });
+
+documentShareSchema.pre('validate', function (next) {
+  if (Boolean(this.user) === Boolean(this.team)) {
+    this.invalidate('user', 'Share with either a user or a team');
+  }
+  next();
+});
+
+module.exports = mongoose.model('DocumentShare', documentShareSchema);
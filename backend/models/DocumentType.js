@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const {
+  EXPIRING_SOON_DAYS,
+  setExpiringSoonDays,
+} = require('../config/statusThresholds');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'boolean'];
+
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Field keys may only contain letters, digits and underscores'],
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: 'text',
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Allowed values for select fields
+  options: [String],
+  // Value range for numbers, length range for text
+  min: Number,
+  max: Number,
+  // Regular expression text values must match
+  pattern: String,
+}, { _id: false });
+
+const documentTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Type name is required'],
+    unique: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  // Overrides the configured "Expiring Soon" window for this type
+  expiringSoonDays: {
+    type: Number,
+    min: 0,
+    max: 365,
+  },
+  fields: [customFieldSchema],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+documentTypeSchema.pre('validate', function (next) {
+  const keys = this.fields.map((field) => field.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('fields', 'Field keys must be unique');
+  }
+
+  this.fields.forEach((field, i) => {
+    if (field.type === 'select' && !field.options.length) {
+      this.invalidate(`fields.${i}.options`, `Select field "${field.label}" needs options`);
+    }
+    if (field.pattern) {
+      try {
+        new RegExp(field.pattern);
+      } catch (error) {
+        this.invalidate(`fields.${i}.pattern`, `Pattern for "${field.label}" is not a valid regular expression`);
+      }
+    }
+  });
+  next();
+});
+
+documentTypeSchema.post('save', (type) => {
+  setExpiringSoonDays(type.name, type.active ? type.expiringSoonDays : null);
+});
+
+documentTypeSchema.post('deleteOne', { document: true, query: false }, (type) => {
+  setExpiringSoonDays(type.name, null);
+});
+
+// The types that used to be hard-coded, created on an empty database at
+// startup or the first time a type is needed
+documentTypeSchema.statics.ensureDefaults = async function () {
+  if (await this.estimatedDocumentCount()) {
+    return;
+  }
+
+  try {
+    await this.insertMany(
+      Object.entries(EXPIRING_SOON_DAYS).map(([name, expiringSoonDays]) => ({ name, expiringSoonDays })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Another request or process seeded them at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Load every type's "Expiring Soon" window into the status calculation
+documentTypeSchema.statics.syncThresholds = async function () {
+  await this.ensureDefaults();
+  const types = await this.find({ active: true }).select('name expiringSoonDays');
+  types.forEach((type) => setExpiringSoonDays(type.name, type.expiringSoonDays));
+};
+
+// Reload one type's window before calculating a document's status, so an
+// admin's change applies even in a process that hasn't synced it yet
+documentTypeSchema.statics.syncThreshold = async function (name) {
+  const type = await this.findOne({ name, active: true }).select('name expiringSoonDays');
+  setExpiringSoonDays(name, type ? type.expiringSoonDays : null);
+};
+
+module.exports = mongoose.model('DocumentType', documentTypeSchema);
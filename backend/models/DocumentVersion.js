@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const documentVersionSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  filePath: {
+    type: String,
+    required: true,
+  },
+  fileName: String,
+  fileSize: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Set when this version was created by restoring an earlier one
+  restoredFrom: Number,
+}, {
+  timestamps: true,
+});
+
+documentVersionSchema.index({ document: 1, version: 1 }, { unique: true });
+
+// Documents uploaded before versioning have no history; record their
+// current file as version 1 before anything replaces it
+documentVersionSchema.statics.ensureInitialVersion = async function (document) {
+  if (!document.filePath || await this.exists({ document: document._id })) {
+    return;
+  }
+
+  await this.create({
+    document: document._id,
+    version: 1,
+    filePath: document.filePath,
+    fileName: document.fileName,
+    fileSize: document.fileSize,
+    uploadedBy: document.uploadedBy,
+    createdAt: document.updatedAt || document.createdAt,
+  });
+};
+
+documentVersionSchema.statics.record = async function (documentId, file, userId, restoredFrom) {
+  const latest = await this.findOne({ document: documentId }).sort('-version');
+
+  return this.create({
+    document: documentId,
+    version: latest ? latest.version + 1 : 1,
+    filePath: file.filePath,
+    fileName: file.fileName,
+    fileSize: file.fileSize,
+    uploadedBy: userId,
+    restoredFrom,
+  });
+};
+
+module.exports = mongoose.model('DocumentVersion', documentVersionSchema);
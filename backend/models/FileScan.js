@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Malware scan result for one stored file. A file with a scan record is
+// quarantined until its status is 'clean'; files stored while no scanner was
+// configured have no record and are served as before.
+const fileScanSchema = new mongoose.Schema({
+  filePath: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'clean', 'infected', 'failed'],
+    default: 'pending',
+  },
+  scanner: String,
+  // Name of the detected malware, when infected
+  signature: String,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  scannedAt: Date,
+}, {
+  timestamps: true,
+});
+
+fileScanSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('FileScan', fileScanSchema);
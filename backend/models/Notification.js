@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_RETENTION_DAYS } = require('../config/notifications');
+
+const NOTIFICATION_TYPES = [
+  'document.expiring',
+  'document.expired',
+  'document.shared',
+  'document.renewed',
+  'document.assigned',
+];
+
+// An in-app notification for one user
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  message: String,
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+  },
+  // Who caused it; empty for scheduled jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Identifies a notification that must only be sent once per user
+  // (e.g. one "expiring in 30 days" per document and expiry date)
+  key: String,
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: Date,
+}, {
+  timestamps: true,
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, key: 1 }, { unique: true, partialFilterExpression: { key: { $exists: true } } });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
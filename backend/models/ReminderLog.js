@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const reminderLogSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  leadTime: {
+    type: Number,
+    required: true,
+  },
+  // The expiry date the reminder was sent for; a changed date gets fresh reminders
+  expiryDate: {
+    type: Date,
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reminderLogSchema.index({ document: 1, leadTime: 1, expiryDate: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReminderLog', reminderLogSchema);
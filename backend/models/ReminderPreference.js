@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { DEFAULT_LEAD_TIMES } = require('../config/reminders');
+
+const reminderPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  leadTimes: {
+    type: [Number],
+    default: () => [...DEFAULT_LEAD_TIMES],
+    validate: {
+      validator: (values) => values.every((n) => Number.isInteger(n) && n >= 0 && n <= 365),
+      message: 'Lead times must be whole days between 0 and 365',
+    },
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('ReminderPreference', reminderPreferenceSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A named set of document list filters and sort order, private to its user
+const savedViewSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: 80,
+  },
+  // The list's query-string filters (see FILTER_KEYS in utils/documentQuery)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  sortBy: String,
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+savedViewSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
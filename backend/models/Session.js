@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// One signed-in device. The browser holds the refresh token in an httpOnly
+// cookie; only its hash is stored, and it is replaced on every refresh.
+// Access tokens carry the session id, so deleting the session signs the
+// device out straight away.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // The token this one replaced, to tell a racing refresh from a replayed
+  // (stolen) token
+  previousTokenHash: {
+    type: String,
+    index: true,
+    select: false,
+  },
+  rotatedAt: Date,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Pushed back on every refresh; expired sessions are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      delete ret.previousTokenHash;
+      return ret;
+    },
+  },
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+sessionSchema.statics.generateToken = () => crypto.randomBytes(32).toString('hex');
+
+sessionSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
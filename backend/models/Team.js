@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    unique: true,
+    trim: true,
+  },
+  kind: {
+    type: String,
+    enum: ['team', 'department'],
+    default: 'team',
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Managers can add and remove members
+    role: {
+      type: String,
+      enum: ['member', 'manager'],
+      default: 'member',
+    },
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+teamSchema.index({ 'members.user': 1 });
+
+teamSchema.methods.isManager = function (userId) {
+  return this.members.some((member) => String(member.user) === String(userId) && member.role === 'manager');
+};
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A deleted document waiting in the trash. The Document record itself is
+// removed and kept here as a snapshot; its files, versions and shares stay
+// in place until the trash entry is purged, so a restore loses nothing.
+const trashedDocumentSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true,
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Copied out of the snapshot for listing and access checks
+  title: String,
+  documentType: String,
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  purgeAt: {
+    type: Date,
+    required: true,
+  },
+  // A legal hold blocks purging, whether scheduled or manual
+  legalHold: {
+    active: {
+      type: Boolean,
+      default: false,
+    },
+    reason: String,
+    placedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    placedAt: Date,
+  },
+});
+
+trashedDocumentSchema.index({ owner: 1, deletedAt: -1 });
+trashedDocumentSchema.index({ purgeAt: 1 });
+
+module.exports = mongoose.model('TrashedDocument', trashedDocumentSchema);
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'document.created',
+  'document.updated',
+  'document.renewed',
+  'document.expiring_soon',
+  'document.expired',
+];
+
+// An endpoint that receives signed document lifecycle events
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+  },
+  // Events to send; empty means all of them
+  events: [{
+    type: String,
+    enum: WEBHOOK_EVENTS,
+  }],
+  // HMAC key for the X-Webhook-Signature header. Shown once when created.
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+webhookSchema.statics.generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+webhookSchema.methods.wants = function (event) {
+  return this.active && (this.events.length === 0 || this.events.includes(event));
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
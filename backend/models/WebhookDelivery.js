@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One event sent (or being sent) to one webhook
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // pending until delivered, failed once every attempt is used up
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  responseStatus: Number,
+  lastError: String,
+  deliveredAt: Date,
+  // Set on deliveries created with the replay button
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+  },
+}, {
+  timestamps: true,
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
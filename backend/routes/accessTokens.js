@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const AccessToken = require('../models/AccessToken');
+const { protect } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
+const { MAX_ACCESS_TOKENS } = require('../config/accessTokens');
+
+// @route   GET /api/access-tokens
+// @desc    Current user's personal access tokens (never the tokens themselves)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ user: req.user._id }).sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      scopes: AccessToken.SCOPES,
+      tokens,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching access tokens',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/access-tokens
+// @desc    Create a token with the given scopes and optional expiry date;
+//          the token is only returned here
+// @access  Private
+router.post('/', protect, [
+  body('name').trim().notEmpty().withMessage('Token name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('Choose at least one scope'),
+  body('scopes.*').isIn(AccessToken.SCOPES).withMessage(`Scopes must be from: ${AccessToken.SCOPES.join(', ')}`),
+  body('expiresAt').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry must be a valid date')
+    .custom((value) => new Date(value) > new Date()).withMessage('Expiry must be in the future'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (await AccessToken.countDocuments({ user: req.user._id }) >= MAX_ACCESS_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACCESS_TOKENS} access tokens; revoke one first`,
+      });
+    }
+
+    const token = AccessToken.generateToken();
+    const accessToken = await AccessToken.create({
+      user: req.user._id,
+      name: req.body.name,
+      tokenHash: AccessToken.hashToken(token),
+      tokenHint: token.slice(0, 10),
+      scopes: [...new Set(req.body.scopes)],
+      expiresAt: req.body.expiresAt || undefined,
+    });
+    await recordAudit(req, {
+      action: 'access_token.create',
+      metadata: { name: accessToken.name, scopes: accessToken.scopes, expiresAt: accessToken.expiresAt },
+    });
+
+    res.status(201).json({
+      success: true,
+      accessToken,
+      token,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a token with that name',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error creating access token',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/access-tokens/:id
+// @desc    Revoke one of the current user's tokens
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found',
+      });
+    }
+    await recordAudit(req, {
+      action: 'access_token.revoke',
+      metadata: { name: accessToken.name },
+    });
+
+    res.json({
+      success: true,
+      message: 'Access token revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking access token',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { query: queryParam, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize } = require('../middleware/auth');
+const { csvField } = require('../utils/documentExport');
+
+const buildAuditQuery = ({ actor, action, document, from, to }) => {
+  const query = {};
+
+  if (actor) {
+    query.actor = mongoose.isValidObjectId(actor) ? actor : null;
+  }
+  if (action) {
+    query.action = action;
+  }
+  if (document) {
+    query.document = mongoose.isValidObjectId(document) ? document : null;
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) {
+      // Include the whole "to" day
+      const end = new Date(to);
+      end.setUTCHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  return query;
+};
+
+// One date per parameter; anything else would reach Mongo as an Invalid Date
+const dateParam = (name) => queryParam(name).optional({ values: 'falsy' })
+  .isString().withMessage(`${name} must be a valid date`).bail()
+  .isISO8601().withMessage(`${name} must be a valid date`);
+
+// Shared by the search and the export
+const auditQueryRules = [dateParam('from'), dateParam('to')];
+
+const CSV_COLUMNS = [
+  { header: 'Time', value: (entry) => entry.createdAt.toISOString() },
+  { header: 'Action', value: (entry) => entry.action },
+  { header: 'User', value: (entry) => entry.actorName || '' },
+  { header: 'User Email', value: (entry) => entry.actorEmail || '' },
+  { header: 'Document', value: (entry) => entry.documentTitle || '' },
+  { header: 'Document ID', value: (entry) => (entry.document ? String(entry.document) : '') },
+  { header: 'IP', value: (entry) => entry.ip || '' },
+  { header: 'User Agent', value: (entry) => entry.userAgent || '' },
+  { header: 'Changes', value: (entry) => (entry.changes.length ? JSON.stringify(entry.changes) : '') },
+  { header: 'Details', value: (entry) => (entry.metadata ? JSON.stringify(entry.metadata) : '') },
+];
+
+// @route   GET /api/audit
+// @desc    Search the audit log
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), auditQueryRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const query = buildAuditQuery(req.query);
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(query)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/audit/actions
+// @desc    Distinct actions recorded so far, for filtering
+// @access  Private/Admin
+router.get('/actions', protect, authorize('admin'), async (req, res) => {
+  try {
+    const actions = await AuditLog.distinct('action');
+
+    res.json({
+      success: true,
+      actions: actions.sort(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit actions',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/audit/export
+// @desc    Download the filtered audit log as CSV
+// @access  Private/Admin
+router.get('/export', protect, authorize('admin'), auditQueryRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const cursor = AuditLog.find(buildAuditQuery(req.query)).sort('-createdAt').cursor();
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+
+    res.write('﻿' + CSV_COLUMNS.map((col) => csvField(col.header)).join(',') + '\r\n');
+    for await (const entry of cursor) {
+      const line = CSV_COLUMNS.map((col) => csvField(col.value(entry))).join(',') + '\r\n';
+      if (!res.write(line)) {
+        await new Promise((resolve) => res.once('drain', resolve));
+      }
+    }
+    res.end();
+  } catch (error) {
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting audit log',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const Document = require('../models/Document');
+const CalendarFeed = require('../models/CalendarFeed');
+const ReminderPreference = require('../models/ReminderPreference');
+const { protect } = require('../middleware/auth');
+const { visibilityFilter } = require('../utils/documentAccess');
+const { buildCalendar } = require('../utils/icalendar');
+const { buildDocumentQuery } = require('../utils/documentQuery');
+const { searchDocumentContent } = require('../utils/contentIndex');
+const { BUCKET_SIZES, bucketByExpiry } = require('../utils/expiryBuckets');
+const { startOfDay, addDays, daysUntil } = require('../utils/dates');
+const { DEFAULT_LEAD_TIMES } = require('../config/reminders');
+
+// Limits for GET /api/calendar/expirations
+const MAX_RANGE_DAYS = 731;
+const MAX_DOCUMENTS = 2000;
+
+const feedUrl = (req, token) => {
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${baseUrl}/calendar/feed/${token}.ics`;
+};
+
+const documentUrl = (id) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/documents/${id}`;
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    iCalendar feed of expiry dates (authenticated by the secret token)
+// @access  Public
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({ tokenHash: CalendarFeed.hashToken(req.params.token) })
+      .populate('user', 'name role');
+
+    if (!feed || !feed.user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found',
+      });
+    }
+
+    const visibility = await visibilityFilter(feed.user);
+    const [documents, preferences] = await Promise.all([
+      Document.find({ ...visibility, status: { $ne: 'Renewed' } }).sort('expiryDate'),
+      ReminderPreference.findOne({ user: feed.user._id }),
+    ]);
+    const alarms = preferences && !preferences.enabled
+      ? []
+      : (preferences ? preferences.leadTimes : DEFAULT_LEAD_TIMES);
+
+    const calendar = buildCalendar({
+      name: feed.user.role === 'admin' ? 'Document Expiries (All)' : 'My Document Expiries',
+      events: documents.map((doc) => ({
+        uid: `${doc._id}-expiry@document-expiry-tracker`,
+        date: doc.expiryDate,
+        summary: `${doc.title} expires`,
+        description: [
+          `${doc.documentType}${doc.documentNumber ? ` ${doc.documentNumber}` : ''}`,
+          `Status: ${doc.status}`,
+          documentUrl(doc._id),
+        ].join('\n'),
+        url: documentUrl(doc._id),
+        alarms,
+      })),
+    });
+
+    feed.lastAccessedAt = new Date();
+    await feed.save();
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="expiries.ics"');
+    res.send(calendar);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/calendar/expirations
+// @desc    Documents expiring between from and to (YYYY-MM-DD, inclusive),
+//          grouped into day, week or month buckets. Accepts the document list
+//          filters; Renewed documents are left out unless status asks for them.
+// @access  Private
+router.get('/expirations', protect, async (req, res) => {
+  try {
+    const { from, to, bucket = 'day' } = req.query;
+
+    if (!BUCKET_SIZES.includes(bucket)) {
+      return res.status(400).json({
+        success: false,
+        message: `Bucket must be one of: ${BUCKET_SIZES.join(', ')}`,
+      });
+    }
+    if (Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates',
+      });
+    }
+    const span = daysUntil(to, from);
+    if (span < 0 || span > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `to must be on or after from, and at most ${MAX_RANGE_DAYS} days later`,
+      });
+    }
+
+    const contentMatches = req.query.search ? await searchDocumentContent(req.query.search) : null;
+    const conditions = [
+      await buildDocumentQuery(req.user, req.query, contentMatches),
+      { expiryDate: { $gte: startOfDay(from), $lt: addDays(startOfDay(to), 1) } },
+    ];
+    if (!req.query.status) {
+      conditions.push({ status: { $ne: 'Renewed' } });
+    }
+
+    const documents = await Document.find({ $and: conditions })
+      .select('title documentType documentNumber issuer issueDate expiryDate status fileName uploadedBy')
+      .populate('uploadedBy', 'name')
+      .sort('expiryDate title')
+      .limit(MAX_DOCUMENTS + 1);
+    const truncated = documents.length > MAX_DOCUMENTS;
+    const shown = documents.slice(0, MAX_DOCUMENTS);
+
+    res.json({
+      success: true,
+      from: startOfDay(from),
+      to: startOfDay(to),
+      bucket,
+      total: shown.length,
+      truncated,
+      buckets: bucketByExpiry(shown, from, to, bucket),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expirations',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/calendar/feed
+// @desc    Get the current user's feed subscription status
+// @access  Private
+router.get('/feed', protect, async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({ user: req.user._id }).select('-tokenHash');
+
+    res.json({
+      success: true,
+      feed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Create the feed URL, or rotate it (revoking the previous URL)
+// @access  Private
+router.post('/feed', protect, async (req, res) => {
+  try {
+    const token = CalendarFeed.generateToken();
+
+    await CalendarFeed.findOneAndUpdate(
+      { user: req.user._id },
+      { tokenHash: CalendarFeed.hashToken(token), lastAccessedAt: null },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      url: feedUrl(req, token),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Revoke the current user's feed URL
+// @access  Private
+router.delete('/feed', protect, async (req, res) => {
+  try {
+    await CalendarFeed.deleteOne({ user: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking calendar feed',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
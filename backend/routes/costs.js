@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const Document = require('../models/Document');
+const { protect } = require('../middleware/auth');
+const { buildDocumentQuery } = require('../utils/documentQuery');
+const { searchDocumentContent } = require('../utils/contentIndex');
+const { forecastRenewals } = require('../utils/costForecast');
+const { MAX_FORECAST_MONTHS } = require('../config/costs');
+
+// @route   GET /api/costs/forecast
+// @desc    Projected renewal spend over the next `months` calendar months
+//          (default 12), by month, department and document type, with one
+//          forecast per currency. Overdue renewals fall in the first month and
+//          are also reported as `overdue`. Accepts the document list filters.
+// @access  Private
+router.get('/forecast', protect, async (req, res) => {
+  try {
+    const months = parseInt(req.query.months || '12', 10);
+    if (!(months >= 1 && months <= MAX_FORECAST_MONTHS)) {
+      return res.status(400).json({
+        success: false,
+        message: `months must be between 1 and ${MAX_FORECAST_MONTHS}`,
+      });
+    }
+
+    const now = new Date();
+    const until = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + months, 1));
+    const contentMatches = req.query.search ? await searchDocumentContent(req.query.search) : null;
+
+    // A Renewed document's successor carries its costs forward
+    const documents = await Document.find({
+      $and: [
+        await buildDocumentQuery(req.user, req.query, contentMatches),
+        { status: { $ne: 'Renewed' } },
+        { expiryDate: { $lt: until } },
+      ],
+    })
+      .select('documentType issueDate expiryDate cost renewalCost currency uploadedBy')
+      .populate('uploadedBy', 'department')
+      .lean();
+
+    res.json({
+      success: true,
+      ...forecastRenewals(documents, now, months),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building renewal forecast',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Document = require('../models/Document');
+const DocumentType = require('../models/DocumentType');
+const { protect, authorize } = require('../middleware/auth');
+
+const typeRules = [
+  body('name').optional().trim().notEmpty().withMessage('Type name cannot be empty'),
+  body('expiringSoonDays').optional({ values: 'null' }).isInt({ min: 0, max: 365 }).withMessage('Expiring soon window must be 0-365 days'),
+  body('fields').optional().isArray().withMessage('Fields must be a list'),
+  body('fields.*.key').matches(/^[a-zA-Z][a-zA-Z0-9_]*$/).withMessage('Field keys may only contain letters, digits and underscores'),
+  body('fields.*.label').trim().notEmpty().withMessage('Field label is required'),
+  body('fields.*.type').optional().isIn(['text', 'number', 'date', 'select', 'boolean']).withMessage('Invalid field type'),
+];
+
+const pickTypeData = ({ name, description, expiringSoonDays, fields, active }) => {
+  const data = { name, description, expiringSoonDays, fields, active };
+  Object.keys(data).forEach((key) => data[key] === undefined && delete data[key]);
+  return data;
+};
+
+// @route   GET /api/document-types
+// @desc    List document types (admins can pass all=true to include inactive ones)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    await DocumentType.ensureDefaults();
+
+    const query = req.query.all === 'true' && req.user.role === 'admin' ? {} : { active: true };
+    const documentTypes = await DocumentType.find(query).sort('name');
+
+    res.json({
+      success: true,
+      count: documentTypes.length,
+      documentTypes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching document types',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/document-types
+// @desc    Create a document type
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Type name is required'),
+  ...typeRules,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (await DocumentType.exists({ name: req.body.name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A document type with this name already exists',
+      });
+    }
+
+    const documentType = await DocumentType.create(pickTypeData(req.body));
+
+    res.status(201).json({
+      success: true,
+      documentType,
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Error creating document type',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/document-types/:id
+// @desc    Update a document type and its custom fields
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), typeRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const documentType = await DocumentType.findById(req.params.id);
+    if (!documentType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document type not found',
+      });
+    }
+
+    const previousName = documentType.name;
+    documentType.set(pickTypeData(req.body));
+    await documentType.save();
+
+    // Documents store the type by name, so carry them over on rename
+    if (documentType.name !== previousName) {
+      await Document.updateMany({ documentType: previousName }, { documentType: documentType.name });
+      await DocumentType.syncThresholds();
+    }
+
+    res.json({
+      success: true,
+      documentType,
+    });
+  } catch (error) {
+    const status = error.name === 'ValidationError' || error.code === 11000 ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      message: 'Error updating document type',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/document-types/:id
+// @desc    Delete an unused document type, or deactivate one still in use
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const documentType = await DocumentType.findById(req.params.id);
+    if (!documentType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document type not found',
+      });
+    }
+
+    const inUse = await Document.countDocuments({ documentType: documentType.name });
+    if (inUse) {
+      documentType.active = false;
+      await documentType.save();
+
+      return res.json({
+        success: true,
+        message: `Document type is used by ${inUse} documents and was deactivated instead`,
+        documentType,
+      });
+    }
+
+    await documentType.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Document type deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting document type',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
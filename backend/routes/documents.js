@@ -2,26 +2,60 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { body, validationResult } = require('express-validator');
 const Document = require('../models/Document');
+const DocumentRenewal = require('../models/DocumentRenewal');
+const DocumentVersion = require('../models/DocumentVersion');
+const DocumentShare = require('../models/DocumentShare');
+const DocumentType = require('../models/DocumentType');
+const Team = require('../models/Team');
+const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
-const { checkDocumentOwnership } = require('../middleware/roleCheck');
-
-// Configure multer for file upload
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = 'uploads/';
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  },
-});
+const { checkDocumentAccess } = require('../middleware/documentAccess');
+const AuditLog = require('../models/AuditLog');
+const { diffDocuments, recordAudit } = require('../utils/auditLog');
+const { costRules, documentRules } = require('../validators/documentValidators');
+const { calculateStatus } = require('../utils/documentStatus');
+const { parseCustomFields, checkCustomFields } = require('../utils/customFields');
+const { buildDocumentQuery, parseSort } = require('../utils/documentQuery');
+const { EXPORT_FORMATS, exportDocuments } = require('../utils/documentExport');
+const { prepareImport } = require('../utils/documentImport');
+const { extractText } = require('../utils/textExtraction');
+const { suggestMetadata } = require('../utils/metadataSuggestions');
+const { moveToTrash } = require('../utils/trash');
+const {
+  BULK_ACTIONS,
+  resolveSelection,
+  forEachDocument,
+  notifyReassigned,
+  buildDownloadZip,
+} = require('../utils/bulkActions');
+const {
+  saveFile,
+  removeFile,
+  fileExists,
+  sendFile,
+  sendInline,
+  getDownloadUrl,
+  multerStorage,
+} = require('../storage');
+const { PREVIEW_URL_EXPIRES } = require('../config/storage');
+const { previewType, createViewToken, viewTokenUser } = require('../utils/viewTokens');
+const { SNIFF_BYTES, checkFileSignature } = require('../utils/fileSignature');
+const { queueScan, withScanStatus, quarantineReason } = require('../scanning');
+const {
+  documentPayload,
+  changesPayload,
+  emitWebhookEvent,
+  emitStatusChange,
+} = require('../utils/webhooks');
+const { notify, documentAudience, announceDocumentChange } = require('../utils/notifications');
+const {
+  indexDocumentContent,
+  searchDocumentContent,
+  getSnippets,
+  escapeRegex,
+} = require('../utils/contentIndex');
 
 const fileFilter = (req, file, cb) => {
   const allowedTypes = /pdf|doc|docx|jpg|jpeg|png/;
@@ -35,26 +69,124 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Uploads stream straight into the configured storage backend;
+// req.file.path is the stored file's reference
 const upload = multer({
-  storage,
+  storage: multerStorage({
+    // The file's first bytes must match its extension and mimetype
+    inspect: (head, file) => checkFileSignature(head, file.originalname, file.mimetype),
+    inspectBytes: SNIFF_BYTES,
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter,
+});
+
+// Files sent for analysis are only read, never stored
+const analyzeUpload = multer({
+  storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
   fileFilter,
 });
 
+// Bulk import takes a CSV/XLSX sheet plus an optional ZIP of attachments
+const importFileFilter = (req, file, cb) => {
+  const allowed = file.fieldname === 'attachments' ? /^\.zip$/ : /^\.(csv|xlsx)$/;
+
+  if (allowed.test(path.extname(file.originalname).toLowerCase())) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Import accepts a CSV or XLSX file and an optional ZIP of attachments'));
+  }
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  fileFilter: importFileFilter,
+});
+
+const saveAttachment = async (entry) => {
+  const fileName = path.basename(entry.entryName);
+  const { filePath, fileSize } = await saveFile(entry.getData(), { fileName });
+
+  return {
+    filePath,
+    fileName,
+    fileSize,
+  };
+};
+
+// Set only from an upload, never from the request body
+const FILE_FIELDS = ['filePath', 'fileName', 'fileSize'];
+
+const withoutFileFields = (data) => {
+  const rest = { ...data };
+  FILE_FIELDS.forEach((field) => delete rest[field]);
+  return rest;
+};
+
+// Every term of a document's renewal chain, oldest first
+const getRenewalChain = async (documentId) => {
+  const ids = await DocumentRenewal.getChainIds(documentId);
+  if (ids.length === 1) {
+    return [];
+  }
+
+  const documents = await Document.find({ _id: { $in: ids } })
+    .select('title documentNumber issueDate expiryDate status');
+  const byId = new Map(documents.map((doc) => [String(doc._id), doc]));
+
+  return ids.map((id) => byId.get(String(id))).filter(Boolean);
+};
+
+// Users who gain or lose access through a team share
+const shareMembers = async (share) => {
+  const team = await Team.findById(share.team && share.team._id ? share.team._id : share.team);
+  return team ? team.members.map((member) => member.user) : [];
+};
+
+// Authenticate GET /:id/view from its ?token= (see utils/viewTokens)
+const protectViewToken = async (req, res, next) => {
+  try {
+    const user = await viewTokenUser(req.query.token, req.params.id);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'This preview link is invalid or has expired',
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error checking preview link',
+      error: error.message,
+    });
+  }
+};
+
+// Relevance of a search hit: file text score plus a bonus for metadata matches
+const relevanceScore = (doc, search, contentMatches) => {
+  const pattern = new RegExp(escapeRegex(String(search)), 'i');
+  let score = contentMatches.get(String(doc._id)) || 0;
+  if (pattern.test(doc.title)) score += 3;
+  if (pattern.test(doc.documentNumber || '') || pattern.test(doc.issuer || '')) score += 2;
+  return score;
+};
+
 // @route   POST /api/documents
 // @desc    Create a new document
 // @access  Private
-router.post('/', protect, upload.single('file'), [
-  body('title').trim().notEmpty().withMessage('Title is required'),
-  body('documentType').notEmpty().withMessage('Document type is required'),
-  body('issueDate').isISO8601().withMessage('Valid issue date is required'),
-  body('expiryDate').isISO8601().withMessage('Valid expiry date is required'),
-], async (req, res) => {
+router.post('/', protect, upload.single('file'), documentRules, async (req, res) => {
+  let committed = false;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       if (req.file) {
-        fs.unlinkSync(req.file.path);
+        await removeFile(req.file.path);
       }
       return res.status(400).json({
         success: false,
@@ -62,10 +194,24 @@ router.post('/', protect, upload.single('file'), [
       });
     }
 
+    const customFields = await checkCustomFields(req.body.documentType, req.body.customFields);
+    if (customFields.errors.length) {
+      if (req.file) {
+        await removeFile(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        errors: customFields.errors,
+      });
+    }
+
     const documentData = {
-      ...req.body,
+      ...withoutFileFields(req.body),
+      customFields: customFields.values,
       uploadedBy: req.user._id,
     };
+    await DocumentType.syncThreshold(documentData.documentType);
+    documentData.status = calculateStatus(documentData);
 
     if (req.file) {
       documentData.filePath = req.file.path;
@@ -74,15 +220,27 @@ router.post('/', protect, upload.single('file'), [
     }
 
     const document = await Document.create(documentData);
+    // The document now points at the uploaded file, which must stay even if
+    // a later step fails
+    committed = true;
+    if (req.file) {
+      await DocumentVersion.record(document._id, documentData, req.user._id);
+      // Not awaited: text extraction of a large PDF should not hold up the upload
+      indexDocumentContent(document);
+      await queueScan(document.filePath);
+    }
     await document.populate('uploadedBy', 'name email');
+    await recordAudit(req, { action: 'document.create', document });
+    await emitWebhookEvent('document.created', { document: documentPayload(document) });
+    await announceDocumentChange(document);
 
     res.status(201).json({
       success: true,
       document,
     });
   } catch (error) {
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
+    if (req.file && !committed) {
+      await removeFile(req.file.path);
     }
     res.status(500).json({
       success: false,
@@ -92,43 +250,190 @@ router.post('/', protect, upload.single('file'), [
   }
 });
 
-// @route   GET /api/documents
-// @desc    Get all documents with filters
+// @route   POST /api/documents/import
+// @desc    Bulk import documents from CSV/XLSX (dryRun=true only validates)
 // @access  Private
-router.get('/', protect, async (req, res) => {
+router.post('/import', protect, importUpload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'attachments', maxCount: 1 },
+]), async (req, res) => {
+  const savedFiles = [];
   try {
-    const { status, documentType, search, sortBy = '-expiryDate', page = 1, limit = 10 } = req.query;
+    const file = req.files && req.files.file && req.files.file[0];
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A CSV or XLSX file is required',
+      });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Column mapping must be valid JSON',
+        });
+      }
+    }
 
-    const query = {};
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+    const attachmentsZip = req.files.attachments && req.files.attachments[0].buffer;
 
-    // Non-admin users can only see their own documents
-    if (req.user.role !== 'admin') {
-      query.uploadedBy = req.user._id;
+    let prepared;
+    try {
+      prepared = await prepareImport({ file, attachmentsZip, mapping });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
     }
 
-    if (status) {
-      query.status = status;
+    const { rows, unmappedColumns } = prepared;
+    const validRows = rows.filter((row) => row.errors.length === 0);
+    const report = rows.map(({ row, data, errors }) => ({ row, data, errors }));
+    let imported = 0;
+
+    if (!dryRun && validRows.length) {
+      const documentsData = [];
+      for (const { data, attachment } of validRows) {
+        const { fileName, ...fields } = data;
+        const documentData = {
+          ...fields,
+          uploadedBy: req.user._id,
+        };
+        documentData.status = calculateStatus(documentData);
+
+        if (attachment) {
+          const saved = await saveAttachment(attachment);
+          savedFiles.push(saved.filePath);
+          Object.assign(documentData, saved);
+        }
+        documentsData.push(documentData);
+      }
+
+      const documents = await Document.insertMany(documentsData);
+      for (const document of documents) {
+        if (document.filePath) {
+          await DocumentVersion.record(document._id, document, req.user._id);
+          indexDocumentContent(document);
+          await queueScan(document.filePath);
+        }
+        await recordAudit(req, { action: 'document.create', document, metadata: { source: 'import' } });
+        await emitWebhookEvent('document.created', { document: documentPayload(document) });
+      }
+      imported = documents.length;
+      // Imported documents are all the importer's and not yet shared, so
+      // they have the same audience: one announcement covers them all
+      if (imported) {
+        await announceDocumentChange(documents[0]);
+      }
     }
 
-    if (documentType) {
-      query.documentType = documentType;
+    await recordAudit(req, {
+      action: 'document.import',
+      metadata: { fileName: file.originalname, dryRun, total: rows.length, imported },
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      dryRun,
+      total: rows.length,
+      valid: validRows.length,
+      invalid: rows.length - validRows.length,
+      imported,
+      unmappedColumns,
+      rows: report,
+    });
+  } catch (error) {
+    await Promise.all(savedFiles.map((filePath) => removeFile(filePath).catch(() => {})));
+    res.status(500).json({
+      success: false,
+      message: 'Error importing documents',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/documents/analyze
+// @desc    Suggest issue/expiry dates, number and issuer from a file's text
+// @access  Private
+router.post('/analyze', protect, analyzeUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required',
+      });
     }
 
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { documentNumber: { $regex: search, $options: 'i' } },
-        { issuer: { $regex: search, $options: 'i' } },
-      ];
+    try {
+      checkFileSignature(req.file.buffer.subarray(0, SNIFF_BYTES), req.file.originalname, req.file.mimetype);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
     }
 
+    const text = await extractText(req.file.buffer, req.file.originalname);
+
+    res.json({
+      success: true,
+      hasText: Boolean(text),
+      suggestions: suggestMetadata(text),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error analyzing file',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents
+// @desc    Get all documents with filters
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { search, sortBy = '-expiryDate', page = 1, limit = 10 } = req.query;
+    const contentMatches = search ? await searchDocumentContent(search) : null;
+    const query = await buildDocumentQuery(req.user, req.query, contentMatches);
+
     const skip = (page - 1) * limit;
+    let documents;
 
-    const documents = await Document.find(query)
-      .populate('uploadedBy', 'name email department')
-      .sort(sortBy)
-      .skip(skip)
-      .limit(parseInt(limit));
+    if (search && !req.query.sortBy) {
+      // Rank every hit by relevance, then load just the requested page
+      const hits = await Document.find(query).select('title documentNumber issuer expiryDate').limit(1000);
+      const ranked = hits
+        .map((doc) => ({ id: doc._id, score: relevanceScore(doc, search, contentMatches), expiryDate: doc.expiryDate }))
+        .sort((a, b) => b.score - a.score || a.expiryDate - b.expiryDate)
+        .slice(skip, skip + parseInt(limit));
+
+      const pageDocuments = await Document.find({ _id: { $in: ranked.map((hit) => hit.id) } })
+        .populate('uploadedBy', 'name email department');
+      const byId = new Map(pageDocuments.map((doc) => [String(doc._id), doc]));
+      const snippets = await getSnippets(ranked.map((hit) => hit.id), search);
+
+      documents = ranked
+        .filter((hit) => byId.has(String(hit.id)))
+        .map((hit) => ({
+          ...byId.get(String(hit.id)).toObject(),
+          searchScore: hit.score,
+          searchSnippet: snippets.get(String(hit.id)) || null,
+        }));
+    } else {
+      documents = await Document.find(query)
+        .populate('uploadedBy', 'name email department')
+        .sort(parseSort(sortBy))
+        .skip(skip)
+        .limit(parseInt(limit));
+    }
 
     const total = await Document.countDocuments(query);
 
@@ -138,7 +443,7 @@ router.get('/', protect, async (req, res) => {
       total,
       page: parseInt(page),
       pages: Math.ceil(total / limit),
-      documents,
+      documents: await withScanStatus(documents),
     });
   } catch (error) {
     res.status(500).json({
@@ -149,16 +454,157 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/documents/export
+// @desc    Export all documents matching the list filters as CSV, XLSX or PDF
+// @access  Private
+router.get('/export', protect, async (req, res) => {
+  const { format = 'csv', sortBy = '-expiryDate' } = req.query;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      success: false,
+      message: 'Export format must be csv, xlsx or pdf',
+    });
+  }
+
+  try {
+    const contentMatches = req.query.search ? await searchDocumentContent(req.query.search) : null;
+    const query = await buildDocumentQuery(req.user, req.query, contentMatches);
+    const cursor = Document.find(query)
+      .populate('uploadedBy', 'name email department')
+      .sort(parseSort(sortBy))
+      .cursor();
+
+    await recordAudit(req, { action: 'document.export', metadata: { format, filters: req.query } });
+    await exportDocuments(format, cursor, res, { filters: req.query });
+  } catch (error) {
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting documents',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/documents/bulk
+// @desc    Apply one action (delete, status, reassign, documentType) to many
+//          documents, picked by `ids` or by `filter` (the list filters).
+//          Access is checked per document; `results` has one entry for each.
+// @access  Private
+router.post('/bulk', protect, [
+  body('action').isIn(Object.keys(BULK_ACTIONS)).withMessage(`Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`),
+  body('ids').optional().isArray().withMessage('ids must be a list'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const action = BULK_ACTIONS[req.body.action];
+    const selection = await resolveSelection(req.user, req.body);
+    const prepared = selection.error ? selection : await action.prepare(req);
+    if (prepared.error) {
+      return res.status(400).json({
+        success: false,
+        message: prepared.error,
+      });
+    }
+
+    const results = await forEachDocument(
+      req.user,
+      selection.ids,
+      action.level,
+      (document) => action.run(req, document, prepared.params)
+    );
+    if (req.body.action === 'reassign') {
+      await notifyReassigned(req, results, prepared.params);
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    await recordAudit(req, {
+      action: 'document.bulk',
+      metadata: { action: req.body.action, total: results.length, succeeded, failed: results.length - succeeded },
+    });
+
+    res.json({
+      success: true,
+      action: req.body.action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error running bulk action',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/documents/bulk/download
+// @desc    ZIP of the selected documents' files, with download-report.csv
+//          listing any that were left out and why
+// @access  Private
+router.post('/bulk/download', protect, async (req, res) => {
+  try {
+    const selection = await resolveSelection(req.user, req.body);
+    if (selection.error) {
+      return res.status(400).json({
+        success: false,
+        message: selection.error,
+      });
+    }
+
+    const { buffer, results } = await buildDownloadZip(req, selection.ids);
+    if (!results.some((result) => result.success)) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the selected documents have a file that can be downloaded',
+        results,
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="documents-${new Date().toISOString().slice(0, 10)}.zip"`,
+      'Content-Length': buffer.length,
+    });
+    res.send(buffer);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error building ZIP download',
+      error: error.message,
+    });
+  }
+});
+
 // @route   GET /api/documents/:id
 // @desc    Get single document
 // @access  Private
-router.get('/:id', protect, checkDocumentOwnership, async (req, res) => {
+router.get('/:id', protect, checkDocumentAccess('viewer'), async (req, res) => {
   try {
     await req.document.populate('uploadedBy', 'name email department');
-    
+    const renewalChain = await getRenewalChain(req.document._id);
+    await recordAudit(req, { action: 'document.view', document: req.document });
+
+    const [document] = await withScanStatus([req.document]);
+
     res.json({
       success: true,
-      document: req.document,
+      document,
+      access: req.documentAccess,
+      renewalChain,
     });
   } catch (error) {
     res.status(500).json({
@@ -172,84 +618,785 @@ router.get('/:id', protect, checkDocumentOwnership, async (req, res) => {
 // @route   PUT /api/documents/:id
 // @desc    Update document
 // @access  Private
-router.put('/:id', protect, checkDocumentOwnership, upload.single('file'), async (req, res) => {
+router.put('/:id', protect, checkDocumentAccess('editor'), upload.single('file'), costRules, async (req, res) => {
+  let committed = false;
   try {
-    const updateData = { ...req.body };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file) {
+        await removeFile(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
 
-    if (req.file) {
-      // Delete old file if exists
-      if (req.document.filePath && fs.existsSync(req.document.filePath)) {
-        fs.unlinkSync(req.document.filePath);
+    const updateData = withoutFileFields(req.body);
+
+    // Only the owner (or an admin) can hand a document to someone else
+    if (req.documentAccess !== 'owner') {
+      delete updateData.uploadedBy;
+    }
+
+    if (updateData.customFields !== undefined || updateData.documentType) {
+      const customFields = await checkCustomFields(
+        updateData.documentType || req.document.documentType,
+        { ...(req.document.customFields || {}), ...parseCustomFields(updateData.customFields) }
+      );
+      if (customFields.errors.length) {
+        if (req.file) {
+          await removeFile(req.file.path);
+        }
+        return res.status(400).json({
+          success: false,
+          errors: customFields.errors,
+        });
       }
+      updateData.customFields = customFields.values;
+    }
+
+    if (req.file) {
+      // Keep the previous file as an earlier version instead of deleting it
+      await DocumentVersion.ensureInitialVersion(req.document);
       updateData.filePath = req.file.path;
       updateData.fileName = req.file.originalname;
       updateData.fileSize = req.file.size;
     }
 
+    await DocumentType.syncThreshold(updateData.documentType || req.document.documentType);
+    updateData.status = calculateStatus({
+      status: updateData.status || req.document.status,
+      expiryDate: updateData.expiryDate || req.document.expiryDate,
+      documentType: updateData.documentType || req.document.documentType,
+    });
+
     const document = await Document.findByIdAndUpdate(
       req.params.id,
       updateData,
       { new: true, runValidators: true }
-    ).populate('uploadedBy', 'name email department');
+    );
+    committed = true;
 
-    res.json({
-      success: true,
-      document,
-    });
-  } catch (error) {
     if (req.file) {
-      fs.unlinkSync(req.file.path);
+      await DocumentVersion.record(document._id, updateData, req.user._id);
+      indexDocumentContent(document);
+      await queueScan(document.filePath);
     }
-    res.status(500).json({
-      success: false,
-      message: 'Error updating document',
-      error: error.message,
-    });
-  }
-});
 
-// @route   DELETE /api/documents/:id
-// @desc    Delete document
-// @access  Private
-router.delete('/:id', protect, checkDocumentOwnership, async (req, res) => {
-  try {
-    // Delete file if exists
-    if (req.document.filePath && fs.existsSync(req.document.filePath)) {
-      fs.unlinkSync(req.document.filePath);
+    const changes = diffDocuments(req.document, document);
+    await recordAudit(req, {
+      action: 'document.update',
+      document,
+      changes,
+    });
+    await emitWebhookEvent('document.updated', {
+      document: documentPayload(document),
+      changes: changesPayload(changes),
+    });
+    await emitStatusChange(document, req.document.status);
+    if (String(document.uploadedBy) !== String(req.document.uploadedBy)) {
+      await notify([document.uploadedBy], {
+        type: 'document.assigned',
+        title: `${req.user.name} made you the owner of "${document.title}"`,
+        document,
+        actor: req.user._id,
+      });
     }
-
-    await Document.findByIdAndDelete(req.params.id);
+    await announceDocumentChange(document, [req.document.uploadedBy]);
+    await document.populate('uploadedBy', 'name email department');
 
     res.json({
       success: true,
-      message: 'Document deleted successfully',
+      document,
     });
   } catch (error) {
+    if (req.file && !committed) {
+      await removeFile(req.file.path);
+    }
     res.status(500).json({
       success: false,
-      message: 'Error deleting document',
+      message: 'Error updating document',
       error: error.message,
     });
   }
 });
 
-// @route   GET /api/documents/download/:id
-// @desc    Download document file
+// Fields a renewal may set on the successor. Everything else is copied from
+// the predecessor; the file only ever comes from the upload.
+const RENEWAL_FIELDS = [
+  'issueDate',
+  'expiryDate',
+  'documentNumber',
+  'issuer',
+  'description',
+  'customFields',
+  'cost',
+  'renewalCost',
+  'currency',
+];
+
+// @route   POST /api/documents/:id/renew
+// @desc    Renew a document: create its successor and mark it Renewed
 // @access  Private
-router.get('/download/:id', protect, checkDocumentOwnership, async (req, res) => {
+router.post('/:id/renew', protect, checkDocumentAccess('editor'), upload.single('file'), [
+  body('issueDate').isISO8601().withMessage('Valid issue date is required'),
+  body('expiryDate').isISO8601().withMessage('Valid expiry date is required'),
+  ...costRules,
+], async (req, res) => {
+  let claim = null;
+  let successor = null;
+  let committed = false;
   try {
-    if (!req.document.filePath || !fs.existsSync(req.document.filePath)) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file) {
+        await removeFile(req.file.path);
+      }
+      return res.status(400).json({
         success: false,
-        message: 'File not found',
+        errors: errors.array(),
       });
     }
 
-    res.download(req.document.filePath, req.document.fileName);
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error downloading file',
+    if (req.document.status === 'Renewed' || await DocumentRenewal.exists({ previousDocument: req.document._id })) {
+      if (req.file) {
+        await removeFile(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Document has already been renewed',
+      });
+    }
+
+    const {
+      _id, __v, createdAt, updatedAt, status, filePath, fileName, fileSize, ...inherited
+    } = req.document.toObject();
+    const { notes } = req.body;
+    const overrides = {};
+    RENEWAL_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) overrides[field] = req.body[field];
+    });
+
+    const documentData = {
+      ...inherited,
+      ...overrides,
+      uploadedBy: req.document.uploadedBy,
+    };
+
+    const customFields = await checkCustomFields(documentData.documentType, {
+      ...(inherited.customFields || {}),
+      ...parseCustomFields(overrides.customFields),
+    });
+    if (customFields.errors.length) {
+      if (req.file) {
+        await removeFile(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        errors: customFields.errors,
+      });
+    }
+    documentData.customFields = customFields.values;
+    await DocumentType.syncThreshold(documentData.documentType);
+    documentData.status = calculateStatus(documentData);
+
+    if (req.file) {
+      documentData.filePath = req.file.path;
+      documentData.fileName = req.file.originalname;
+      documentData.fileSize = req.file.size;
+    }
+
+    // Claim the renewal link before creating the successor: of two
+    // concurrent renewals only one gets past the unique index
+    const document = new Document(documentData);
+    try {
+      claim = await DocumentRenewal.create({
+        previousDocument: req.document._id,
+        document: document._id,
+        renewedBy: req.user._id,
+        notes,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (req.file) {
+        await removeFile(req.file.path);
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Document has already been renewed',
+      });
+    }
+
+    successor = await document.save();
+    if (req.file) {
+      await DocumentVersion.record(document._id, documentData, req.user._id);
+    }
+    // Whoever could see the old term can see the new one
+    const shares = await DocumentShare.find({ document: req.document._id });
+    if (shares.length) {
+      await DocumentShare.insertMany(shares.map(({ user, team, role, sharedBy }) => ({
+        document: document._id,
+        user,
+        team,
+        role,
+        sharedBy,
+      })));
+    }
+    await Document.findByIdAndUpdate(req.document._id, { status: 'Renewed' });
+    committed = true;
+
+    if (req.file) {
+      indexDocumentContent(document);
+      await queueScan(document.filePath);
+    }
+    await recordAudit(req, {
+      action: 'document.renew',
+      document: req.document,
+      changes: [{ field: 'status', from: req.document.status, to: 'Renewed' }],
+      metadata: { successor: document._id },
+    });
+    await recordAudit(req, { action: 'document.create', document, metadata: { renewalOf: req.document._id } });
+    await emitWebhookEvent('document.renewed', {
+      document: documentPayload(document),
+      previousDocument: documentPayload({ ...req.document.toObject({ depopulate: true }), status: 'Renewed' }),
+    });
+    // The new term belongs to the old term's owner. When someone else renewed
+    // it, the owner is told the renewal is now theirs to look after.
+    const ownerId = String(document.uploadedBy);
+    const assigned = ownerId !== String(req.user._id);
+    const termMessage = `The new term runs until ${document.expiryDate.toISOString().slice(0, 10)}`;
+    if (assigned) {
+      await notify([ownerId], {
+        type: 'document.assigned',
+        title: `${req.user.name} renewed "${req.document.title}" and assigned the new term to you`,
+        message: termMessage,
+        document,
+        actor: req.user._id,
+      });
+    }
+    await notify((await documentAudience(req.document)).filter((id) => !assigned || id !== ownerId), {
+      type: 'document.renewed',
+      title: `${req.user.name} renewed "${req.document.title}"`,
+      message: termMessage,
+      document,
+      actor: req.user._id,
+    });
+    await announceDocumentChange(req.document);
+
+    await document.populate('uploadedBy', 'name email department');
+    const renewalChain = await getRenewalChain(document._id);
+
+    res.status(201).json({
+      success: true,
+      document,
+      renewalChain,
+    });
+  } catch (error) {
+    // Undo a half-finished renewal so the document can be renewed again
+    if (!committed) {
+      if (successor) {
+        await DocumentShare.deleteMany({ document: successor._id });
+        await DocumentVersion.deleteMany({ document: successor._id });
+        await Document.deleteOne({ _id: successor._id });
+      }
+      if (claim) {
+        await DocumentRenewal.deleteOne({ _id: claim._id });
+      }
+      if (req.file) {
+        await removeFile(req.file.path);
+      }
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error renewing document',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/documents/:id
+// @desc    Move document to the trash
+// @access  Private
+router.delete('/:id', protect, checkDocumentAccess('owner'), async (req, res) => {
+  try {
+    const trashed = await moveToTrash(req.document, req.user._id);
+    await recordAudit(req, { action: 'document.delete', document: req.document });
+    await announceDocumentChange(req.document);
+
+    res.json({
+      success: true,
+      message: 'Document moved to trash',
+      purgeAt: trashed.purgeAt,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting document',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents/download/:id
+// @desc    Download document file
+// @access  Private
+router.get('/download/:id', protect, checkDocumentAccess('viewer'), async (req, res) => {
+  try {
+    if (!(await fileExists(req.document.filePath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const quarantined = await quarantineReason(req.document.filePath);
+    if (quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: quarantined,
+      });
+    }
+
+    await recordAudit(req, { action: 'document.download', document: req.document, metadata: { fileName: req.document.fileName } });
+    await sendFile(res, req.document.filePath, req.document.fileName);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading file',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/download-url
+// @desc    Short-lived URL to download the file from storage directly
+//          (url is null when the storage backend can't issue one)
+// @access  Private
+router.get('/:id/download-url', protect, checkDocumentAccess('viewer'), async (req, res) => {
+  try {
+    if (!(await fileExists(req.document.filePath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const quarantined = await quarantineReason(req.document.filePath);
+    if (quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: quarantined,
+      });
+    }
+
+    const url = await getDownloadUrl(req.document.filePath, req.document.fileName);
+    if (url) {
+      await recordAudit(req, {
+        action: 'document.download',
+        document: req.document,
+        metadata: { fileName: req.document.fileName, presigned: true },
+      });
+    }
+
+    res.json({
+      success: true,
+      url,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating download link',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/view-url
+// @desc    Short-lived URL that streams the file for display in the browser
+//          (PDFs and images only)
+// @access  Private
+router.get('/:id/view-url', protect, checkDocumentAccess('viewer'), async (req, res) => {
+  try {
+    if (!(await fileExists(req.document.filePath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const contentType = previewType(req.document.fileName);
+    if (!contentType) {
+      return res.status(415).json({
+        success: false,
+        message: 'This file type cannot be previewed; download it instead',
+      });
+    }
+
+    const quarantined = await quarantineReason(req.document.filePath);
+    if (quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: quarantined,
+      });
+    }
+
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+    const token = createViewToken(req, req.document);
+    await recordAudit(req, {
+      action: 'document.preview',
+      document: req.document,
+      metadata: { fileName: req.document.fileName },
+    });
+
+    res.json({
+      success: true,
+      url: `${baseUrl}/documents/${req.document._id}/view?token=${encodeURIComponent(token)}`,
+      contentType,
+      expiresIn: PREVIEW_URL_EXPIRES,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating preview link',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/view
+// @desc    Stream the file inline, honouring Range requests. Authenticated
+//          by the token in the URL from view-url; access is checked again
+//          on every request.
+// @access  Private (preview link)
+router.get('/:id/view', protectViewToken, checkDocumentAccess('viewer'), async (req, res) => {
+  try {
+    const contentType = previewType(req.document.fileName);
+    if (!contentType || !(await fileExists(req.document.filePath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const quarantined = await quarantineReason(req.document.filePath);
+    if (quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: quarantined,
+      });
+    }
+
+    await sendInline(req, res, req.document.filePath, req.document.fileName, contentType);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error streaming file',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/versions
+// @desc    List every uploaded version of a document's file
+// @access  Private
+router.get('/:id/versions', protect, checkDocumentAccess('viewer'), async (req, res) => {
+  try {
+    await DocumentVersion.ensureInitialVersion(req.document);
+
+    const versions = await DocumentVersion.find({ document: req.document._id })
+      .populate('uploadedBy', 'name email')
+      .sort('-version');
+
+    res.json({
+      success: true,
+      count: versions.length,
+      currentVersion: versions.length ? versions[0].version : null,
+      versions: await withScanStatus(versions),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching versions',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/versions/:version/download
+// @desc    Download a specific version of a document's file
+// @access  Private
+router.get('/:id/versions/:version/download', protect, checkDocumentAccess('viewer'), async (req, res) => {
+  try {
+    const version = await DocumentVersion.findOne({
+      document: req.document._id,
+      version: parseInt(req.params.version, 10),
+    });
+
+    if (!version || !(await fileExists(version.filePath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    const quarantined = await quarantineReason(version.filePath);
+    if (quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: quarantined,
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'document.download',
+      document: req.document,
+      metadata: { fileName: version.fileName, version: version.version },
+    });
+    await sendFile(res, version.filePath, version.fileName);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading version',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/documents/:id/versions/:version/restore
+// @desc    Make an earlier version the current file (recorded as a new version)
+// @access  Private
+router.post('/:id/versions/:version/restore', protect, checkDocumentAccess('editor'), async (req, res) => {
+  try {
+    await DocumentVersion.ensureInitialVersion(req.document);
+
+    const version = await DocumentVersion.findOne({
+      document: req.document._id,
+      version: parseInt(req.params.version, 10),
+    });
+
+    if (!version || !(await fileExists(version.filePath))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    const quarantined = await quarantineReason(version.filePath);
+    if (quarantined) {
+      return res.status(403).json({
+        success: false,
+        message: quarantined,
+      });
+    }
+
+    const fileData = {
+      filePath: version.filePath,
+      fileName: version.fileName,
+      fileSize: version.fileSize,
+    };
+
+    const document = await Document.findByIdAndUpdate(
+      req.document._id,
+      fileData,
+      { new: true }
+    );
+    const restored = await DocumentVersion.record(document._id, fileData, req.user._id, version.version);
+    indexDocumentContent(document);
+    await recordAudit(req, {
+      action: 'document.version.restore',
+      document,
+      changes: diffDocuments(req.document, document),
+      metadata: { restoredFrom: version.version, version: restored.version },
+    });
+    await document.populate('uploadedBy', 'name email department');
+
+    res.json({
+      success: true,
+      document,
+      version: restored,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring version',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/activity
+// @desc    Activity timeline of a document
+// @access  Private
+router.get('/:id/activity', protect, checkDocumentAccess('viewer'), async (req, res) => {
+  try {
+    // Who connected from where is for admins and the full audit log only
+    const hidden = req.user.role === 'admin' ? '-userAgent' : '-userAgent -ip -actorEmail';
+    const activity = await AuditLog.find({ document: req.document._id })
+      .select(hidden)
+      .sort('-createdAt')
+      .limit(200);
+
+    res.json({
+      success: true,
+      count: activity.length,
+      activity,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching activity',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/shares
+// @desc    List who a document is shared with
+// @access  Private
+router.get('/:id/shares', protect, checkDocumentAccess('viewer'), async (req, res) => {
+  try {
+    const shares = await DocumentShare.find({ document: req.document._id })
+      .populate('user', 'name email department')
+      .populate('team', 'name kind')
+      .populate('sharedBy', 'name')
+      .sort('createdAt');
+
+    res.json({
+      success: true,
+      count: shares.length,
+      shares,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shares',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/documents/:id/shares
+// @desc    Share a document with a user (by id or email) or a team
+// @access  Private (owner)
+router.post('/:id/shares', protect, checkDocumentAccess('owner'), [
+  body('role').optional().isIn(['viewer', 'editor']).withMessage('Role must be viewer or editor'),
+  body('team').optional().isMongoId().withMessage('Invalid team'),
+  body('user').optional().isMongoId().withMessage('Invalid user'),
+  body('email').optional().isEmail().withMessage('Invalid email'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { role = 'viewer', team, email } = req.body;
+    const target = {};
+
+    if (team) {
+      if (!await Team.exists({ _id: team })) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team not found',
+        });
+      }
+      target.team = team;
+    } else if (req.body.user || email) {
+      const user = req.body.user
+        ? await User.findById(req.body.user)
+        : await User.findOne({ email: email.toLowerCase() });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+        });
+      }
+      if (String(user._id) === String(req.document.uploadedBy)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The owner already has access',
+        });
+      }
+      target.user = user._id;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a user or a team to share with',
+      });
+    }
+
+    const share = await DocumentShare.findOneAndUpdate(
+      { document: req.document._id, ...target },
+      { role, sharedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    )
+      .populate('user', 'name email department')
+      .populate('team', 'name kind');
+    await recordAudit(req, {
+      action: 'document.share',
+      document: req.document,
+      metadata: { user: share.user && share.user.email, team: share.team && share.team.name, role },
+    });
+    const recipients = share.user ? [share.user._id] : await shareMembers(share);
+    await notify(recipients, {
+      type: 'document.shared',
+      title: `${req.user.name} shared "${req.document.title}" with you`,
+      message: share.team
+        ? `Shared with ${share.team.name} as ${role}`
+        : `You were given ${role} access`,
+      document: req.document,
+      actor: req.user._id,
+    });
+    await announceDocumentChange(req.document);
+
+    res.status(201).json({
+      success: true,
+      share,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error sharing document',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/documents/:id/shares/:shareId
+// @desc    Stop sharing a document with a user or team
+// @access  Private (owner)
+router.delete('/:id/shares/:shareId', protect, checkDocumentAccess('owner'), async (req, res) => {
+  try {
+    const share = await DocumentShare.findOneAndDelete({
+      _id: req.params.shareId,
+      document: req.document._id,
+    });
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found',
+      });
+    }
+    await recordAudit(req, {
+      action: 'document.unshare',
+      document: req.document,
+      metadata: { user: share.user, team: share.team },
+    });
+    await announceDocumentChange(req.document, share.user ? [share.user] : await shareMembers(share));
+
+    res.json({
+      success: true,
+      message: 'Share removed',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing share',
       error: error.message,
     });
   }
@@ -0,0 +1,184 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const { protect } = require('../middleware/auth');
+const { subscribe, unreadCount, syncUnreadCount } = require('../utils/notifications');
+const { NOTIFICATION_HEARTBEAT_MS } = require('../config/notifications');
+
+// @route   GET /api/notifications
+// @desc    Current user's notifications, newest first (?unread=true for unread only)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const query = { user: req.user._id };
+    if (unread === 'true') query.read = false;
+
+    const skip = (page - 1) * limit;
+    const notifications = await Notification.find(query)
+      .populate('document', 'title documentType expiryDate status')
+      .populate('actor', 'name')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Notification.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      unreadCount: await unreadCount(req.user._id),
+      notifications,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/notifications/stream
+// @desc    Server-Sent Events stream of new notifications and document changes
+// @access  Private
+router.get('/stream', protect, async (req, res) => {
+  try {
+    const count = await unreadCount(req.user._id);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = ({ event, data }) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.write('retry: 5000\n\n');
+    send({ event: 'unread', data: { unreadCount: count } });
+
+    const unsubscribe = subscribe(req.user._id, send);
+    const close = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    // The stream outlives its access token, so each heartbeat also checks
+    // the session hasn't been signed out since
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (req.sessionId) {
+        Session.exists({ _id: req.sessionId })
+          .then((active) => {
+            if (!active) {
+              close();
+              res.end();
+            }
+          })
+          .catch(() => {});
+      }
+    }, NOTIFICATION_HEARTBEAT_MS);
+
+    req.on('close', close);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error opening notification stream',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+      unreadCount: await syncUnreadCount(req.user._id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notifications',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read (or unread with { read: false })
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    const read = req.body.read !== false;
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read, readAt: read ? new Date() : null },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      notification,
+      unreadCount: await syncUnreadCount(req.user._id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating notification',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Dismiss a notification
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification dismissed',
+      unreadCount: await syncUnreadCount(req.user._id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error dismissing notification',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ReminderPreference = require('../models/ReminderPreference');
+const ReminderLog = require('../models/ReminderLog');
+const { protect } = require('../middleware/auth');
+const { DEFAULT_LEAD_TIMES } = require('../config/reminders');
+
+// @route   GET /api/reminders/preferences
+// @desc    Get the current user's reminder preferences
+// @access  Private
+router.get('/preferences', protect, async (req, res) => {
+  try {
+    const preferences = await ReminderPreference.findOne({ user: req.user._id });
+
+    res.json({
+      success: true,
+      preferences: preferences || {
+        user: req.user._id,
+        enabled: true,
+        leadTimes: DEFAULT_LEAD_TIMES,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reminder preferences',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/reminders/preferences
+// @desc    Update the current user's reminder preferences
+// @access  Private
+router.put('/preferences', protect, [
+  body('enabled').optional().isBoolean().withMessage('Enabled must be true or false'),
+  body('leadTimes').optional().isArray({ max: 10 }).withMessage('Lead times must be a list of up to 10 values'),
+  body('leadTimes.*').isInt({ min: 0, max: 365 }).withMessage('Lead times must be whole days between 0 and 365').toInt(),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const update = {};
+    if (req.body.enabled !== undefined) {
+      update.enabled = req.body.enabled;
+    }
+    if (req.body.leadTimes) {
+      update.leadTimes = [...new Set(req.body.leadTimes)].sort((a, b) => b - a);
+    }
+
+    const preferences = await ReminderPreference.findOneAndUpdate(
+      { user: req.user._id },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      preferences,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating reminder preferences',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/reminders/history
+// @desc    Get reminders sent to the current user
+// @access  Private
+router.get('/history', protect, async (req, res) => {
+  try {
+    const reminders = await ReminderLog.find({ user: req.user._id })
+      .populate('document', 'title documentType expiryDate')
+      .sort('-sentAt')
+      .limit(100);
+
+    res.json({
+      success: true,
+      count: reminders.length,
+      reminders,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reminder history',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
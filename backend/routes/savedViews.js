@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const SavedView = require('../models/SavedView');
+const { protect } = require('../middleware/auth');
+const { FILTER_KEYS, SORT_FIELDS } = require('../utils/documentQuery');
+
+// Keep only known, non-empty filters (customFields as a map of strings)
+const cleanFilters = (filters = {}) => {
+  const clean = {};
+  FILTER_KEYS.forEach((key) => {
+    const value = filters[key];
+    if (key === 'customFields') {
+      if (value && typeof value === 'object') {
+        const fields = Object.fromEntries(
+          Object.entries(value).filter(([, v]) => typeof v === 'string' && v !== '')
+        );
+        if (Object.keys(fields).length) clean.customFields = fields;
+      }
+    } else if (typeof value === 'string' && value !== '') {
+      clean[key] = value;
+    }
+  });
+  return clean;
+};
+
+const pickViewData = ({ name, filters, sortBy }) => {
+  const data = {};
+  if (name !== undefined) data.name = name;
+  if (filters !== undefined) data.filters = cleanFilters(filters);
+  if (sortBy !== undefined) {
+    data.sortBy = SORT_FIELDS.includes(String(sortBy).replace(/^-/, '')) ? sortBy : undefined;
+  }
+  return data;
+};
+
+const viewRules = [
+  body('name').optional().trim().notEmpty().withMessage('View name cannot be empty'),
+  body('filters').optional().isObject().withMessage('Filters must be an object'),
+];
+
+// @route   GET /api/saved-views
+// @desc    Current user's saved document list views
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const views = await SavedView.find({ user: req.user._id }).sort('name');
+
+    res.json({
+      success: true,
+      count: views.length,
+      views,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved views',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/saved-views
+// @desc    Save the current filters and sort order under a name
+// @access  Private
+router.post('/', protect, [
+  body('name').trim().notEmpty().withMessage('View name is required'),
+  ...viewRules,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const view = await SavedView.create({ ...pickViewData(req.body), user: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      view,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a view with that name',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error saving view',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/saved-views/:id
+// @desc    Rename a view or replace its filters
+// @access  Private
+router.put('/:id', protect, viewRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const view = await SavedView.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      pickViewData(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      view,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a view with that name',
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error updating view',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/saved-views/:id
+// @desc    Delete a saved view
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const view = await SavedView.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved view not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved view deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting view',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
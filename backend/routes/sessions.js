@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  describeDevice,
+  clearRefreshCookie,
+  refreshSession,
+  endSession,
+  revokeUserSessions,
+} = require('../utils/sessions');
+
+const listSessions = async (userId, currentId) => {
+  const sessions = await Session.find({ user: userId }).sort('-lastUsedAt');
+  return sessions.map((session) => ({
+    ...session.toJSON(),
+    device: describeDevice(session.userAgent),
+    current: Boolean(currentId && session._id.equals(currentId)),
+  }));
+};
+
+// @route   POST /api/sessions/refresh
+// @desc    Rotate the refresh cookie and issue a new access token
+// @access  Public (refresh cookie)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { session, token, error } = await refreshSession(req, res);
+    const user = session && await User.findById(session.user).select('-password');
+
+    if (!user) {
+      if (session) {
+        await Session.deleteOne({ _id: session._id });
+        clearRefreshCookie(res);
+      }
+      return res.status(401).json({
+        success: false,
+        message: error || 'Your session has expired. Please sign in again.',
+      });
+    }
+
+    res.json({
+      success: true,
+      token,
+      user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing session',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/sessions/logout
+// @desc    Sign this device out
+// @access  Public (refresh cookie)
+router.post('/logout', async (req, res) => {
+  try {
+    await endSession(req, res);
+
+    res.json({
+      success: true,
+      message: 'Signed out',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/sessions
+// @desc    Current user's signed-in devices
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/sessions
+// @desc    Sign out everywhere, including this device
+// @access  Private
+router.delete('/', protect, async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id);
+    clearRefreshCookie(res);
+    await recordAudit(req, {
+      action: 'session.revoke_all',
+      metadata: { count },
+    });
+
+    res.json({
+      success: true,
+      count,
+      message: `Signed out of ${count} session${count === 1 ? '' : 's'}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out everywhere',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/sessions/:id
+// @desc    Sign one of the current user's devices out
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+    if (req.sessionId && session._id.equals(req.sessionId)) {
+      clearRefreshCookie(res);
+    }
+    await recordAudit(req, {
+      action: 'session.revoke',
+      metadata: { session: session._id, device: describeDevice(session.userAgent) },
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error signing out session',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/sessions/users/:userId
+// @desc    A user's signed-in devices
+// @access  Private/Admin
+router.get('/users/:userId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const sessions = await listSessions(req.params.userId, req.sessionId);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/sessions/users/:userId
+// @desc    Sign a user out of every device
+// @access  Private/Admin
+router.delete('/users/:userId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const count = await revokeUserSessions(user._id);
+    await recordAudit(req, {
+      action: 'session.admin_revoke',
+      metadata: { user: user._id, userName: user.name, userEmail: user.email, count },
+    });
+
+    res.json({
+      success: true,
+      count,
+      message: `${user.name} was signed out of ${count} session${count === 1 ? '' : 's'}`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/sessions/users/:userId/:id
+// @desc    Sign one of a user's devices out
+// @access  Private/Admin
+router.delete('/users/:userId/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const session = await Session.findOneAndDelete({ _id: req.params.id, user: req.params.userId });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+    await recordAudit(req, {
+      action: 'session.admin_revoke',
+      metadata: { user: session.user, session: session._id, device: describeDevice(session.userAgent), count: 1 },
+    });
+
+    res.json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
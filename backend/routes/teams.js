@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const DocumentShare = require('../models/DocumentShare');
+const { protect, authorize } = require('../middleware/auth');
+
+// Admins and the team's managers may change its membership
+const canManage = (user, team) => user.role === 'admin' || team.isManager(user._id);
+
+const findTeam = async (req, res) => {
+  const team = await Team.findById(req.params.id);
+  if (!team) {
+    res.status(404).json({
+      success: false,
+      message: 'Team not found',
+    });
+    return null;
+  }
+  return team;
+};
+
+// @route   GET /api/teams
+// @desc    List teams (all teams; pass mine=true for the user's own)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = req.query.mine === 'true' ? { 'members.user': req.user._id } : {};
+    const teams = await Team.find(query)
+      .populate('members.user', 'name email department')
+      .sort('name');
+
+    res.json({
+      success: true,
+      count: teams.length,
+      teams,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching teams',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/teams
+// @desc    Create a team or department
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Team name is required'),
+  body('kind').optional().isIn(['team', 'department']).withMessage('Kind must be team or department'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    if (await Team.exists({ name: req.body.name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A team with this name already exists',
+      });
+    }
+
+    const team = await Team.create({
+      name: req.body.name,
+      kind: req.body.kind,
+      description: req.body.description,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      team,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating team',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/teams/:id
+// @desc    Rename or describe a team
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), [
+  body('name').optional().trim().notEmpty().withMessage('Team name cannot be empty'),
+  body('kind').optional().isIn(['team', 'department']).withMessage('Kind must be team or department'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const team = await findTeam(req, res);
+    if (!team) return;
+
+    ['name', 'kind', 'description'].forEach((field) => {
+      if (req.body[field] !== undefined) team[field] = req.body[field];
+    });
+    await team.save();
+
+    res.json({
+      success: true,
+      team,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating team',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id
+// @desc    Delete a team and the shares made with it
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const team = await findTeam(req, res);
+    if (!team) return;
+
+    await DocumentShare.deleteMany({ team: team._id });
+    await team.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting team',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/teams/:id/members
+// @desc    Add a member (by user id or email) or change their role
+// @access  Private (admin or team manager)
+router.post('/:id/members', protect, [
+  body('role').optional().isIn(['member', 'manager']).withMessage('Role must be member or manager'),
+  body('user').optional().isMongoId().withMessage('Invalid user'),
+  body('email').optional().isEmail().withMessage('Invalid email'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const team = await findTeam(req, res);
+    if (!team) return;
+
+    if (!canManage(req.user, team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and team managers can change members',
+      });
+    }
+
+    const user = req.body.user
+      ? await User.findById(req.body.user)
+      : req.body.email && await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const role = req.body.role || 'member';
+    const member = team.members.find((m) => String(m.user) === String(user._id));
+    if (member) {
+      member.role = role;
+    } else {
+      team.members.push({ user: user._id, role });
+    }
+    await team.save();
+    await team.populate('members.user', 'name email department');
+
+    res.json({
+      success: true,
+      team,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error adding team member',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/teams/:id/members/:userId
+// @desc    Remove a member from a team
+// @access  Private (admin or team manager)
+router.delete('/:id/members/:userId', protect, async (req, res) => {
+  try {
+    const team = await findTeam(req, res);
+    if (!team) return;
+
+    if (!canManage(req.user, team)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and team managers can change members',
+      });
+    }
+
+    team.members = team.members.filter((m) => String(m.user) !== req.params.userId);
+    await team.save();
+    await team.populate('members.user', 'name email department');
+
+    res.json({
+      success: true,
+      team,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error removing team member',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const TrashedDocument = require('../models/TrashedDocument');
+const { protect, authorize } = require('../middleware/auth');
+const { restoreFromTrash, purgeTrashed } = require('../utils/trash');
+const { recordAudit } = require('../utils/auditLog');
+const { announceDocumentChange } = require('../utils/notifications');
+
+const isOwner = (user, trashed) => user.role === 'admin' || String(trashed.owner) === String(user._id);
+
+// Load a trash entry the user owns; others get a 404 as if it didn't exist
+const findTrashed = async (req, res) => {
+  const trashed = await TrashedDocument.findById(req.params.id);
+  if (!trashed || !isOwner(req.user, trashed)) {
+    res.status(404).json({
+      success: false,
+      message: 'Trashed document not found',
+    });
+    return null;
+  }
+  return trashed;
+};
+
+const auditDocument = (trashed) => ({ _id: trashed.documentId, title: trashed.title });
+
+// @route   GET /api/trash
+// @desc    List the user's trashed documents (admins see everyone's)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const query = req.user.role === 'admin' ? {} : { owner: req.user._id };
+    const documents = await TrashedDocument.find(query)
+      .select('-snapshot')
+      .populate('owner', 'name email')
+      .populate('deletedBy', 'name email')
+      .populate('legalHold.placedBy', 'name email')
+      .sort('-deletedAt');
+
+    res.json({
+      success: true,
+      count: documents.length,
+      // Legal holds and emptying the trash are admin-only
+      canManage: req.user.role === 'admin',
+      documents,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/trash/:id/restore
+// @desc    Restore a trashed document
+// @access  Private
+router.post('/:id/restore', protect, async (req, res) => {
+  try {
+    const trashed = await findTrashed(req, res);
+    if (!trashed) return;
+
+    const document = await restoreFromTrash(trashed);
+    await recordAudit(req, { action: 'document.restore', document });
+    await announceDocumentChange(document);
+
+    res.json({
+      success: true,
+      message: 'Document restored',
+      document,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring document',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/trash/:id/legal-hold
+// @desc    Place or lift a legal hold on a trashed document
+// @access  Private/Admin
+router.put('/:id/legal-hold', protect, authorize('admin'), [
+  body('active').isBoolean().withMessage('active must be true or false'),
+  body('reason').if(body('active').equals('true')).trim().notEmpty().withMessage('A reason is required for a legal hold'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const trashed = await findTrashed(req, res);
+    if (!trashed) return;
+
+    const active = req.body.active === true || req.body.active === 'true';
+    trashed.legalHold = active
+      ? { active, reason: req.body.reason, placedBy: req.user._id, placedAt: new Date() }
+      : { active: false };
+    await trashed.save();
+    await recordAudit(req, {
+      action: active ? 'document.legalHold.place' : 'document.legalHold.lift',
+      document: auditDocument(trashed),
+      metadata: active ? { reason: req.body.reason } : undefined,
+    });
+
+    res.json({
+      success: true,
+      document: trashed,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating legal hold',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/trash/:id
+// @desc    Permanently delete a trashed document
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const trashed = await findTrashed(req, res);
+    if (!trashed) return;
+
+    if (trashed.legalHold.active) {
+      return res.status(409).json({
+        success: false,
+        message: 'This document is under legal hold and cannot be deleted',
+      });
+    }
+
+    await purgeTrashed(trashed);
+    await recordAudit(req, { action: 'document.purge', document: auditDocument(trashed) });
+
+    res.json({
+      success: true,
+      message: 'Document permanently deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting document',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/trash
+// @desc    Empty the trash (documents under legal hold are kept)
+// @access  Private/Admin
+router.delete('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const documents = await TrashedDocument.find({ 'legalHold.active': { $ne: true } });
+
+    for (const trashed of documents) {
+      await purgeTrashed(trashed);
+      await recordAudit(req, {
+        action: 'document.purge',
+        document: auditDocument(trashed),
+        metadata: { reason: 'empty-trash' },
+      });
+    }
+
+    const held = await TrashedDocument.countDocuments({ 'legalHold.active': true });
+
+    res.json({
+      success: true,
+      purged: documents.length,
+      held,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error emptying trash',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
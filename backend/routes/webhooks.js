@@ -0,0 +1,248 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { protect, authorize } = require('../middleware/auth');
+const { queueDelivery } = require('../utils/webhooks');
+
+const webhookRules = [
+  body('name').optional().trim().notEmpty().withMessage('Webhook name cannot be empty'),
+  body('url').optional().isURL({ protocols: ['http', 'https'], require_tld: false }).withMessage('Enter a valid http(s) URL'),
+  body('events').optional().isArray().withMessage('Events must be a list'),
+  body('events.*').isIn(Webhook.EVENTS).withMessage('Unknown event'),
+  body('active').optional().isBoolean().withMessage('active must be true or false'),
+];
+
+const pickWebhookData = ({ name, url, events, active }) => {
+  const data = { name, url, events, active };
+  Object.keys(data).forEach((key) => data[key] === undefined && delete data[key]);
+  return data;
+};
+
+// @route   GET /api/webhooks
+// @desc    List webhooks and the events they can subscribe to
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().populate('createdBy', 'name email').sort('name');
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      events: Webhook.EVENTS,
+      webhooks,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Register a webhook; the signing secret is only returned here
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Webhook name is required'),
+  body('url').notEmpty().withMessage('Webhook URL is required'),
+  ...webhookRules,
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const secret = Webhook.generateSecret();
+    const webhook = await Webhook.create({
+      ...pickWebhookData(req.body),
+      secret,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook,
+      secret,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook',
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/webhooks/deliveries
+// @desc    Delivery log (filter by webhook, event, status)
+// @access  Private/Admin
+router.get('/deliveries', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { webhook, event, status, page = 1, limit = 25 } = req.query;
+    const query = {};
+    if (webhook) query.webhook = webhook;
+    if (event) query.event = event;
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+    const deliveries = await WebhookDelivery.find(query)
+      .populate('webhook', 'name url')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      deliveries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deliveries',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/webhooks/deliveries/:id/replay
+// @desc    Send a past delivery's payload again
+// @access  Private/Admin
+router.post('/deliveries/:id/replay', protect, authorize('admin'), async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.id);
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found',
+      });
+    }
+
+    const webhook = await Webhook.findById(original.webhook);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'The webhook for this delivery no longer exists',
+      });
+    }
+
+    const delivery = await queueDelivery(webhook, original.event, original.payload, original._id);
+
+    res.status(201).json({
+      success: true,
+      delivery,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error replaying delivery',
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook's name, URL, events or active flag
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), webhookRules, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const webhook = await Webhook.findByIdAndUpdate(
+      req.params.id,
+      pickWebhookData(req.body),
+      { new: true, runValidators: true }
+    );
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      webhook,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook',
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/secret
+// @desc    Issue a new signing secret (the old one stops working at once)
+// @access  Private/Admin
+router.post('/:id/secret', protect, authorize('admin'), async (req, res) => {
+  try {
+    const secret = Webhook.generateSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      webhook,
+      secret,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating secret',
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found',
+      });
+    }
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook',
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const net = require('net');
+
+// clamd INSTREAM: the file is sent as length-prefixed chunks, ended by a
+// zero-length chunk, and clamd answers "stream: OK" or "stream: <name> FOUND"
+const createClamavScanner = ({ socket, host, port, timeout }) => ({
+  scan: (stream) => new Promise((resolve, reject) => {
+    const connection = host ? net.createConnection(port, host) : net.createConnection(socket);
+    let reply = '';
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      connection.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    connection.setTimeout(timeout, () => finish(new Error('ClamAV scan timed out')));
+    connection.on('error', (error) => finish(error));
+    connection.on('data', (data) => {
+      reply += data.toString();
+    });
+    connection.on('end', () => {
+      const answer = reply.replace(/\0/g, '').trim();
+      const found = /^stream: (.+) FOUND$/.exec(answer);
+
+      if (/^stream: OK$/.test(answer)) {
+        finish(null, { clean: true });
+      } else if (found) {
+        finish(null, { clean: false, signature: found[1] });
+      } else {
+        finish(new Error(`Unexpected ClamAV reply: ${answer || 'none'}`));
+      }
+    });
+
+    connection.on('connect', async () => {
+      try {
+        connection.write('zINSTREAM\0');
+        for await (const chunk of stream) {
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          connection.write(size);
+          if (!connection.write(chunk)) {
+            await new Promise((done) => connection.once('drain', done));
+          }
+        }
+        connection.write(Buffer.alloc(4));
+      } catch (error) {
+        finish(error);
+      }
+    });
+  }),
+});
+
+module.exports = {
+  createClamavScanner,
+};
@@ -0,0 +1,126 @@
+const Document = require('../models/Document');
+const FileScan = require('../models/FileScan');
+const { openFile } = require('../storage');
+const { recordAudit } = require('../utils/auditLog');
+const { SCANNER, CLAMAV, SCAN_MAX_ATTEMPTS } = require('../config/scanning');
+
+// A scanner exposes scan(stream) -> { clean, signature }
+const SCANNERS = {
+  none: () => null,
+  clamav: () => require('./clamav').createClamavScanner(CLAMAV),
+};
+
+let scanner;
+
+const getScanner = () => {
+  if (!SCANNERS[SCANNER]) {
+    throw new Error(`Unknown scanner "${SCANNER}"`);
+  }
+  if (scanner === undefined) {
+    scanner = SCANNERS[SCANNER]();
+  }
+  return scanner;
+};
+
+const runScan = async (scan) => {
+  try {
+    const result = await getScanner().scan(await openFile(scan.filePath));
+    scan.status = result.clean ? 'clean' : 'infected';
+    scan.signature = result.signature;
+    scan.error = undefined;
+  } catch (error) {
+    scan.status = 'failed';
+    scan.error = error.message;
+    console.error(`Malware scan of ${scan.filePath} failed: ${error.message}`);
+  }
+
+  scan.attempts += 1;
+  scan.scannedAt = new Date();
+  await scan.save();
+
+  if (scan.status === 'infected') {
+    const document = await Document.findOne({ filePath: scan.filePath });
+    await recordAudit(null, {
+      action: 'document.quarantine',
+      document,
+      metadata: { filePath: scan.filePath, signature: scan.signature },
+    });
+  }
+  return scan;
+};
+
+// Quarantine a newly stored file and scan it in the background. Files that
+// already have a verdict (e.g. a restored version) are not scanned again.
+const queueScan = async (filePath) => {
+  if (!filePath || !getScanner()) {
+    return null;
+  }
+
+  const existing = await FileScan.findOne({ filePath });
+  if (existing && ['clean', 'infected'].includes(existing.status)) {
+    return existing;
+  }
+
+  const scan = existing || await FileScan.create({ filePath, scanner: SCANNER });
+  runScan(scan).catch((error) => {
+    console.error(`Recording malware scan of ${filePath} failed: ${error.message}`);
+  });
+  return scan;
+};
+
+// Retry scans that failed or were cut short by a restart
+const runPendingScans = async (now = new Date()) => {
+  const result = { clean: 0, infected: 0, failed: 0 };
+  if (!getScanner()) {
+    return result;
+  }
+
+  const stale = new Date(now.getTime() - 5 * 60 * 1000);
+  const scans = await FileScan.find({
+    $or: [
+      { status: 'failed' },
+      { status: 'pending', updatedAt: { $lt: stale } },
+    ],
+    attempts: { $lt: SCAN_MAX_ATTEMPTS },
+  });
+
+  for (const scan of scans) {
+    await runScan(scan);
+    result[scan.status] += 1;
+  }
+  return result;
+};
+
+// Scan status of each file path that has been scanned
+const getScanStatuses = async (filePaths) => {
+  const scans = await FileScan.find({ filePath: { $in: filePaths.filter(Boolean) } }).select('filePath status');
+  return new Map(scans.map((scan) => [scan.filePath, scan.status]));
+};
+
+// Plain copies of documents (or versions) with their file's scanStatus added
+const withScanStatus = async (items) => {
+  const statuses = await getScanStatuses(items.map((item) => item.filePath));
+  return items.map((item) => ({
+    ...(item.toObject ? item.toObject() : item),
+    scanStatus: statuses.get(item.filePath) || null,
+  }));
+};
+
+const QUARANTINE_MESSAGES = {
+  pending: 'This file is quarantined while it is scanned for malware',
+  failed: 'This file is quarantined because its malware scan could not complete',
+  infected: 'This file is quarantined because malware was found in it',
+};
+
+// Why a file can't be served, or null when it can
+const quarantineReason = async (filePath) => {
+  const scan = await FileScan.findOne({ filePath }).select('status');
+  return scan && scan.status !== 'clean' ? QUARANTINE_MESSAGES[scan.status] : null;
+};
+
+module.exports = {
+  queueScan,
+  runPendingScans,
+  withScanStatus,
+  quarantineReason,
+};
@@ -0,0 +1,60 @@
+// Encrypt stored files that are still plaintext, and re-wrap the data keys of
+// files encrypted under a master key other than ENCRYPTION_KEY_ID (run after
+// rotating keys). The old copy of each file is removed once nothing points
+// at it any more.
+// Usage: npm run encrypt-files [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { ENCRYPTION_KEY_ID } = require('../config/encryption');
+const { encryptionStatus, reencryptFile, removeFile } = require('../storage');
+const { collectFilePaths, replaceFileReference } = require('../utils/fileReferences');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  if (!ENCRYPTION_KEY_ID) {
+    throw new Error('Set ENCRYPTION_KEYS (and optionally ENCRYPTION_KEY_ID) first');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = { encrypted: 0, rewrapped: 0, current: 0, missing: 0, failed: 0 };
+  for (const filePath of await collectFilePaths()) {
+    try {
+      const status = await encryptionStatus(filePath);
+      if (!status) {
+        result.missing += 1;
+        console.warn(`Missing, skipped: ${filePath}`);
+        continue;
+      }
+      if (status === ENCRYPTION_KEY_ID) {
+        result.current += 1;
+        continue;
+      }
+
+      if (!dryRun) {
+        const newPath = await reencryptFile(filePath);
+        await replaceFileReference(filePath, newPath);
+        await removeFile(filePath);
+        console.log(`${filePath} -> ${newPath}`);
+      }
+      result[status === 'plaintext' ? 'encrypted' : 'rewrapped'] += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Encrypting ${filePath} failed: ${error.message}`);
+    }
+  }
+
+  console.log(
+    `${dryRun ? 'Dry run: ' : ''}${result.encrypted} encrypted, ${result.rewrapped} re-wrapped, `
+      + `${result.current} already current, ${result.missing} missing, ${result.failed} failed`
+  );
+  await mongoose.disconnect();
+  if (result.failed) {
+    process.exitCode = 1;
+  }
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
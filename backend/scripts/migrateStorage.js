@@ -0,0 +1,67 @@
+// Move stored files to another storage backend and update every reference.
+// Usage: npm run migrate-storage -- --to s3 [--dry-run] [--delete-source]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { driverOf, copyFile, fileExists, removeFile } = require('../storage');
+const { collectFilePaths, replaceFileReference } = require('../utils/fileReferences');
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, deleteSource: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--to') args.to = argv[(i += 1)];
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--delete-source') args.deleteSource = true;
+  }
+  return args;
+};
+
+const run = async () => {
+  const { to, dryRun, deleteSource } = parseArgs(process.argv.slice(2));
+  if (!to) {
+    throw new Error('Pass the target backend with --to (local or s3)');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const filePaths = (await collectFilePaths()).filter((filePath) => driverOf(filePath) !== to);
+  const result = { moved: 0, missing: 0, failed: 0 };
+  console.log(`${filePaths.length} files to move to ${to}${dryRun ? ' (dry run)' : ''}`);
+
+  for (const filePath of filePaths) {
+    try {
+      if (!(await fileExists(filePath))) {
+        result.missing += 1;
+        console.warn(`Missing, skipped: ${filePath}`);
+        continue;
+      }
+      if (dryRun) {
+        result.moved += 1;
+        continue;
+      }
+
+      const newPath = await copyFile(filePath, to);
+      await replaceFileReference(filePath, newPath);
+      // Only remove the original once nothing points at it any more
+      if (deleteSource) {
+        await removeFile(filePath);
+      }
+
+      result.moved += 1;
+      console.log(`${filePath} -> ${newPath}`);
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Moving ${filePath} failed: ${error.message}`);
+    }
+  }
+
+  console.log(`Moved ${result.moved}, missing ${result.missing}, failed ${result.failed}`);
+  await mongoose.disconnect();
+  if (result.failed) {
+    process.exitCode = 1;
+  }
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
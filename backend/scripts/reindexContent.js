@@ -0,0 +1,24 @@
+// Re-extract and index the text of every document's current file.
+// Usage: npm run reindex-content
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const { indexDocumentContent } = require('../utils/contentIndex');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let count = 0;
+  for await (const document of Document.find({ filePath: { $exists: true, $ne: null } }).cursor()) {
+    await indexDocumentContent(document);
+    count += 1;
+  }
+
+  console.log(`Indexed ${count} documents`);
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { ENCRYPTION_KEYS, ENCRYPTION_KEY_ID, ENCRYPTION_SEGMENT_SIZE } = require('../config/encryption');
+
+// Envelope encryption of stored files. Each file gets a random data key,
+// wrapped by a master key and kept in the file's own header:
+//
+//   "DXE1" | segment size (u32) | nonce prefix (8) | key id length (u8) | key id
+//   | wrapped key length (u16) | wrapped key (iv 12 + key 32 + tag 16)
+//
+// The body is a series of AES-256-GCM segments (ciphertext + 16-byte tag),
+// each with nonce = prefix | segment index and a flag marking the last one,
+// so a file can be decrypted as a stream or from any offset, and truncation
+// or reordering fails authentication.
+const MAGIC = Buffer.from('DXE1');
+const TAG_LENGTH = 16;
+// Enough to hold any header
+const HEADER_PEEK_BYTES = 512;
+
+const isEncryptionEnabled = () => Boolean(ENCRYPTION_KEY_ID);
+
+const wrapKey = (dataKey, keyId) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEYS.get(keyId), iv);
+  cipher.setAAD(Buffer.from(keyId));
+  return Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+};
+
+const unwrapKey = (wrappedKey, keyId) => {
+  const masterKey = ENCRYPTION_KEYS.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Master key "${keyId}" is not configured`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, wrappedKey.subarray(0, 12));
+  decipher.setAAD(Buffer.from(keyId));
+  decipher.setAuthTag(wrappedKey.subarray(wrappedKey.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(wrappedKey.subarray(12, wrappedKey.length - TAG_LENGTH)), decipher.final()]);
+};
+
+const buildHeader = ({ segmentSize, noncePrefix, keyId, wrappedKey }) => {
+  const fixed = Buffer.alloc(17);
+  MAGIC.copy(fixed, 0);
+  fixed.writeUInt32BE(segmentSize, 4);
+  noncePrefix.copy(fixed, 8);
+  fixed.writeUInt8(Buffer.byteLength(keyId), 16);
+  const wrappedLength = Buffer.alloc(2);
+  wrappedLength.writeUInt16BE(wrappedKey.length);
+  return Buffer.concat([fixed, Buffer.from(keyId), wrappedLength, wrappedKey]);
+};
+
+// Header fields of an encrypted file from its first bytes; null for plaintext
+const parseHeader = (head) => {
+  if (head.length < 17 || !head.subarray(0, 4).equals(MAGIC)) {
+    return null;
+  }
+  const keyIdLength = head.readUInt8(16);
+  const keyId = head.subarray(17, 17 + keyIdLength).toString();
+  const wrappedLength = head.readUInt16BE(17 + keyIdLength);
+  const wrappedStart = 19 + keyIdLength;
+
+  return {
+    segmentSize: head.readUInt32BE(4),
+    noncePrefix: Buffer.from(head.subarray(8, 16)),
+    keyId,
+    wrappedKey: Buffer.from(head.subarray(wrappedStart, wrappedStart + wrappedLength)),
+    headerLength: wrappedStart + wrappedLength,
+  };
+};
+
+// The same header with the data key re-wrapped under the active master key
+const rewrapHeader = (header) => {
+  const dataKey = unwrapKey(header.wrappedKey, header.keyId);
+  return buildHeader({ ...header, keyId: ENCRYPTION_KEY_ID, wrappedKey: wrapKey(dataKey, ENCRYPTION_KEY_ID) });
+};
+
+const segmentNonce = (noncePrefix, index) => {
+  const nonce = Buffer.alloc(12);
+  noncePrefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, 8);
+  return nonce;
+};
+
+const encryptSegment = (dataKey, noncePrefix, index, plaintext, last) => {
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, segmentNonce(noncePrefix, index));
+  cipher.setAAD(Buffer.from([last ? 1 : 0]));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+const decryptSegment = (dataKey, noncePrefix, index, segment, last) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, segmentNonce(noncePrefix, index));
+  decipher.setAAD(Buffer.from([last ? 1 : 0]));
+  decipher.setAuthTag(segment.subarray(segment.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(segment.subarray(0, segment.length - TAG_LENGTH)), decipher.final()]);
+};
+
+// Transform that turns plaintext into an encrypted file under the active key
+const createEncryptStream = () => {
+  const segmentSize = ENCRYPTION_SEGMENT_SIZE;
+  const dataKey = crypto.randomBytes(32);
+  const noncePrefix = crypto.randomBytes(8);
+  let buffered = Buffer.alloc(0);
+  let index = 0;
+
+  return new Transform({
+    construct(callback) {
+      this.push(buildHeader({
+        segmentSize,
+        noncePrefix,
+        keyId: ENCRYPTION_KEY_ID,
+        wrappedKey: wrapKey(dataKey, ENCRYPTION_KEY_ID),
+      }));
+      callback();
+    },
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+      // Hold back the final segment until we know it is the last one
+      while (buffered.length > segmentSize) {
+        this.push(encryptSegment(dataKey, noncePrefix, index, buffered.subarray(0, segmentSize), false));
+        buffered = buffered.subarray(segmentSize);
+        index += 1;
+      }
+      callback();
+    },
+    flush(callback) {
+      callback(null, encryptSegment(dataKey, noncePrefix, index, buffered, true));
+    },
+  });
+};
+
+const segmentCount = (header, storedSize) => {
+  const bodySize = storedSize - header.headerLength;
+  return Math.max(1, Math.ceil(bodySize / (header.segmentSize + TAG_LENGTH)));
+};
+
+// Size of the original file from an encrypted file's stored size
+const plaintextSize = (header, storedSize) => {
+  return storedSize - header.headerLength - segmentCount(header, storedSize) * TAG_LENGTH;
+};
+
+// Stored byte range to read for the plaintext range { start, end } (inclusive)
+const storedRange = (header, storedSize, { start, end }) => {
+  const unit = header.segmentSize + TAG_LENGTH;
+  const firstSegment = Math.floor(start / header.segmentSize);
+  const lastSegment = Math.floor(end / header.segmentSize);
+
+  return {
+    firstSegment,
+    start: header.headerLength + firstSegment * unit,
+    end: Math.min(header.headerLength + (lastSegment + 1) * unit, storedSize) - 1,
+  };
+};
+
+// Transform that decrypts segments starting at firstSegment and passes on
+// `length` plaintext bytes after skipping `skip`
+const createDecryptStream = (header, storedSize, { firstSegment = 0, skip = 0, length = Infinity } = {}) => {
+  const dataKey = unwrapKey(header.wrappedKey, header.keyId);
+  const unit = header.segmentSize + TAG_LENGTH;
+  const finalSegment = segmentCount(header, storedSize) - 1;
+  let buffered = Buffer.alloc(0);
+  let index = firstSegment;
+  let toSkip = skip;
+  let remaining = length;
+
+  const emit = (stream, segment) => {
+    let plaintext = decryptSegment(dataKey, header.noncePrefix, index, segment, index === finalSegment);
+    index += 1;
+    if (toSkip) {
+      const skipped = Math.min(toSkip, plaintext.length);
+      plaintext = plaintext.subarray(skipped);
+      toSkip -= skipped;
+    }
+    if (remaining < plaintext.length) {
+      plaintext = plaintext.subarray(0, remaining);
+    }
+    remaining -= plaintext.length;
+    if (plaintext.length) {
+      stream.push(plaintext);
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffered = Buffer.concat([buffered, chunk]);
+      try {
+        while (buffered.length >= unit) {
+          emit(this, buffered.subarray(0, unit));
+          buffered = buffered.subarray(unit);
+        }
+      } catch (error) {
+        return callback(new Error('Encrypted file failed authentication'));
+      }
+      callback();
+    },
+    flush(callback) {
+      try {
+        if (buffered.length) {
+          emit(this, buffered);
+        }
+      } catch (error) {
+        return callback(new Error('Encrypted file failed authentication'));
+      }
+      callback();
+    },
+  });
+};
+
+module.exports = {
+  HEADER_PEEK_BYTES,
+  isEncryptionEnabled,
+  parseHeader,
+  rewrapHeader,
+  createEncryptStream,
+  createDecryptStream,
+  plaintextSize,
+  storedRange,
+};
@@ -0,0 +1,343 @@
+const path = require('path');
+const { Readable, Transform, pipeline } = require('stream');
+const { STORAGE_DRIVER, UPLOAD_DIR, S3, PRESIGNED_URL_EXPIRES } = require('../config/storage');
+const { ENCRYPTION_KEY_ID } = require('../config/encryption');
+const {
+  HEADER_PEEK_BYTES,
+  isEncryptionEnabled,
+  parseHeader,
+  rewrapHeader,
+  createEncryptStream,
+  createDecryptStream,
+  plaintextSize,
+  storedRange,
+} = require('./encryption');
+
+// A stored file is referenced by its filePath: "s3:<key>" for objects in the
+// bucket, a plain relative path for files on local disk. Old records keep
+// working because they are all local paths.
+const DRIVERS = {
+  local: () => require('./local').createLocalStorage({ root: UPLOAD_DIR }),
+  s3: () => require('./s3').createS3Storage(S3),
+};
+
+const backends = {};
+
+const getBackend = (driver) => {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown storage driver "${driver}"`);
+  }
+  // Created on first use so the S3 client is only set up when needed
+  if (!backends[driver]) {
+    backends[driver] = DRIVERS[driver]();
+  }
+  return backends[driver];
+};
+
+const parseRef = (ref) => {
+  const match = /^([a-z0-9]+):(.+)$/.exec(ref);
+  if (match && match[1] !== 'local' && DRIVERS[match[1]]) {
+    return { driver: match[1], key: match[2] };
+  }
+  return { driver: 'local', key: ref };
+};
+
+const toRef = (driver, key) => (driver === 'local' ? key : `${driver}:${key}`);
+
+const driverOf = (ref) => parseRef(ref).driver;
+
+const newFileName = (originalName, prefix = 'file') => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return prefix + '-' + uniqueSuffix + path.extname(originalName).toLowerCase();
+};
+
+// Store a Buffer or stream under a new name; resolves to { filePath, fileSize }.
+// inspect(head), if given, sees the first inspectBytes bytes before anything
+// is written and can throw to reject the file.
+const saveFile = async (source, {
+  fileName,
+  contentType,
+  prefix,
+  inspect,
+  inspectBytes = 4096,
+  driver = STORAGE_DRIVER,
+}) => {
+  const backend = getBackend(driver);
+  const key = backend.keyFor(newFileName(fileName, prefix));
+
+  let fileSize = 0;
+  let head = inspect ? [] : null;
+
+  const releaseHead = (callback) => {
+    const data = Buffer.concat(head);
+    head = null;
+    try {
+      inspect(data);
+    } catch (error) {
+      return callback(error);
+    }
+    callback(null, data);
+  };
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      fileSize += chunk.length;
+      if (!head) {
+        return callback(null, chunk);
+      }
+      head.push(chunk);
+      if (fileSize < inspectBytes) {
+        return callback();
+      }
+      releaseHead(callback);
+    },
+    flush(callback) {
+      if (head) {
+        return releaseHead(callback);
+      }
+      callback();
+    },
+  });
+  const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+  // Errors in the source (e.g. an aborted upload) destroy the counter and
+  // fail the write below
+  pipeline(input, counter, () => {});
+  const stored = isEncryptionEnabled() ? pipeline(counter, createEncryptStream(), () => {}) : counter;
+
+  await backend.write(key, stored, { contentType });
+  return { filePath: toRef(driver, key), fileSize };
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Where a file is stored, its stored size and, if it is encrypted, its
+// header; null when the file doesn't exist
+const describeFile = async (ref) => {
+  const { driver, key } = parseRef(ref);
+  const backend = getBackend(driver);
+  const stat = await backend.stat(key);
+  if (!stat) {
+    return null;
+  }
+
+  let header = null;
+  if (stat.size) {
+    const head = await readStream(await backend.read(key, { start: 0, end: Math.min(HEADER_PEEK_BYTES, stat.size) - 1 }));
+    header = parseHeader(head);
+  }
+  return { driver, key, backend, storedSize: stat.size, header };
+};
+
+// Readable stream of a stored file, optionally a byte range { start, end }
+// (inclusive). Encrypted files are decrypted on the fly.
+const openFile = async (ref, range) => {
+  const file = await describeFile(ref);
+  if (!file) {
+    throw new Error(`Stored file ${ref} not found`);
+  }
+  if (!file.header) {
+    return file.backend.read(file.key, range);
+  }
+
+  const { header, storedSize } = file;
+  const stored = range
+    ? storedRange(header, storedSize, range)
+    : { firstSegment: 0, start: header.headerLength, end: storedSize - 1 };
+  const raw = await file.backend.read(file.key, { start: stored.start, end: stored.end });
+  const decrypt = createDecryptStream(header, storedSize, range ? {
+    firstSegment: stored.firstSegment,
+    skip: range.start - stored.firstSegment * header.segmentSize,
+    length: range.end - range.start + 1,
+  } : {});
+
+  return pipeline(raw, decrypt, () => {});
+};
+
+const readFile = async (ref) => readStream(await openFile(ref));
+
+// { size } of a stored file (its original size if encrypted), or null when
+// it doesn't exist
+const statFile = async (ref) => {
+  const file = await describeFile(ref);
+  if (!file) {
+    return null;
+  }
+  return { size: file.header ? plaintextSize(file.header, file.storedSize) : file.storedSize };
+};
+
+const fileExists = async (ref) => Boolean(ref && await statFile(ref));
+
+const removeFile = async (ref) => {
+  if (!ref) return;
+  const { driver, key } = parseRef(ref);
+  await getBackend(driver).remove(key);
+};
+
+// Presigned URL the client can download from directly; null when the
+// backend has no such thing (local disk) or the file is encrypted, since
+// only the API can decrypt it
+const getDownloadUrl = async (ref, fileName) => {
+  const file = await describeFile(ref);
+  if (!file || file.header) {
+    return null;
+  }
+  return file.backend.presign(file.key, { fileName, expiresIn: PRESIGNED_URL_EXPIRES });
+};
+
+// Answer 404 for a file removed after the route checked it exists
+const sendNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'File not found',
+});
+
+// Stream a stored file to the response as an attachment
+const sendFile = async (res, ref, fileName) => {
+  const stat = await statFile(ref);
+  if (!stat) {
+    return sendNotFound(res);
+  }
+  const stream = await openFile(ref);
+
+  res.attachment(fileName);
+  res.setHeader('Content-Length', stat.size);
+  pipeline(stream, res, (error) => {
+    if (error && !res.headersSent) {
+      res.status(500).end();
+    }
+  });
+};
+
+// Stream a stored file for display in the browser. A single byte range
+// (Range: bytes=...) is answered with 206 so PDF viewers can fetch pages on
+// demand; unsatisfiable ranges get 416 and anything else the whole file.
+const sendInline = async (req, res, ref, fileName, contentType) => {
+  const stat = await statFile(ref);
+  if (!stat) {
+    return sendNotFound(res);
+  }
+  const ranges = stat.size ? req.range(stat.size, { combine: true }) : undefined;
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  if (ranges === -1) {
+    res.setHeader('Content-Range', `bytes */${stat.size}`);
+    return res.status(416).end();
+  }
+
+  const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+  const stream = await openFile(ref, range || undefined);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.setHeader('Content-Length', stat.size);
+  }
+  pipeline(stream, res, (error) => {
+    if (error && !res.headersSent) {
+      res.status(500).end();
+    }
+  });
+};
+
+// Copy a stored file as-is (still encrypted, if it is) to another backend,
+// keeping its name; resolves to the new reference
+const copyFile = async (ref, driver) => {
+  const source = parseRef(ref);
+  const backend = getBackend(driver);
+  const key = backend.keyFor(path.basename(source.key));
+
+  await backend.write(key, await getBackend(source.driver).read(source.key));
+  return toRef(driver, key);
+};
+
+// Write a new copy of a stored file encrypted under the active master key:
+// plaintext files are encrypted, files under an older key get their data
+// key re-wrapped (the body is copied unchanged). Resolves to the new
+// reference, or null when the file is already under the active key.
+const reencryptFile = async (ref) => {
+  if (!isEncryptionEnabled()) {
+    throw new Error('Set ENCRYPTION_KEYS to encrypt stored files');
+  }
+  const file = await describeFile(ref);
+  if (!file) {
+    throw new Error(`Stored file ${ref} not found`);
+  }
+  if (file.header && file.header.keyId === ENCRYPTION_KEY_ID) {
+    return null;
+  }
+
+  const { header, backend, storedSize } = file;
+  let body;
+  if (header) {
+    const rest = await backend.read(file.key, { start: header.headerLength, end: storedSize - 1 });
+    body = Readable.from((async function* rewrapped() {
+      yield rewrapHeader(header);
+      yield* rest;
+    })());
+  } else {
+    body = pipeline(await backend.read(file.key), createEncryptStream(), () => {});
+  }
+
+  const key = backend.keyFor(newFileName(file.key));
+  await backend.write(key, body);
+  return toRef(file.driver, key);
+};
+
+// 'plaintext', or the id of the master key a stored file is encrypted under
+const encryptionStatus = async (ref) => {
+  const file = await describeFile(ref);
+  if (!file) {
+    return null;
+  }
+  return file.header ? file.header.keyId : 'plaintext';
+};
+
+// Multer storage engine that streams uploads into the active backend.
+// req.file.path is set to the file's storage reference. inspect(head, file)
+// can reject a file from its first bytes, see saveFile.
+const multerStorage = ({ inspect, inspectBytes } = {}) => ({
+  _handleFile(req, file, callback) {
+    saveFile(file.stream, {
+      fileName: file.originalname,
+      contentType: file.mimetype,
+      prefix: file.fieldname,
+      inspect: inspect && ((head) => inspect(head, file)),
+      inspectBytes,
+    })
+      .then(({ filePath, fileSize }) => callback(null, { path: filePath, size: fileSize }))
+      .catch(callback);
+  },
+  _removeFile(req, file, callback) {
+    removeFile(file.path).then(() => callback(null), callback);
+  },
+});
+
+module.exports = {
+  STORAGE_DRIVER,
+  driverOf,
+  saveFile,
+  openFile,
+  readFile,
+  statFile,
+  fileExists,
+  removeFile,
+  getDownloadUrl,
+  sendFile,
+  sendInline,
+  copyFile,
+  reencryptFile,
+  encryptionStatus,
+  multerStorage,
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Files on this server's disk. Keys are paths relative to the working
+// directory (uploads/file-123.pdf), the same form filePath has always had.
+const createLocalStorage = ({ root }) => ({
+  keyFor: (name) => path.join(root, name),
+
+  write: async (key, stream) => {
+    await fs.promises.mkdir(path.dirname(key), { recursive: true });
+    try {
+      await pipeline(stream, fs.createWriteStream(key));
+    } catch (error) {
+      // Don't leave a partial file behind
+      await fs.promises.rm(key, { force: true });
+      throw error;
+    }
+  },
+
+  // range is inclusive: { start, end }
+  read: async (key, range = {}) => fs.createReadStream(key, range),
+
+  stat: async (key) => {
+    try {
+      const stats = await fs.promises.stat(key);
+      return { size: stats.size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  remove: async (key) => {
+    await fs.promises.rm(key, { force: true });
+  },
+
+  // Local files are only served through the API
+  presign: async () => null,
+});
+
+module.exports = {
+  createLocalStorage,
+};
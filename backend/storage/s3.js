@@ -0,0 +1,71 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey'
+  || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, ...)
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, prefix }) => {
+  if (!bucket) {
+    throw new Error('S3 storage needs S3_BUCKET to be set');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    // Fall back to the SDK's default credential chain (env, profile, instance role)
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    keyFor: (name) => `${prefix}${name}`,
+
+    // Multipart upload straight from the stream, without buffering the file
+    write: async (key, stream, { contentType } = {}) => {
+      await new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: stream, ContentType: contentType },
+      }).done();
+    },
+
+    read: async (key, { start, end } = {}) => {
+      const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: range }));
+      return response.Body;
+    },
+
+    stat: async (key) => {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: response.ContentLength };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    presign: async (key, { fileName, expiresIn }) => {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    },
+  };
+};
+
+module.exports = {
+  createS3Storage,
+};
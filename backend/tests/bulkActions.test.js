@@ -0,0 +1,168 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+const AuditLog = require('../models/AuditLog');
+const Document = require('../models/Document');
+const DocumentShare = require('../models/DocumentShare');
+const DocumentType = require('../models/DocumentType');
+const Notification = require('../models/Notification');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const { BULK_ACTIONS, resolveSelection, forEachDocument, notifyReassigned } = require('../utils/bulkActions');
+const { BULK_MAX_DOCUMENTS } = require('../config/bulk');
+const { addDays } = require('../utils/dates');
+
+const sameId = (a, b) => String(a) === String(b);
+
+const user = (name, role = 'user') => new User({ name, email: `${name}@example.com`, password: 'password123', role });
+
+describe('bulk actions', () => {
+  const owner = user('olive');
+  const viewer = user('victor');
+  const newOwner = user('nora');
+  let documents;
+  let shares;
+
+  const addDocument = (fields = {}) => {
+    const document = new Document({
+      title: 'Office lease',
+      documentType: 'Lease',
+      issueDate: addDays(new Date(), -100),
+      expiryDate: addDays(new Date(), 200),
+      uploadedBy: owner._id,
+      ...fields,
+    });
+    documents.push(document);
+    return document;
+  };
+
+  const run = (action, currentUser, ids, params) => {
+    const req = { user: currentUser, body: {}, headers: {}, ip: '127.0.0.1', get: () => undefined };
+    return forEachDocument(currentUser, ids.map(String), BULK_ACTIONS[action].level, (document) => (
+      BULK_ACTIONS[action].run(req, document, params)
+    ));
+  };
+
+  beforeEach(() => {
+    documents = [];
+    shares = [];
+
+    mock.method(Document, 'findById', (id) => query(() => documents.find((doc) => sameId(doc._id, id)) || null));
+    mock.method(Document, 'findByIdAndUpdate', (id, update) => query(() => {
+      const current = documents.find((doc) => sameId(doc._id, id));
+      return new Document({ ...current.toObject(), ...update });
+    }));
+    mock.method(DocumentShare, 'find', (filter) => query(() => shares.filter((share) => (
+      sameId(share.document, filter.document) && (!filter.$or || sameId(share.user, filter.$or[0].user))
+    ))));
+    mock.method(Team, 'find', () => query([]));
+    mock.method(User, 'find', () => query([]));
+    mock.method(DocumentType, 'syncThresholds', async () => {});
+    mock.method(AuditLog, 'create', async () => {});
+    mock.method(Webhook, 'find', () => query([]));
+    mock.method(Notification, 'create', async (fields) => new Notification(fields));
+    mock.method(Notification, 'countDocuments', () => query(1));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('resolveSelection', () => {
+    it('takes each given id once', async () => {
+      const id = new mongoose.Types.ObjectId();
+      assert.deepEqual(await resolveSelection(owner, { ids: [id, String(id)] }), { ids: [String(id)] });
+    });
+
+    it('refuses an empty or oversized selection', async () => {
+      const tooMany = Array.from({ length: BULK_MAX_DOCUMENTS + 1 }, () => String(new mongoose.Types.ObjectId()));
+
+      assert.match((await resolveSelection(owner, {})).error, /by ids or by filter/);
+      assert.match((await resolveSelection(owner, { ids: [] })).error, /No documents selected/);
+      assert.match((await resolveSelection(owner, { ids: tooMany })).error, /at most/);
+    });
+  });
+
+  describe('forEachDocument', () => {
+    it('checks access to each document and reports every one', async () => {
+      const own = addDocument();
+      const shared = addDocument({ title: 'Parking permit', uploadedBy: newOwner._id });
+      shares.push(new DocumentShare({ document: shared._id, user: viewer._id, role: 'viewer' }));
+      const handler = mock.fn(async () => ({ done: true }));
+
+      const results = await forEachDocument(viewer, ['not-an-id', String(own._id), String(shared._id)], 'viewer', handler);
+
+      assert.deepEqual(results, [
+        { id: 'not-an-id', success: false, error: 'Document not found' },
+        { id: String(own._id), success: false, error: 'Document not found' },
+        { id: String(shared._id), title: 'Parking permit', success: true, done: true },
+      ]);
+      assert.equal((await forEachDocument(viewer, [String(shared._id)], 'editor', handler))[0].error,
+        'You need editor access to do this');
+      assert.equal(handler.mock.callCount(), 1);
+    });
+  });
+
+  describe('status', () => {
+    it('refuses Renewed, which only the renewal flow sets', async () => {
+      const req = { user: owner, body: { status: 'Renewed' } };
+
+      assert.match((await BULK_ACTIONS.status.prepare(req)).error, /by renewing them/);
+      assert.deepEqual(await BULK_ACTIONS.status.prepare({ user: owner, body: { status: 'Active' } }), {
+        params: { status: 'Active' },
+      });
+    });
+
+    it('fails each document whose dates give a different status', async () => {
+      const current = addDocument({ status: 'Expiring Soon' });
+      const expired = addDocument({ title: 'Old permit', expiryDate: addDays(new Date(), -10), status: 'Active' });
+      const renewed = addDocument({ title: 'Old lease', status: 'Renewed' });
+
+      const results = await run('status', owner, [current._id, expired._id, renewed._id], { status: 'Active' });
+
+      assert.deepEqual(results.map((result) => [result.success, result.status || result.error]), [
+        [true, 'Active'],
+        [false, 'Its expiry date makes it Expired'],
+        [false, 'A renewed document keeps its status'],
+      ]);
+      assert.equal(Document.findByIdAndUpdate.mock.callCount(), 1);
+      assert.deepEqual(Document.findByIdAndUpdate.mock.calls[0].arguments.slice(0, 2), [current._id, { status: 'Active' }]);
+    });
+  });
+
+  describe('reassign', () => {
+    it('hands documents to the new owner and tells them once', async () => {
+      const first = addDocument();
+      const second = addDocument({ title: 'Parking permit' });
+      const req = { user: owner, body: { owner: newOwner.email } };
+      mock.method(User, 'findOne', () => query(newOwner));
+
+      const prepared = await BULK_ACTIONS.reassign.prepare(req);
+      const results = await run('reassign', owner, [first._id, second._id], prepared.params);
+      await notifyReassigned(req, results, prepared.params);
+
+      assert.ok(results.every((result) => result.success));
+      assert.deepEqual(Document.findByIdAndUpdate.mock.calls.map((call) => call.arguments[1]), [
+        { uploadedBy: newOwner._id },
+        { uploadedBy: newOwner._id },
+      ]);
+      assert.equal(Notification.create.mock.callCount(), 1);
+      assert.deepEqual(
+        (({ user: to, type, title }) => ({ to: String(to), type, title }))(Notification.create.mock.calls[0].arguments[0]),
+        { to: String(newOwner._id), type: 'document.assigned', title: 'olive made you the owner of 2 documents' }
+      );
+    });
+
+    it('needs owner access', async () => {
+      const document = addDocument();
+      shares.push(new DocumentShare({ document: document._id, user: viewer._id, role: 'editor' }));
+
+      const [result] = await run('reassign', viewer, [document._id], { owner: newOwner });
+
+      assert.equal(result.error, 'You need owner access to do this');
+      assert.equal(Document.findByIdAndUpdate.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, mockResponse } = require('./helpers');
+const Document = require('../models/Document');
+const DocumentShare = require('../models/DocumentShare');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { hasAccess, getDocumentAccess, visibilityFilter } = require('../utils/documentAccess');
+const { checkDocumentAccess } = require('../middleware/documentAccess');
+
+const sameId = (a, b) => String(a) === String(b);
+
+const user = (name, role = 'user') => new User({ name, email: `${name}@example.com`, password: 'password123', role });
+
+describe('document access', () => {
+  const owner = user('olive');
+  const viewer = user('victor');
+  const teamMember = user('tess');
+  const stranger = user('sam');
+  const admin = user('ada', 'admin');
+  const team = new Team({ name: 'Legal', members: [{ user: teamMember._id }] });
+  const document = new Document({
+    title: 'Office lease',
+    documentType: 'Lease',
+    issueDate: new Date('2030-01-01'),
+    expiryDate: new Date('2031-01-01'),
+    uploadedBy: owner._id,
+  });
+  const otherDocument = new Document({
+    title: 'Parking permit',
+    documentType: 'Permit',
+    issueDate: new Date('2030-01-01'),
+    expiryDate: new Date('2031-01-01'),
+    uploadedBy: stranger._id,
+  });
+  const shares = [
+    new DocumentShare({ document: document._id, user: viewer._id, role: 'viewer' }),
+    new DocumentShare({ document: document._id, team: team._id, role: 'editor' }),
+    new DocumentShare({ document: otherDocument._id, user: viewer._id, role: 'viewer' }),
+  ];
+
+  beforeEach(() => {
+    mock.method(Team, 'find', (filter) => query(() => [team]
+      .filter((t) => t.members.some((member) => sameId(member.user, filter['members.user'])))
+      .map((t) => t._id)));
+
+    // Same matching as sharesFor's query: the document, then the user or one of their teams
+    mock.method(DocumentShare, 'find', (filter) => query(() => shares.filter((share) => {
+      if (filter.document && !sameId(share.document, filter.document)) return false;
+      const [byUser, byTeam] = filter.$or;
+      return sameId(share.user, byUser.user) || byTeam.team.$in.some((id) => sameId(id, share.team));
+    })));
+
+    mock.method(Document, 'findById', (id) => query(() => [document, otherDocument].find((doc) => sameId(doc._id, id)) || null));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('getDocumentAccess', () => {
+    it('gives owners and admins owner access', async () => {
+      assert.equal(await getDocumentAccess(owner, document), 'owner');
+      assert.equal(await getDocumentAccess(admin, document), 'owner');
+      assert.equal(DocumentShare.find.mock.callCount(), 0);
+    });
+
+    it('uses the strongest share, direct or through a team', async () => {
+      assert.equal(await getDocumentAccess(viewer, document), 'viewer');
+      assert.equal(await getDocumentAccess(teamMember, document), 'editor');
+      assert.equal(await getDocumentAccess(teamMember, otherDocument), null);
+      assert.equal(await getDocumentAccess(stranger, document), null);
+    });
+
+    it('ranks access levels', () => {
+      assert.ok(hasAccess('owner', 'editor'));
+      assert.ok(hasAccess('editor', 'viewer'));
+      assert.ok(!hasAccess('viewer', 'editor'));
+      assert.ok(!hasAccess(null, 'viewer'));
+    });
+  });
+
+  describe('visibilityFilter', () => {
+    it('lets admins see everything', async () => {
+      assert.deepEqual(await visibilityFilter(admin), {});
+    });
+
+    it('limits users without shares to their own documents', async () => {
+      assert.deepEqual(await visibilityFilter(owner), { uploadedBy: owner._id });
+    });
+
+    it('adds documents shared with the user or their teams', async () => {
+      assert.deepEqual(await visibilityFilter(viewer), {
+        $or: [{ uploadedBy: viewer._id }, { _id: { $in: [document._id, otherDocument._id] } }],
+      });
+      assert.deepEqual(await visibilityFilter(teamMember), {
+        $or: [{ uploadedBy: teamMember._id }, { _id: { $in: [document._id] } }],
+      });
+    });
+  });
+
+  describe('checkDocumentAccess', () => {
+    const run = async (level, currentUser, id = document._id) => {
+      const req = { user: currentUser, params: { id: String(id) } };
+      const res = mockResponse();
+      const next = mock.fn();
+      await checkDocumentAccess(level)(req, res, next);
+      return { req, res, next };
+    };
+
+    it('loads the document and the access level', async () => {
+      const { req, next } = await run('editor', teamMember);
+
+      assert.equal(next.mock.callCount(), 1);
+      assert.equal(req.document, document);
+      assert.equal(req.documentAccess, 'editor');
+    });
+
+    it('refuses a lower level with 403', async () => {
+      const { res, next } = await run('editor', viewer);
+
+      assert.equal(next.mock.callCount(), 0);
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.message, 'You need editor access to do this');
+    });
+
+    it('answers 404 for documents the user cannot see, as for missing ones', async () => {
+      const hidden = await run('viewer', stranger);
+      const missing = await run('viewer', stranger, new Document()._id);
+
+      assert.equal(hidden.next.mock.callCount(), 0);
+      assert.equal(hidden.res.statusCode, 404);
+      assert.deepEqual(hidden.res.body, missing.res.body);
+    });
+
+    it('requires owner access for owner-only routes', async () => {
+      assert.equal((await run('owner', teamMember)).res.statusCode, 403);
+      assert.equal((await run('owner', owner)).next.mock.callCount(), 1);
+      assert.equal((await run('owner', admin)).next.mock.callCount(), 1);
+    });
+  });
+});
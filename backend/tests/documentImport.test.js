@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { query } = require('./helpers');
+const DocumentType = require('../models/DocumentType');
+const { prepareImport } = require('../utils/documentImport');
+
+const csv = (lines) => ({ originalname: 'documents.csv', buffer: Buffer.from(lines.join('\n')) });
+
+const zip = (files) => {
+  const archive = new AdmZip();
+  Object.entries(files).forEach(([name, data]) => archive.addFile(name, data));
+  return archive.toBuffer();
+};
+
+describe('prepareImport', () => {
+  beforeEach(() => {
+    const types = [
+      new DocumentType({
+        name: 'Insurance',
+        expiringSoonDays: 60,
+        fields: [{ key: 'policyNumber', label: 'Policy Number', type: 'text', required: true }],
+      }),
+      new DocumentType({ name: 'Permit', expiringSoonDays: 14 }),
+    ];
+    mock.method(DocumentType, 'ensureDefaults', async () => {});
+    mock.method(DocumentType, 'find', () => query(types));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('maps known headers and reports row errors without writing anything', async () => {
+    const { rows, unmappedColumns } = await prepareImport({
+      file: csv([
+        'Title,Type,Issue Date,Expiry Date,Policy Number,Notes',
+        'Fleet cover,Insurance,2030-01-01,2031-01-01,POL-1,first',
+        'Street permit,Permit,2030-01-01,,,second',
+        'Mystery,Unknown,2030-01-01,2031-01-01,,third',
+        'Missing policy,Insurance,2030-01-01,2031-01-01,,fourth',
+      ]),
+    });
+
+    assert.deepEqual(unmappedColumns, ['Notes']);
+    assert.equal(rows.length, 4);
+
+    assert.deepEqual(rows[0].errors, []);
+    assert.equal(rows[0].row, 2);
+    assert.equal(rows[0].data.title, 'Fleet cover');
+    assert.equal(rows[0].data.documentType, 'Insurance');
+    assert.deepEqual(rows[0].data.customFields, { policyNumber: 'POL-1' });
+
+    assert.deepEqual(rows[1].errors.map((error) => error.field), ['expiryDate']);
+    assert.deepEqual(rows[2].errors.map((error) => error.message), ['Unknown document type "Unknown"']);
+    assert.deepEqual(rows[3].errors.map((error) => error.field), ['customFields.policyNumber']);
+  });
+
+  it('applies an explicit mapping to columns and custom fields', async () => {
+    const { rows } = await prepareImport({
+      file: csv([
+        'Label,Kind,From,Until,Policy',
+        'Fleet cover,Insurance,2030-01-01,2031-01-01,POL-9',
+      ]),
+      mapping: {
+        Label: 'title',
+        Kind: 'documentType',
+        From: 'issueDate',
+        Until: 'expiryDate',
+        Policy: 'customFields.policyNumber',
+      },
+    });
+
+    assert.deepEqual(rows[0].errors, []);
+    assert.equal(rows[0].data.expiryDate, '2031-01-01');
+    assert.deepEqual(rows[0].data.customFields, { policyNumber: 'POL-9' });
+  });
+
+  it('refuses mappings onto internal fields', async () => {
+    const file = csv(['Title,Path', 'Lease,/etc/passwd']);
+
+    for (const field of ['filePath', 'status', 'uploadedBy', '__proto__', 'customFields.__proto__', 'customFields']) {
+      await assert.rejects(
+        prepareImport({ file, mapping: { Path: field } }),
+        /cannot be mapped/,
+        `mapping to ${field} should be refused`
+      );
+    }
+    await assert.rejects(prepareImport({ file, mapping: ['title'] }), /must be an object/);
+  });
+
+  it('ignores headers that clash with object properties', async () => {
+    const { rows, unmappedColumns } = await prepareImport({
+      file: csv(['Title,constructor,toString', 'Lease,x,y']),
+    });
+
+    assert.deepEqual(unmappedColumns, ['constructor', 'toString']);
+    assert.equal(rows[0].data.title, 'Lease');
+  });
+
+  it('checks attachments by name and contents', async () => {
+    const { rows } = await prepareImport({
+      file: csv([
+        'Title,Type,Issue Date,Expiry Date,File',
+        'Real,Permit,2030-01-01,2031-01-01,real.pdf',
+        'Fake,Permit,2030-01-01,2031-01-01,fake.pdf',
+        'Missing,Permit,2030-01-01,2031-01-01,missing.pdf',
+        'Script,Permit,2030-01-01,2031-01-01,run.exe',
+      ]),
+      attachmentsZip: zip({
+        'scans/real.pdf': Buffer.from('%PDF-1.7\n'),
+        'fake.pdf': Buffer.from('MZ\x90\x00'),
+      }),
+    });
+
+    assert.deepEqual(rows[0].errors, []);
+    assert.equal(rows[0].attachment.entryName, 'scans/real.pdf');
+    assert.match(rows[1].errors[0].message, /do not match its file type/);
+    assert.match(rows[2].errors[0].message, /not found in attachments/);
+    assert.match(rows[3].errors[0].message, /Only PDF/);
+  });
+
+  it('rejects an attachments ZIP that expands past the limits before extracting it', async () => {
+    const file = csv(['Title', 'Lease']);
+
+    await assert.rejects(
+      prepareImport({ file, attachmentsZip: zip({ 'huge.pdf': Buffer.alloc(10 * 1024 * 1024 + 1) }) }),
+      /larger than 10MB/
+    );
+
+    const many = {};
+    for (let i = 0; i <= 2000; i += 1) many[`file${i}.pdf`] = Buffer.from('%PDF-');
+    await assert.rejects(prepareImport({ file, attachmentsZip: zip(many) }), /at most 2000 files/);
+  });
+
+  it('limits the number of rows', async () => {
+    const lines = ['Title'];
+    for (let i = 0; i <= 1000; i += 1) lines.push(`Document ${i}`);
+
+    await assert.rejects(prepareImport({ file: csv(lines) }), /limited to 1000 rows/);
+  });
+});
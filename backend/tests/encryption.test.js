@@ -0,0 +1,114 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-test-'));
+const masterKey = () => crypto.randomBytes(32).toString('base64');
+process.env.UPLOAD_DIR = uploadDir;
+process.env.ENCRYPTION_KEYS = `current:${masterKey()},previous:${masterKey()}`;
+process.env.ENCRYPTION_KEY_ID = 'current';
+// Small segments so short files span several of them
+process.env.ENCRYPTION_SEGMENT_SIZE = '1024';
+
+const {
+  saveFile,
+  openFile,
+  readFile,
+  statFile,
+  reencryptFile,
+  encryptionStatus,
+} = require('../storage');
+const { parseKeys } = require('../config/encryption');
+
+const readRange = async (ref, range) => {
+  const chunks = [];
+  for await (const chunk of await openFile(ref, range)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('encrypted storage', () => {
+  const plaintext = crypto.randomBytes(5000);
+
+  after(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  it('stores files encrypted and reads them back unchanged', async () => {
+    const { filePath, fileSize } = await saveFile(plaintext, { fileName: 'contract.pdf' });
+    const stored = fs.readFileSync(filePath);
+
+    assert.equal(fileSize, plaintext.length);
+    assert.equal(stored.subarray(0, 4).toString(), 'DXE1');
+    assert.equal(stored.indexOf(plaintext.subarray(0, 64)), -1);
+    assert.deepEqual(await readFile(filePath), plaintext);
+    assert.deepEqual(await statFile(filePath), { size: plaintext.length });
+    assert.equal(await encryptionStatus(filePath), 'current');
+  });
+
+  it('decrypts any byte range, across segment boundaries', async () => {
+    const { filePath } = await saveFile(plaintext, { fileName: 'contract.pdf' });
+    const ranges = [
+      { start: 0, end: 0 },
+      { start: 1023, end: 1024 },
+      { start: 1000, end: 3100 },
+      { start: 2048, end: 3071 },
+      { start: 4999, end: 4999 },
+      { start: 0, end: 4999 },
+    ];
+
+    for (const range of ranges) {
+      assert.deepEqual(
+        await readRange(filePath, range),
+        plaintext.subarray(range.start, range.end + 1),
+        `bytes ${range.start}-${range.end}`
+      );
+    }
+  });
+
+  it('round-trips empty files and files of exactly one segment', async () => {
+    for (const data of [Buffer.alloc(0), plaintext.subarray(0, 1024)]) {
+      const { filePath } = await saveFile(data, { fileName: 'small.pdf' });
+      assert.deepEqual(await readFile(filePath), data);
+      assert.deepEqual(await statFile(filePath), { size: data.length });
+    }
+  });
+
+  it('fails authentication when the file is tampered with or truncated', async () => {
+    const { filePath } = await saveFile(plaintext, { fileName: 'contract.pdf' });
+    const stored = fs.readFileSync(filePath);
+
+    const tampered = Buffer.from(stored);
+    tampered[tampered.length - 100] ^= 1;
+    fs.writeFileSync(filePath, tampered);
+    await assert.rejects(readFile(filePath), /failed authentication/);
+
+    // Cut off after the first two segments (1024 bytes + 16-byte tag each)
+    const headerLength = stored.length - 5000 - 5 * 16;
+    fs.writeFileSync(filePath, stored.subarray(0, headerLength + 2 * 1040));
+    await assert.rejects(readFile(filePath), /failed authentication/);
+  });
+
+  it('encrypts an existing plaintext file into a new copy', async () => {
+    const plainPath = path.join(uploadDir, 'legacy.pdf');
+    fs.writeFileSync(plainPath, plaintext);
+    assert.equal(await encryptionStatus(plainPath), 'plaintext');
+
+    const encryptedPath = await reencryptFile(plainPath);
+
+    assert.notEqual(encryptedPath, plainPath);
+    assert.equal(await encryptionStatus(encryptedPath), 'current');
+    assert.deepEqual(await readFile(encryptedPath), plaintext);
+    assert.equal(await reencryptFile(encryptedPath), null);
+  });
+
+  it('rejects malformed master keys', () => {
+    assert.throws(() => parseKeys('short:AAAA'), /must be id:<32-byte base64 key>/);
+    assert.throws(() => parseKeys(`:${masterKey()}`), /must be id/);
+    assert.deepEqual([...parseKeys(` a:${masterKey()} , b:${masterKey()} `).keys()], ['a', 'b']);
+  });
+});
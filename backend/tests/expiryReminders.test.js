@@ -0,0 +1,194 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+const { query, duplicateKeyError } = require('./helpers');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ReminderLog = require('../models/ReminderLog');
+const ReminderPreference = require('../models/ReminderPreference');
+const { runExpiryReminders, buildEmail } = require('../jobs/expiryReminders');
+const { startOfDay, addDays } = require('../utils/dates');
+
+// Local SMTP stand-in that keeps every message it receives
+const startSmtpServer = () => new Promise((resolve) => {
+  const messages = [];
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onData(stream, session, callback) {
+      simpleParser(stream).then((message) => {
+        messages.push({
+          to: session.envelope.rcptTo.map((rcpt) => rcpt.address),
+          subject: message.subject,
+          html: message.html,
+        });
+        callback();
+      }, callback);
+    },
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages }));
+});
+
+describe('runExpiryReminders', () => {
+  const now = new Date('2030-06-01T08:00:00Z');
+  const env = { SMTP_HOST: process.env.SMTP_HOST, SMTP_PORT: process.env.SMTP_PORT };
+  let smtp;
+  let owner;
+  let documents;
+  let preferences;
+  let claims;
+
+  const restoreEnv = (name) => {
+    if (env[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = env[name];
+    }
+  };
+
+  before(async () => {
+    smtp = await startSmtpServer();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.server.server.address().port);
+  });
+
+  after(async () => {
+    restoreEnv('SMTP_HOST');
+    restoreEnv('SMTP_PORT');
+    await new Promise((resolve) => smtp.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    smtp.messages.length = 0;
+    owner = new User({ name: 'Olive Owner', email: 'olive@example.com', password: 'password123' });
+    documents = [];
+    preferences = [];
+    claims = new Map();
+
+    mock.method(ReminderPreference, 'find', () => query(() => preferences));
+    mock.method(Document, 'find', () => query(() => documents));
+    mock.method(Notification, 'create', async (fields) => new Notification(fields));
+    mock.method(Notification, 'countDocuments', () => query(0));
+
+    // Same rule as ReminderLog's unique index: document, lead time, expiry date
+    mock.method(ReminderLog, 'create', async (fields) => {
+      const key = `${fields.document}:${fields.leadTime}:${fields.expiryDate.toISOString()}`;
+      if (claims.has(key)) {
+        throw duplicateKeyError();
+      }
+      const log = { ...fields, deleteOne: async () => claims.delete(key) };
+      claims.set(key, log);
+      return log;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const createDocument = (daysLeft, fields = {}) => {
+    const document = new Document({
+      title: 'Office lease',
+      documentType: 'Lease',
+      issueDate: addDays(startOfDay(now), -365),
+      expiryDate: addDays(startOfDay(now), daysLeft),
+      uploadedBy: owner,
+      status: 'Expiring Soon',
+      ...fields,
+    });
+    documents.push(document);
+    return document;
+  };
+
+  it('emails the owner once when a lead time is reached', async () => {
+    const document = createDocument(7);
+
+    const first = await runExpiryReminders(now);
+    assert.equal(first.sent, 1);
+    assert.equal(first.failed, 0);
+    assert.equal(smtp.messages.length, 1);
+    assert.deepEqual(smtp.messages[0].to, ['olive@example.com']);
+    assert.equal(smtp.messages[0].subject, 'Reminder: "Office lease" expires in 7 days');
+    assert.deepEqual([...claims.values()].map((log) => [log.document, log.leadTime]), [[document._id, 7]]);
+
+    const [filter] = Document.find.mock.calls[0].arguments;
+    assert.deepEqual(filter.status, { $ne: 'Renewed' });
+    assert.deepEqual(filter.expiryDate.$gte, startOfDay(now));
+
+    // Same day again, e.g. a second server process: nothing is sent twice
+    const second = await runExpiryReminders(now);
+    assert.equal(second.sent, 0);
+    assert.equal(smtp.messages.length, 1);
+    assert.equal(claims.size, 1);
+  });
+
+  it('sends a fresh reminder when the expiry date changes', async () => {
+    const document = createDocument(7);
+    await runExpiryReminders(now);
+
+    document.expiryDate = addDays(startOfDay(now), 6);
+    const result = await runExpiryReminders(now);
+
+    assert.equal(result.sent, 1);
+    assert.equal(smtp.messages.length, 2);
+    assert.equal(claims.size, 2);
+  });
+
+  it('skips owners who turned reminders off and documents not yet due', async () => {
+    createDocument(120);
+    const result = await runExpiryReminders(now);
+    assert.equal(result.sent, 0);
+
+    createDocument(7, { title: 'Parking permit' });
+    preferences.push(new ReminderPreference({ user: owner._id, enabled: false }));
+    assert.equal((await runExpiryReminders(now)).sent, 0);
+    assert.equal(smtp.messages.length, 0);
+  });
+
+  it('releases the claim when sending fails so the next run retries', async () => {
+    createDocument(1);
+
+    try {
+      process.env.SMTP_PORT = '1';
+
+      // The transport is created on first use, so point a fresh copy of the
+      // job and sendEmail at a closed port
+      delete require.cache[require.resolve('../utils/sendEmail')];
+      delete require.cache[require.resolve('../jobs/expiryReminders')];
+      const job = require('../jobs/expiryReminders');
+
+      const result = await job.runExpiryReminders(now);
+      assert.equal(result.failed, 1);
+      assert.equal(claims.size, 0);
+    } finally {
+      process.env.SMTP_PORT = String(smtp.server.server.address().port);
+    }
+
+    const retry = await runExpiryReminders(now);
+    assert.equal(retry.sent, 1);
+    assert.equal(smtp.messages.length, 1);
+  });
+});
+
+describe('buildEmail', () => {
+  it('escapes user input in the HTML body', () => {
+    const email = buildEmail(
+      {
+        title: '<script>alert("x")</script>',
+        documentType: 'Contract',
+        documentNumber: 'A&B-1',
+        expiryDate: new Date('2030-06-08T00:00:00Z'),
+      },
+      { name: 'Olive', email: 'olive@example.com' },
+      7
+    );
+
+    assert.ok(!email.html.includes('<script>'));
+    assert.ok(email.html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+    assert.ok(email.html.includes('A&amp;B-1'));
+    assert.ok(email.text.includes('<script>'));
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFileType, checkFileSignature } = require('../utils/fileSignature');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+
+describe('file signatures', () => {
+  it('recognises a PDF header at the start, after a little whitespace', () => {
+    assert.equal(detectFileType(Buffer.from('%PDF-1.7\n')), 'pdf');
+    assert.equal(detectFileType(Buffer.from('\r\n %PDF-1.4\n')), 'pdf');
+  });
+
+  it('does not take a PDF header further into the file for a PDF', () => {
+    assert.equal(detectFileType(Buffer.from('MZ\x90\x00\x03\x00%PDF-1.7')), null);
+    assert.equal(detectFileType(Buffer.from(`${' '.repeat(16)}%PDF-1.7`)), null);
+    assert.throws(
+      () => checkFileSignature(Buffer.from('MZ\x90\x00%PDF-1.7'), 'invoice.pdf', 'application/pdf'),
+      /do not match its file type/
+    );
+  });
+
+  it('checks the extension against the contents', () => {
+    assert.doesNotThrow(() => checkFileSignature(PNG, 'scan.png', 'image/png'));
+    assert.throws(() => checkFileSignature(PNG, 'scan.pdf'), /do not match its file type/);
+    assert.throws(() => checkFileSignature(PNG, 'scan.exe'), /do not match its file type/);
+  });
+
+  it('rejects a mimetype that disagrees with the contents or is unknown', () => {
+    assert.throws(() => checkFileSignature(PNG, 'scan.png', 'image/jpeg'), /declared type image\/jpeg/);
+    assert.throws(() => checkFileSignature(PNG, 'scan.png', 'application/x-msdownload'), /declared type/);
+    assert.throws(() => checkFileSignature(PNG, 'scan.png', 'constructor'), /declared type/);
+    assert.doesNotThrow(() => checkFileSignature(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), 'photo.jpg', 'image/jpg'));
+  });
+});
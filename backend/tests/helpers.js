@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// The tests never connect to MongoDB. Every query a test relies on is
+// replaced with mock.method; any other query fails at once instead of
+// waiting for a connection.
+mongoose.set('bufferCommands', false);
+
+const QUERY_METHODS = ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'collation', 'distinct'];
+
+// Stand-in for a mongoose Query: chainable like one and awaitable, resolving
+// to `result` (or what it returns, when it is a function)
+const query = (result) => {
+  const resolve = () => Promise.resolve(typeof result === 'function' ? result() : result);
+  const chain = {
+    then: (onFulfilled, onRejected) => resolve().then(onFulfilled, onRejected),
+    exec: resolve,
+  };
+  QUERY_METHODS.forEach((method) => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+// Enough of an Express response for the routes and middleware under test
+const mockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    cookies: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    cookie(name, value, options) {
+      res.cookies[name] = { value, options };
+      return res;
+    },
+    clearCookie(name, options) {
+      res.cookies[name] = { value: null, options };
+      return res;
+    },
+  };
+  return res;
+};
+
+// What MongoDB throws when a unique index is violated
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+module.exports = {
+  query,
+  mockResponse,
+  duplicateKeyError,
+};
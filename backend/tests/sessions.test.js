@@ -0,0 +1,168 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, mockResponse } = require('./helpers');
+
+process.env.JWT_SECRET = 'sessions-test-secret';
+
+const AccessToken = require('../models/AccessToken');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { signAccessToken, verifyAccessToken, refreshSession } = require('../utils/sessions');
+const { createViewToken, viewTokenUser } = require('../utils/viewTokens');
+const { protect } = require('../middleware/auth');
+const { addDays } = require('../utils/dates');
+
+describe('sessions', () => {
+  const user = new User({ name: 'olive', email: 'olive@example.com', password: 'password123' });
+  let session;
+
+  const request = (headers = {}) => ({
+    headers,
+    ip: '127.0.0.1',
+    method: 'GET',
+    get: (name) => headers[name.toLowerCase()],
+  });
+  const withRefreshCookie = (token) => request({ cookie: `theme=dark; refreshToken=${token}` });
+
+  beforeEach(() => {
+    session = new Session({
+      user: user._id,
+      tokenHash: Session.hashToken('current'),
+      lastUsedAt: new Date(),
+      expiresAt: addDays(new Date(), 30),
+    });
+    mock.method(AuditLog, 'create', async () => {});
+    mock.method(User, 'findById', () => query(user));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('refreshSession', () => {
+    it('rotates the refresh token and issues an access token for the session', async () => {
+      mock.method(Session, 'findOneAndUpdate', () => query(session));
+      const res = mockResponse();
+
+      const result = await refreshSession(withRefreshCookie('current'), res);
+
+      const [filter, update] = Session.findOneAndUpdate.mock.calls[0].arguments;
+      assert.equal(filter.tokenHash, Session.hashToken('current'));
+      assert.equal(update.previousTokenHash, Session.hashToken('current'));
+      assert.equal(update.tokenHash, Session.hashToken(res.cookies.refreshToken.value));
+      assert.notEqual(res.cookies.refreshToken.value, 'current');
+      assert.equal(res.cookies.refreshToken.options.httpOnly, true);
+      assert.equal(verifyAccessToken(result.token).sid, String(session._id));
+    });
+
+    it('lets a tab that lost the race keep the session within the grace window', async () => {
+      session.rotatedAt = new Date(Date.now() - 5000);
+      mock.method(session, 'deleteOne', async () => {});
+      mock.method(Session, 'findOneAndUpdate', () => query(null));
+      mock.method(Session, 'findOne', () => query(session));
+      const res = mockResponse();
+
+      const result = await refreshSession(withRefreshCookie('previous'), res);
+
+      assert.equal(result.session, session);
+      assert.equal(Session.findOne.mock.calls[0].arguments[0].previousTokenHash, Session.hashToken('previous'));
+      assert.equal(session.deleteOne.mock.callCount(), 0);
+      assert.deepEqual(res.cookies, {});
+    });
+
+    it('ends the session when a replaced token comes back later', async () => {
+      session.rotatedAt = new Date(Date.now() - 10 * 60 * 1000);
+      mock.method(session, 'deleteOne', async () => {});
+      mock.method(Session, 'findOneAndUpdate', () => query(null));
+      mock.method(Session, 'findOne', () => query(session));
+      const res = mockResponse();
+
+      const result = await refreshSession(withRefreshCookie('previous'), res);
+
+      assert.match(result.error, /sign in again/);
+      assert.equal(session.deleteOne.mock.callCount(), 1);
+      assert.equal(AuditLog.create.mock.calls[0].arguments[0].action, 'session.token_reuse');
+      assert.equal(res.cookies.refreshToken.value, null);
+    });
+
+    it('asks to sign in without a refresh cookie', async () => {
+      assert.deepEqual(await refreshSession(request(), mockResponse()), { error: 'Not signed in' });
+    });
+  });
+
+  describe('protect', () => {
+    const run = async (req) => {
+      const res = mockResponse();
+      const next = mock.fn();
+      await protect(req, res, next);
+      return { req, res, next };
+    };
+
+    it('accepts an access token while its session exists', async () => {
+      mock.method(Session, 'findOne', () => query(session));
+      const { req, next } = await run(request({ authorization: `Bearer ${signAccessToken(session)}` }));
+
+      assert.equal(next.mock.callCount(), 1);
+      assert.equal(req.user, user);
+      assert.equal(req.sessionId, session._id);
+    });
+
+    it('rejects an access token whose session was deleted', async () => {
+      mock.method(Session, 'findOne', () => query(null));
+      const { res, next } = await run(request({ authorization: `Bearer ${signAccessToken(session)}` }));
+
+      assert.equal(next.mock.callCount(), 0);
+      assert.equal(res.statusCode, 401);
+    });
+
+    it('takes personal access tokens, with bulk download as a read', async () => {
+      const token = AccessToken.generateToken();
+      const accessToken = new AccessToken({ user: user._id, name: 'Reports', scopes: ['documents:read'], tokenHash: 'x' });
+      accessToken.user = user;
+      mock.method(AccessToken, 'findOne', () => query(accessToken));
+      mock.method(AccessToken, 'updateOne', () => query({}));
+      const post = (path) => ({
+        ...request({ authorization: `Bearer ${token}` }),
+        method: 'POST',
+        baseUrl: '/api/documents',
+        path,
+      });
+
+      assert.equal((await run(post('/bulk/download'))).next.mock.callCount(), 1);
+      const refused = await run(post('/bulk'));
+      assert.equal(refused.res.statusCode, 403);
+      assert.match(refused.res.body.message, /documents:write/);
+    });
+  });
+
+  describe('view tokens', () => {
+    const document = { _id: '65f0c0ffee0000000000000a' };
+
+    it('work while the session they were issued to exists', async () => {
+      const token = createViewToken({ user, sessionId: session._id }, document);
+      mock.method(Session, 'findOne', () => query(session));
+
+      assert.equal(await viewTokenUser(token, document._id), user);
+      assert.deepEqual(Session.findOne.mock.calls[0].arguments[0], { _id: String(session._id), user: String(user._id) });
+      assert.equal(await viewTokenUser(token, '65f0c0ffee0000000000000b'), null);
+    });
+
+    it('stop working once the session ends', async () => {
+      const token = createViewToken({ user, sessionId: session._id }, document);
+      mock.method(Session, 'findOne', () => query(null));
+
+      assert.equal(await viewTokenUser(token, document._id), null);
+    });
+
+    it('follow the personal access token they were issued to', async () => {
+      const accessToken = new AccessToken({ user: user._id, name: 'Reports', scopes: ['documents:read'], tokenHash: 'y' });
+      accessToken.expiresAt = new Date(Date.now() - 1000);
+      const token = createViewToken({ user, accessToken }, document);
+      mock.method(AccessToken, 'findOne', () => query(accessToken));
+
+      assert.equal(await viewTokenUser(token, document._id), null);
+      assert.equal(AccessToken.findOne.mock.calls[0].arguments[0]._id, String(accessToken._id));
+    });
+  });
+});
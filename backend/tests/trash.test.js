@@ -0,0 +1,144 @@
+const { describe, it, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { query } = require('./helpers');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-test-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const AuditLog = require('../models/AuditLog');
+const Document = require('../models/Document');
+const DocumentContent = require('../models/DocumentContent');
+const DocumentShare = require('../models/DocumentShare');
+const DocumentVersion = require('../models/DocumentVersion');
+const FileScan = require('../models/FileScan');
+const TrashedDocument = require('../models/TrashedDocument');
+const { saveFile } = require('../storage');
+const { moveToTrash, purgeTrashed } = require('../utils/trash');
+const { runTrashPurge } = require('../jobs/trashPurge');
+const { addDays } = require('../utils/dates');
+
+describe('trash', () => {
+  const now = new Date('2030-06-01T08:00:00Z');
+  let removed;
+
+  const storedFile = async (name) => (await saveFile(Buffer.from('%PDF-1.7\n'), { fileName: name })).filePath;
+
+  const trashedDocument = async (fields = {}) => {
+    const document = new Document({
+      title: 'Office lease',
+      documentType: 'Lease',
+      issueDate: new Date('2029-01-01'),
+      expiryDate: new Date('2030-01-01'),
+      uploadedBy: new mongoose.Types.ObjectId(),
+      filePath: await storedFile('lease.pdf'),
+    });
+    const trashed = new TrashedDocument({
+      documentId: document._id,
+      snapshot: document.toObject(),
+      title: document.title,
+      purgeAt: addDays(now, -1),
+      ...fields,
+    });
+    mock.method(trashed, 'deleteOne', async () => removed.push(trashed.documentId));
+    return trashed;
+  };
+
+  after(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    removed = [];
+    mock.method(AuditLog, 'create', async () => {});
+    mock.method(DocumentVersion, 'deleteMany', () => query({ deletedCount: 0 }));
+    mock.method(DocumentShare, 'deleteMany', () => query({ deletedCount: 0 }));
+    mock.method(DocumentContent, 'deleteOne', () => query({ deletedCount: 0 }));
+    mock.method(FileScan, 'deleteMany', () => query({ deletedCount: 0 }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps a snapshot and schedules the purge when a document is deleted', async () => {
+    const document = new Document({
+      title: 'Office lease',
+      documentType: 'Lease',
+      issueDate: new Date('2029-01-01'),
+      expiryDate: new Date('2030-01-01'),
+      uploadedBy: new mongoose.Types.ObjectId(),
+    });
+    mock.method(TrashedDocument, 'create', async (fields) => new TrashedDocument(fields));
+    mock.method(Document, 'deleteOne', () => query({ deletedCount: 1 }));
+
+    const trashed = await moveToTrash(document, document.uploadedBy);
+
+    assert.equal(trashed.snapshot.title, 'Office lease');
+    assert.deepEqual(trashed.owner, document.uploadedBy);
+    assert.equal(Math.round((trashed.purgeAt - trashed.deletedAt) / 86400000), 30);
+    assert.deepEqual(Document.deleteOne.mock.calls[0].arguments[0], { _id: document._id });
+  });
+
+  it('removes every version file, the shares and the search entry when purging', async () => {
+    const trashed = await trashedDocument();
+    const olderFile = await storedFile('lease-v1.pdf');
+    mock.method(DocumentVersion, 'find', () => query([
+      new DocumentVersion({ document: trashed.documentId, version: 1, filePath: olderFile }),
+      new DocumentVersion({ document: trashed.documentId, version: 2, filePath: trashed.snapshot.filePath }),
+    ]));
+
+    await purgeTrashed(trashed);
+
+    assert.ok(!fs.existsSync(trashed.snapshot.filePath));
+    assert.ok(!fs.existsSync(olderFile));
+    assert.deepEqual(DocumentShare.deleteMany.mock.calls[0].arguments[0], { document: trashed.documentId });
+    assert.deepEqual(DocumentContent.deleteOne.mock.calls[0].arguments[0], { document: trashed.documentId });
+    assert.deepEqual(removed, [trashed.documentId]);
+  });
+
+  it('never purges a document under legal hold', async () => {
+    const trashed = await trashedDocument({ legalHold: { active: true, reason: 'Litigation' } });
+    mock.method(DocumentVersion, 'find', () => query([]));
+
+    await assert.rejects(purgeTrashed(trashed), /under legal hold/);
+
+    assert.ok(fs.existsSync(trashed.snapshot.filePath));
+    assert.equal(DocumentShare.deleteMany.mock.callCount(), 0);
+    assert.deepEqual(removed, []);
+  });
+
+  describe('runTrashPurge', () => {
+    it('purges only expired entries that are not on hold', async () => {
+      const due = await trashedDocument();
+      mock.method(TrashedDocument, 'find', () => query([due]));
+      mock.method(DocumentVersion, 'find', () => query([]));
+
+      const result = await runTrashPurge(now);
+
+      assert.deepEqual(result, { purged: 1, failed: 0 });
+      assert.deepEqual(TrashedDocument.find.mock.calls[0].arguments[0], {
+        purgeAt: { $lte: now },
+        'legalHold.active': { $ne: true },
+      });
+      assert.equal(AuditLog.create.mock.calls[0].arguments[0].action, 'document.purge');
+      assert.ok(!fs.existsSync(due.snapshot.filePath));
+    });
+
+    it('refuses an entry on hold even when the query returns it', async () => {
+      const held = await trashedDocument({ legalHold: { active: true } });
+      mock.method(TrashedDocument, 'find', () => query([held]));
+      mock.method(DocumentVersion, 'find', () => query([]));
+      mock.method(console, 'error', () => {});
+
+      const result = await runTrashPurge(now);
+
+      assert.deepEqual(result, { purged: 0, failed: 1 });
+      assert.ok(fs.existsSync(held.snapshot.filePath));
+      assert.equal(AuditLog.create.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields that change on every write and say nothing about the edit
+const IGNORED_FIELDS = ['updatedAt', 'createdAt', '__v', '_id'];
+
+const comparable = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value.toHexString === 'function') return value.toHexString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Field-level differences between two versions of a document
+const diffDocuments = (before, after) => {
+  const from = before.toObject ? before.toObject() : before;
+  const to = after.toObject ? after.toObject() : after;
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => comparable(from[field]) !== comparable(to[field]))
+    .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+};
+
+// Record an action taken through the API, or by a scheduled job when req is
+// null. Never throws: a failed audit write is logged so it cannot break the
+// request that triggered it.
+const recordAudit = async (req, { action, document, changes, metadata }) => {
+  const user = req && req.user;
+
+  try {
+    await AuditLog.create({
+      action,
+      actor: user && user._id,
+      actorName: user ? user.name : 'System',
+      actorEmail: user && user.email,
+      document: document && document._id,
+      documentTitle: document && document.title,
+      ip: req && req.ip,
+      userAgent: req && req.get('user-agent'),
+      changes,
+      metadata,
+    });
+  } catch (error) {
+    console.error(`Audit log write for ${action} failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  diffDocuments,
+  recordAudit,
+};
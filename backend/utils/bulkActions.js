@@ -0,0 +1,258 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const Document = require('../models/Document');
+const DocumentType = require('../models/DocumentType');
+const User = require('../models/User');
+const { hasAccess, getDocumentAccess } = require('./documentAccess');
+const { buildDocumentQuery } = require('./documentQuery');
+const { searchDocumentContent } = require('./contentIndex');
+const { calculateStatus } = require('./documentStatus');
+const { checkCustomFields } = require('./customFields');
+const { diffDocuments, recordAudit } = require('./auditLog');
+const { moveToTrash } = require('./trash');
+const { csvField } = require('./documentExport');
+const { documentPayload, changesPayload, emitWebhookEvent, emitStatusChange } = require('./webhooks');
+const { notify, announceDocumentChange } = require('./notifications');
+const { readFile, fileExists } = require('../storage');
+const { quarantineReason } = require('../scanning');
+const { BULK_MAX_DOCUMENTS, BULK_ZIP_MAX_BYTES } = require('../config/bulk');
+
+// Renewed is only set by renewing a document, which also creates its successor
+const STATUSES = Document.STATUSES.filter((status) => status !== 'Renewed');
+
+// Ids a bulk request applies to: the given `ids`, or every document the user
+// can see that matches `filter` (the same filters as the document list).
+// Resolves to { ids } or { error }.
+const resolveSelection = async (user, { ids, filter }) => {
+  let selected;
+  if (Array.isArray(ids)) {
+    selected = [...new Set(ids.map(String))];
+  } else if (filter && typeof filter === 'object') {
+    const contentMatches = filter.search ? await searchDocumentContent(filter.search) : null;
+    const query = await buildDocumentQuery(user, filter, contentMatches);
+    const documents = await Document.find(query).select('_id').limit(BULK_MAX_DOCUMENTS + 1);
+    selected = documents.map((doc) => String(doc._id));
+  } else {
+    return { error: 'Select documents by ids or by filter' };
+  }
+
+  if (!selected.length) {
+    return { error: 'No documents selected' };
+  }
+  if (selected.length > BULK_MAX_DOCUMENTS) {
+    return { error: `A bulk action can change at most ${BULK_MAX_DOCUMENTS} documents` };
+  }
+  return { ids: selected };
+};
+
+// Run handler(document) for each id the user has `level` access to, one at a
+// time. Resolves to one { id, title, success, error?, ...handlerResult } per id.
+const forEachDocument = async (user, ids, level, handler) => {
+  const results = [];
+
+  for (const id of ids) {
+    const document = mongoose.isValidObjectId(id) ? await Document.findById(id) : null;
+    const access = document ? await getDocumentAccess(user, document) : null;
+
+    if (!access) {
+      results.push({ id, success: false, error: 'Document not found' });
+      continue;
+    }
+    if (!hasAccess(access, level)) {
+      results.push({ id, title: document.title, success: false, error: `You need ${level} access to do this` });
+      continue;
+    }
+
+    try {
+      const extra = await handler(document);
+      results.push({ id, title: document.title, success: true, ...extra });
+    } catch (error) {
+      results.push({ id, title: document.title, success: false, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Save an update the same way PUT /api/documents/:id does: audit entry,
+// webhook and live refresh
+const applyUpdate = async (req, document, updateData, announceTo = []) => {
+  const updated = await Document.findByIdAndUpdate(document._id, updateData, { new: true, runValidators: true });
+  const changes = diffDocuments(document, updated);
+
+  if (changes.length) {
+    await recordAudit(req, { action: 'document.update', document: updated, changes, metadata: { bulk: true } });
+    await emitWebhookEvent('document.updated', {
+      document: documentPayload(updated),
+      changes: changesPayload(changes),
+    });
+    await emitStatusChange(updated, document.status);
+    await announceDocumentChange(updated, announceTo);
+  }
+  return updated;
+};
+
+// Each action: the access it needs on every document, prepare(req) to check
+// and load its parameters once ({ params } or { error }), and
+// run(req, document, params) per document
+const BULK_ACTIONS = {
+  delete: {
+    level: 'owner',
+    prepare: () => ({ params: {} }),
+    run: async (req, document) => {
+      await moveToTrash(document, req.user._id);
+      await recordAudit(req, { action: 'document.delete', document, metadata: { bulk: true } });
+      await announceDocumentChange(document);
+    },
+  },
+
+  status: {
+    level: 'editor',
+    prepare: async (req) => {
+      if (req.body.status === 'Renewed') {
+        return { error: 'Documents are marked Renewed by renewing them' };
+      }
+      if (!STATUSES.includes(req.body.status)) {
+        return { error: `Status must be one of: ${STATUSES.join(', ')}` };
+      }
+      await DocumentType.syncThresholds();
+      return { params: { status: req.body.status } };
+    },
+    // The status is worked out from the expiry date, so a document only takes
+    // the requested status when its dates give it. Any other document fails
+    // rather than silently getting a different status.
+    run: async (req, document, { status }) => {
+      if (document.status === 'Renewed') {
+        throw new Error('A renewed document keeps its status');
+      }
+      const derived = calculateStatus({ expiryDate: document.expiryDate, documentType: document.documentType });
+      if (derived !== status) {
+        throw new Error(`Its expiry date makes it ${derived}`);
+      }
+      const updated = await applyUpdate(req, document, { status });
+      return { status: updated.status };
+    },
+  },
+
+  reassign: {
+    level: 'owner',
+    prepare: async (req) => {
+      const { owner } = req.body;
+      const user = mongoose.isValidObjectId(owner)
+        ? await User.findById(owner)
+        : await User.findOne({ email: String(owner || '').toLowerCase() });
+      if (!user) {
+        return { error: 'New owner not found' };
+      }
+      return { params: { owner: user } };
+    },
+    run: async (req, document, { owner }) => {
+      if (String(document.uploadedBy) !== String(owner._id)) {
+        await applyUpdate(req, document, { uploadedBy: owner._id }, [document.uploadedBy]);
+      }
+      return { owner: owner._id };
+    },
+  },
+
+  documentType: {
+    level: 'editor',
+    prepare: async (req) => {
+      const documentType = await DocumentType.findOne({ name: req.body.documentType, active: true });
+      if (!documentType) {
+        return { error: `Unknown document type "${req.body.documentType}"` };
+      }
+      await DocumentType.syncThreshold(documentType.name);
+      return { params: { documentType: documentType.name } };
+    },
+    // The document's custom fields must satisfy the new type's fields
+    run: async (req, document, { documentType }) => {
+      const customFields = await checkCustomFields(documentType, document.customFields || {});
+      if (customFields.errors.length) {
+        throw new Error(customFields.errors.map((error) => error.msg).join('; '));
+      }
+      await applyUpdate(req, document, {
+        documentType,
+        customFields: customFields.values,
+        status: calculateStatus({ status: document.status, expiryDate: document.expiryDate, documentType }),
+      });
+    },
+  },
+};
+
+// After a reassignment, tell each new owner once rather than per document
+const notifyReassigned = async (req, results, { owner }) => {
+  const assigned = results.filter((result) => result.success);
+  if (!assigned.length) return;
+
+  await notify([owner._id], {
+    type: 'document.assigned',
+    title: assigned.length === 1
+      ? `${req.user.name} made you the owner of "${assigned[0].title}"`
+      : `${req.user.name} made you the owner of ${assigned.length} documents`,
+    document: assigned.length === 1 ? assigned[0].id : undefined,
+    actor: req.user._id,
+  });
+};
+
+// Name for a file inside the ZIP, unique within it
+const zipEntryName = (document, used) => {
+  const base = `${document.title} - ${document.fileName || path.basename(document.filePath)}`
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .slice(0, 150);
+  const ext = path.extname(base);
+  let name = base;
+  for (let n = 2; used.has(name.toLowerCase()); n += 1) {
+    name = `${base.slice(0, base.length - ext.length)} (${n})${ext}`;
+  }
+  used.add(name.toLowerCase());
+  return name;
+};
+
+// ZIP of the selected documents' files plus a report listing what was left
+// out and why. Resolves to { buffer, results }.
+const buildDownloadZip = async (req, ids) => {
+  const zip = new AdmZip();
+  const used = new Set();
+  let totalBytes = 0;
+
+  const results = await forEachDocument(req.user, ids, 'viewer', async (document) => {
+    if (!document.filePath || !(await fileExists(document.filePath))) {
+      throw new Error('No file attached');
+    }
+    const quarantined = await quarantineReason(document.filePath);
+    if (quarantined) {
+      throw new Error(quarantined);
+    }
+    if (totalBytes + (document.fileSize || 0) > BULK_ZIP_MAX_BYTES) {
+      throw new Error('Left out: the ZIP size limit was reached');
+    }
+
+    const data = await readFile(document.filePath);
+    totalBytes += data.length;
+    const fileName = zipEntryName(document, used);
+    zip.addFile(fileName, data);
+    await recordAudit(req, {
+      action: 'document.download',
+      document,
+      metadata: { fileName: document.fileName, bulk: true },
+    });
+    return { fileName };
+  });
+
+  const report = [
+    ['Document', 'Title', 'Included', 'File', 'Error'],
+    ...results.map((result) => [result.id, result.title, result.success ? 'yes' : 'no', result.fileName, result.error]),
+  ].map((row) => row.map(csvField).join(',')).join('\r\n');
+  zip.addFile('download-report.csv', Buffer.from(`${report}\r\n`));
+
+  return { buffer: zip.toBuffer(), results };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  resolveSelection,
+  forEachDocument,
+  notifyReassigned,
+  buildDownloadZip,
+};
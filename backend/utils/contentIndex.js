@@ -0,0 +1,92 @@
+const DocumentContent = require('../models/DocumentContent');
+const { extractText } = require('./textExtraction');
+const { readFile } = require('../storage');
+
+const MAX_CONTENT_MATCHES = 1000;
+const SNIPPET_RADIUS = 80;
+
+// Extract and store the text of a document's current file. Failures are
+// logged rather than thrown so a bad file never blocks an upload.
+const indexDocumentContent = async (document) => {
+  try {
+    if (!document.filePath) {
+      await DocumentContent.deleteOne({ document: document._id });
+      return;
+    }
+
+    const text = await extractText(await readFile(document.filePath), document.fileName);
+    if (text === null) {
+      await DocumentContent.deleteOne({ document: document._id });
+      return;
+    }
+
+    await DocumentContent.findOneAndUpdate(
+      { document: document._id },
+      { filePath: document.filePath, text, extractedAt: new Date() },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Indexing content of document ${document._id} failed: ${error.message}`);
+  }
+};
+
+const removeDocumentContent = (documentId) => DocumentContent.deleteOne({ document: documentId });
+
+// Text-search file contents: Map of document id -> relevance score
+const searchDocumentContent = async (search) => {
+  const matches = await DocumentContent.find(
+    { $text: { $search: search } },
+    { score: { $meta: 'textScore' }, document: 1 }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_CONTENT_MATCHES);
+
+  return new Map(matches.map((match) => [String(match.document), match.get('score')]));
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const searchTerms = (search) => {
+  return search
+    .split(/\s+/)
+    .map((term) => term.replace(/^["'-]+|["']+$/g, ''))
+    .filter((term) => term.length > 1);
+};
+
+// A short excerpt around the first match, split into segments so the client
+// can highlight matches without rendering HTML
+const buildSnippet = (text, search) => {
+  const terms = searchTerms(search);
+  if (!text || !terms.length) {
+    return null;
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'ig');
+  const first = text.search(pattern);
+  if (first === -1) {
+    return null;
+  }
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS);
+  const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\n/g, ' ')}${end < text.length ? '…' : ''}`;
+
+  return excerpt
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.some((term) => term.toLowerCase() === part.toLowerCase()) }));
+};
+
+const getSnippets = async (documentIds, search) => {
+  const contents = await DocumentContent.find({ document: { $in: documentIds } }).select('document text');
+  return new Map(contents.map((content) => [String(content.document), buildSnippet(content.text, search)]));
+};
+
+module.exports = {
+  indexDocumentContent,
+  removeDocumentContent,
+  searchDocumentContent,
+  getSnippets,
+  buildSnippet,
+  escapeRegex,
+};
@@ -0,0 +1,143 @@
+const { DEFAULT_CURRENCY } = require('../config/costs');
+const { startOfDay, addDays, daysUntil } = require('./dates');
+
+// Terms shorter than this are not projected to repeat within the horizon
+const MIN_TERM_DAYS = 28;
+
+const NO_DEPARTMENT = 'No department';
+
+const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// What renewing a document is expected to cost: its renewal cost when one
+// is recorded, otherwise what the current term cost. null when neither is set.
+const renewalAmount = (document) => {
+  if (document.renewalCost !== undefined && document.renewalCost !== null) {
+    return document.renewalCost;
+  }
+  return document.cost ?? null;
+};
+
+// Dates in [from, until) on which a document is expected to be renewed. The
+// first renewal is due on its expiry date (at `from` when already overdue);
+// after that the current term length (issue to expiry) is assumed to repeat.
+const renewalDates = (document, from, until) => {
+  const expiry = startOfDay(document.expiryDate);
+  const first = expiry < from ? from : expiry;
+  if (first >= until) {
+    return [];
+  }
+
+  const dates = [first];
+  const term = document.issueDate ? daysUntil(document.expiryDate, document.issueDate) : 0;
+  if (term >= MIN_TERM_DAYS) {
+    for (let next = addDays(first, term); next < until; next = addDays(next, term)) {
+      dates.push(next);
+    }
+  }
+  return dates;
+};
+
+const emptyForecast = (currency, months) => ({
+  currency,
+  total: 0,
+  count: 0,
+  overdue: { total: 0, count: 0 },
+  months: months.map((month) => ({ month, total: 0, count: 0, byDocumentType: {} })),
+  byDepartment: new Map(),
+  byDocumentType: new Map(),
+});
+
+const addTo = (groups, name, amount) => {
+  const group = groups.get(name) || { name, total: 0, count: 0 };
+  group.total += amount;
+  group.count += 1;
+  groups.set(name, group);
+};
+
+const sortedGroups = (groups) => [...groups.values()]
+  .map((group) => ({ ...group, total: round(group.total) }))
+  .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+// Projected renewal spend for `months` calendar months starting with the
+// month of `from`, one forecast per currency (amounts are never converted).
+// Documents need uploadedBy populated with department. Documents due for
+// renewal without any cost recorded are counted in `uncosted`.
+const forecastRenewals = (documents, from, months) => {
+  const start = startOfDay(from);
+  const firstMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  const until = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+  const monthKeys = Array.from({ length: months }, (_, i) => {
+    return monthKey(new Date(Date.UTC(firstMonth.getUTCFullYear(), firstMonth.getUTCMonth() + i, 1)));
+  });
+
+  const forecasts = new Map();
+  let uncosted = 0;
+
+  documents.forEach((document) => {
+    const dates = renewalDates(document, start, until);
+    if (!dates.length) {
+      return;
+    }
+
+    const amount = renewalAmount(document);
+    if (amount === null) {
+      uncosted += 1;
+      return;
+    }
+
+    const currency = document.currency || DEFAULT_CURRENCY;
+    if (!forecasts.has(currency)) {
+      forecasts.set(currency, emptyForecast(currency, monthKeys));
+    }
+    const forecast = forecasts.get(currency);
+    const department = (document.uploadedBy && document.uploadedBy.department) || NO_DEPARTMENT;
+
+    if (startOfDay(document.expiryDate) < start) {
+      forecast.overdue.total += amount;
+      forecast.overdue.count += 1;
+    }
+
+    dates.forEach((date) => {
+      const month = forecast.months[monthKeys.indexOf(monthKey(date))];
+      month.total += amount;
+      month.count += 1;
+      month.byDocumentType[document.documentType] = (month.byDocumentType[document.documentType] || 0) + amount;
+
+      forecast.total += amount;
+      forecast.count += 1;
+      addTo(forecast.byDepartment, department, amount);
+      addTo(forecast.byDocumentType, document.documentType, amount);
+    });
+  });
+
+  return {
+    from: firstMonth,
+    until,
+    months,
+    uncosted,
+    forecasts: [...forecasts.values()]
+      .map((forecast) => ({
+        ...forecast,
+        total: round(forecast.total),
+        overdue: { ...forecast.overdue, total: round(forecast.overdue.total) },
+        months: forecast.months.map((month) => ({
+          ...month,
+          total: round(month.total),
+          byDocumentType: Object.fromEntries(
+            Object.entries(month.byDocumentType).map(([type, total]) => [type, round(total)])
+          ),
+        })),
+        byDepartment: sortedGroups(forecast.byDepartment),
+        byDocumentType: sortedGroups(forecast.byDocumentType),
+      }))
+      .sort((a, b) => b.total - a.total),
+  };
+};
+
+module.exports = {
+  renewalAmount,
+  renewalDates,
+  forecastRenewals,
+};
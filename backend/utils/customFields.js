@@ -0,0 +1,103 @@
+const DocumentType = require('../models/DocumentType');
+
+// Multipart forms send customFields as a JSON string
+const parseCustomFields = (raw) => {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Same shape as express-validator errors so routes can return both together
+const fieldError = (path, msg, value) => ({ type: 'field', location: 'body', path, msg, value });
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Check one value against its field definition: [castValue, errorMessage]
+const checkField = (field, value) => {
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value);
+      if (Number.isNaN(number)) return [null, `${field.label} must be a number`];
+      if (field.min !== undefined && number < field.min) return [null, `${field.label} must be at least ${field.min}`];
+      if (field.max !== undefined && number > field.max) return [null, `${field.label} must be at most ${field.max}`];
+      return [number];
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return [null, `${field.label} must be a valid date`];
+      return [date];
+    }
+    case 'boolean': {
+      if ([true, 'true', '1', 'yes'].includes(value)) return [true];
+      if ([false, 'false', '0', 'no'].includes(value)) return [false];
+      return [null, `${field.label} must be yes or no`];
+    }
+    case 'select': {
+      if (!field.options.includes(String(value))) {
+        return [null, `${field.label} must be one of: ${field.options.join(', ')}`];
+      }
+      return [String(value)];
+    }
+    default: {
+      const text = String(value).trim();
+      if (field.min !== undefined && text.length < field.min) return [null, `${field.label} must be at least ${field.min} characters`];
+      if (field.max !== undefined && text.length > field.max) return [null, `${field.label} must be at most ${field.max} characters`];
+      if (field.pattern && !new RegExp(field.pattern).test(text)) return [null, `${field.label} is not in the expected format`];
+      return [text];
+    }
+  }
+};
+
+// Validate custom field values against a type's schema. Unknown keys are dropped.
+const validateCustomFields = (documentType, raw) => {
+  const input = parseCustomFields(raw);
+  const values = {};
+  const errors = [];
+
+  documentType.fields.forEach((field) => {
+    const value = input[field.key];
+    if (isEmpty(value)) {
+      if (field.required) {
+        errors.push(fieldError(`customFields.${field.key}`, `${field.label} is required`, value));
+      }
+      return;
+    }
+
+    const [cast, message] = checkField(field, value);
+    if (message) {
+      errors.push(fieldError(`customFields.${field.key}`, message, value));
+    } else {
+      values[field.key] = cast;
+    }
+  });
+
+  return { values, errors };
+};
+
+// Look up the named type and validate values against it
+const checkCustomFields = async (documentTypeName, raw) => {
+  let documentType = await DocumentType.findOne({ name: documentTypeName, active: true });
+  if (!documentType && !(await DocumentType.estimatedDocumentCount())) {
+    await DocumentType.ensureDefaults();
+    documentType = await DocumentType.findOne({ name: documentTypeName, active: true });
+  }
+  if (!documentType) {
+    return {
+      values: {},
+      errors: [fieldError('documentType', `Unknown document type "${documentTypeName}"`, documentTypeName)],
+    };
+  }
+  return validateCustomFields(documentType, raw);
+};
+
+module.exports = {
+  parseCustomFields,
+  checkField,
+  validateCustomFields,
+  checkCustomFields,
+};
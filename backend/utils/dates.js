@@ -0,0 +1,22 @@
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Midnight (UTC) of the given date, so day arithmetic ignores time of day
+const startOfDay = (date = new Date()) => {
+  const d = new Date(date);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// Whole days from `from` until `to` (negative once `to` has passed)
+const daysUntil = (to, from = new Date()) => {
+  return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+};
+
+module.exports = {
+  DAY_MS,
+  startOfDay,
+  addDays,
+  daysUntil,
+};
@@ -0,0 +1,61 @@
+const Team = require('../models/Team');
+const DocumentShare = require('../models/DocumentShare');
+
+// Access levels, lowest first
+const ACCESS_LEVELS = ['viewer', 'editor', 'owner'];
+
+const hasAccess = (access, required) => {
+  return ACCESS_LEVELS.indexOf(access) >= ACCESS_LEVELS.indexOf(required);
+};
+
+const getTeamIds = async (user) => {
+  return Team.find({ 'members.user': user._id }).distinct('_id');
+};
+
+// Share records that apply to the user, directly or through a team
+const sharesFor = async (user, extra = {}) => {
+  const teamIds = await getTeamIds(user);
+  return DocumentShare.find({
+    ...extra,
+    $or: [{ user: user._id }, { team: { $in: teamIds } }],
+  });
+};
+
+// The user's access to a document: owner, editor, viewer or null
+const getDocumentAccess = async (user, document) => {
+  if (user.role === 'admin') {
+    return 'owner';
+  }
+
+  const ownerId = document.uploadedBy && document.uploadedBy._id ? document.uploadedBy._id : document.uploadedBy;
+  if (String(ownerId) === String(user._id)) {
+    return 'owner';
+  }
+
+  const shares = await sharesFor(user, { document: document._id });
+  if (!shares.length) {
+    return null;
+  }
+  return shares.some((share) => share.role === 'editor') ? 'editor' : 'viewer';
+};
+
+// Mongo filter for the documents a user may see: admins see everything,
+// everyone else their own plus those shared with them or their teams
+const visibilityFilter = async (user) => {
+  if (user.role === 'admin') {
+    return {};
+  }
+
+  const sharedIds = (await sharesFor(user)).map((share) => share.document);
+  if (!sharedIds.length) {
+    return { uploadedBy: user._id };
+  }
+  return { $or: [{ uploadedBy: user._id }, { _id: { $in: sharedIds } }] };
+};
+
+module.exports = {
+  ACCESS_LEVELS,
+  hasAccess,
+  getDocumentAccess,
+  visibilityFilter,
+};
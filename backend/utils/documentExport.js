@@ -0,0 +1,184 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { daysUntil } = require('./dates');
+const { renewalAmount } = require('./costForecast');
+const { DEFAULT_CURRENCY } = require('../config/costs');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+// Same palette as getStatusStyle in DocumentList
+const STATUS_COLORS = {
+  Active: '#065F46',
+  'Expiring Soon': '#92400E',
+  Expired: '#991B1B',
+  Renewed: '#1E40AF',
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const COLUMNS = [
+  { header: 'Title', width: 30, value: (doc) => doc.title },
+  { header: 'Document Number', width: 18, value: (doc) => doc.documentNumber || '' },
+  { header: 'Type', width: 14, value: (doc) => doc.documentType },
+  { header: 'Issuer', width: 20, value: (doc) => doc.issuer || '' },
+  { header: 'Issue Date', width: 12, value: (doc) => formatDate(doc.issueDate) },
+  { header: 'Expiry Date', width: 12, value: (doc) => formatDate(doc.expiryDate) },
+  { header: 'Days Left', width: 10, value: (doc) => daysUntil(doc.expiryDate) },
+  { header: 'Status', width: 14, value: (doc) => doc.status },
+  { header: 'Cost', width: 10, value: (doc) => doc.cost ?? '' },
+  { header: 'Renewal Cost', width: 12, value: (doc) => doc.renewalCost ?? '' },
+  { header: 'Currency', width: 9, value: (doc) => (renewalAmount(doc) !== null ? doc.currency || DEFAULT_CURRENCY : '') },
+  { header: 'Owner', width: 20, value: (doc) => (doc.uploadedBy ? doc.uploadedBy.name : '') },
+  { header: 'Owner Email', width: 26, value: (doc) => (doc.uploadedBy ? doc.uploadedBy.email : '') },
+  { header: 'Department', width: 16, value: (doc) => (doc.uploadedBy ? doc.uploadedBy.department || '' : '') },
+];
+
+// Quote fields that need it, and defuse values a spreadsheet would run as formulas
+const csvField = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportCsv = async (cursor, res) => {
+  res.write('﻿' + COLUMNS.map((col) => csvField(col.header)).join(',') + '\r\n');
+  for await (const doc of cursor) {
+    const line = COLUMNS.map((col) => csvField(col.value(doc))).join(',') + '\r\n';
+    if (!res.write(line)) {
+      await new Promise((resolve) => res.once('drain', resolve));
+    }
+  }
+  res.end();
+};
+
+const exportXlsx = async (cursor, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet('Documents');
+  sheet.columns = COLUMNS.map((col) => ({ header: col.header, width: col.width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const doc of cursor) {
+    sheet.addRow(COLUMNS.map((col) => col.value(doc))).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+const PDF_COLUMNS = [
+  { header: 'Title', width: 170, value: (doc) => doc.title },
+  { header: 'Type', width: 75, value: (doc) => doc.documentType },
+  { header: 'Number', width: 85, value: (doc) => doc.documentNumber || '' },
+  { header: 'Expiry Date', width: 70, value: (doc) => formatDate(doc.expiryDate) },
+  { header: 'Days Left', width: 55, value: (doc) => String(daysUntil(doc.expiryDate)) },
+  { header: 'Status', width: 80, value: (doc) => doc.status },
+  { header: 'Owner', width: 120, value: (doc) => (doc.uploadedBy ? doc.uploadedBy.name : '') },
+  { header: 'Department', width: 107, value: (doc) => (doc.uploadedBy ? doc.uploadedBy.department || '' : '') },
+];
+
+const describeRange = (label, from, to) => {
+  if (from && to) return `${label}: ${from} to ${to}`;
+  if (from) return `${label}: from ${from}`;
+  return to ? `${label}: until ${to}` : null;
+};
+
+const describeFilters = ({
+  status, documentType, search, expiryFrom, expiryTo, expiresWithin, issueFrom, issueTo,
+  issuer, owner, department, hasAttachment,
+}) => {
+  const parts = [
+    status && `Status: ${status}`,
+    documentType && `Type: ${documentType}`,
+    search && `Search: "${search}"`,
+    describeRange('Expiry', expiryFrom, expiryTo),
+    expiresWithin && `Expiring within ${expiresWithin} days`,
+    describeRange('Issued', issueFrom, issueTo),
+    issuer && `Issuer: "${issuer}"`,
+    owner === 'me' && 'Owner: me',
+    department && `Department: ${department}`,
+    hasAttachment && `Attachment: ${hasAttachment === 'true' ? 'yes' : 'no'}`,
+  ].filter(Boolean);
+  return parts.length ? parts.join('  |  ') : 'All documents';
+};
+
+const exportPdf = async (cursor, res, { filters = {} } = {}) => {
+  const pdf = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+  pdf.pipe(res);
+
+  const left = pdf.page.margins.left;
+  const bottom = pdf.page.height - pdf.page.margins.bottom;
+
+  const drawHeader = () => {
+    let x = left;
+    pdf.font('Helvetica-Bold').fontSize(9).fillColor('#374151');
+    PDF_COLUMNS.forEach((col) => {
+      pdf.text(col.header, x, pdf.y, { width: col.width - 6, lineBreak: false });
+      x += col.width;
+    });
+    pdf.moveDown(0.4);
+    pdf.moveTo(left, pdf.y).lineTo(left + 762, pdf.y).strokeColor('#E5E7EB').stroke();
+    pdf.moveDown(0.4);
+  };
+
+  pdf.font('Helvetica-Bold').fontSize(18).fillColor('#1F2937').text('Document Expiry Report');
+  pdf.font('Helvetica').fontSize(10).fillColor('#6B7280')
+    .text(`Generated ${new Date().toUTCString()}`)
+    .text(describeFilters(filters));
+  pdf.moveDown();
+  drawHeader();
+
+  let count = 0;
+  for await (const doc of cursor) {
+    if (pdf.y > bottom - 20) {
+      pdf.addPage();
+      drawHeader();
+    }
+
+    const y = pdf.y;
+    let x = left;
+    PDF_COLUMNS.forEach((col) => {
+      const isStatus = col.header === 'Status';
+      pdf.font(isStatus ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+        .fillColor(isStatus ? STATUS_COLORS[doc.status] || '#1F2937' : '#1F2937')
+        .text(col.value(doc), x, y, { width: col.width - 6, height: 12, ellipsis: true, lineBreak: false });
+      x += col.width;
+    });
+    pdf.x = left;
+    pdf.y = y + 16;
+    count += 1;
+  }
+
+  pdf.moveDown();
+  pdf.font('Helvetica').fontSize(10).fillColor('#6B7280').text(`${count} documents`, left);
+  pdf.end();
+};
+
+// Stream the documents from `cursor` to `res` in the requested format
+const exportDocuments = async (format, cursor, res, options = {}) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const fileName = `documents-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (format === 'xlsx') {
+    return exportXlsx(cursor, res);
+  }
+  if (format === 'pdf') {
+    return exportPdf(cursor, res, options);
+  }
+  return exportCsv(cursor, res);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvField,
+  exportDocuments,
+};
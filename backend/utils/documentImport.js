@@ -0,0 +1,251 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const DocumentType = require('../models/DocumentType');
+const { documentRules } = require('../validators/documentValidators');
+const { validateCustomFields } = require('./customFields');
+const { setExpiringSoonDays } = require('../config/statusThresholds');
+const { SNIFF_BYTES, checkFileSignature } = require('./fileSignature');
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Limits on the attachments ZIP, checked against its declared sizes before
+// anything is decompressed: same per-file limit as a normal upload
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_TOTAL_SIZE = 200 * 1024 * 1024;
+const MAX_ATTACHMENT_ENTRIES = 2 * MAX_IMPORT_ROWS;
+const ALLOWED_ATTACHMENT_TYPES = /^\.(pdf|doc|docx|jpg|jpeg|png)$/;
+
+// Spreadsheet headers (lowercased, letters and digits only) recognised without a mapping
+const COLUMN_ALIASES = {
+  title: 'title',
+  name: 'title',
+  documenttype: 'documentType',
+  type: 'documentType',
+  documentnumber: 'documentNumber',
+  number: 'documentNumber',
+  issuer: 'issuer',
+  issuedby: 'issuer',
+  issuedate: 'issueDate',
+  issued: 'issueDate',
+  expirydate: 'expiryDate',
+  expirationdate: 'expiryDate',
+  expires: 'expiryDate',
+  description: 'description',
+  cost: 'cost',
+  price: 'cost',
+  renewalcost: 'renewalCost',
+  currency: 'currency',
+  file: 'fileName',
+  filename: 'fileName',
+  attachment: 'fileName',
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const MAPPABLE_FIELDS = new Set(Object.values(COLUMN_ALIASES));
+
+// A mapping may only target the columns above or a custom field, never
+// internal fields such as filePath or status
+const checkMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('Column mapping must be an object of header: field');
+  }
+  Object.entries(mapping).forEach(([header, field]) => {
+    const isCustomField = typeof field === 'string' && /^customFields\.[a-zA-Z][a-zA-Z0-9_]*$/.test(field);
+    if (!MAPPABLE_FIELDS.has(field) && !isCustomField) {
+      throw new Error(`Column "${header}" cannot be mapped to "${field}"`);
+    }
+  });
+};
+
+// ExcelJS cell values can be dates, rich text, hyperlinks or formula results
+const cellToValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return cellToValue(value.text);
+    if (value.result !== undefined) return cellToValue(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => {
+    headers[col] = cellToValue(cell.value);
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    headers.forEach((header, col) => {
+      if (header) record[header] = cellToValue(row.getCell(col).value);
+    });
+    rows.push(record);
+  });
+  return rows;
+};
+
+const readCsv = (buffer) => {
+  return parse(buffer, {
+    columns: true,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+  });
+};
+
+const readSpreadsheet = async (file) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (ext === '.xlsx') {
+    return readXlsx(file.buffer);
+  }
+  if (ext === '.csv') {
+    return readCsv(file.buffer);
+  }
+  throw new Error('Only CSV and XLSX files can be imported');
+};
+
+// Attachment files in the ZIP, keyed by lowercased file name (folders ignored)
+const readAttachments = (buffer) => {
+  const attachments = new Map();
+  if (!buffer) {
+    return attachments;
+  }
+
+  const entries = new AdmZip(buffer).getEntries().filter((entry) => !entry.isDirectory);
+  if (entries.length > MAX_ATTACHMENT_ENTRIES) {
+    throw new Error(`The attachments ZIP may contain at most ${MAX_ATTACHMENT_ENTRIES} files`);
+  }
+
+  let totalSize = 0;
+  entries.forEach((entry) => {
+    if (entry.header.size > MAX_ATTACHMENT_SIZE) {
+      throw new Error(`"${entry.entryName}" in the attachments ZIP is larger than 10MB`);
+    }
+    totalSize += entry.header.size;
+    attachments.set(path.basename(entry.entryName).toLowerCase(), entry);
+  });
+  if (totalSize > MAX_ATTACHMENTS_TOTAL_SIZE) {
+    throw new Error('The attachments ZIP expands to more than 200MB; split the import');
+  }
+  return attachments;
+};
+
+const validateRow = async (data) => {
+  const req = { body: data };
+  for (const rule of documentRules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array().map((error) => ({
+    field: error.path,
+    message: error.msg,
+  }));
+};
+
+// Parse, map and validate an uploaded sheet without touching the database.
+// `mapping` maps spreadsheet headers to Document fields and overrides COLUMN_ALIASES.
+const prepareImport = async ({ file, attachmentsZip, mapping = {} }) => {
+  checkMapping(mapping);
+  const records = await readSpreadsheet(file);
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const attachments = readAttachments(attachmentsZip);
+  await DocumentType.ensureDefaults();
+  const documentTypes = new Map((await DocumentType.find({ active: true })).map((type) => [type.name, type]));
+  // Statuses of the imported rows use the current windows
+  documentTypes.forEach((type) => setExpiringSoonDays(type.name, type.expiringSoonDays));
+  const headers = records.length ? Object.keys(records[0]) : [];
+  const mappedField = (header) => (Object.prototype.hasOwnProperty.call(mapping, header) ? mapping[header] : null);
+  const aliasFor = (header) => {
+    const normalized = normalizeHeader(header);
+    return Object.prototype.hasOwnProperty.call(COLUMN_ALIASES, normalized) ? COLUMN_ALIASES[normalized] : null;
+  };
+  const fieldFor = (header) => mappedField(header) || aliasFor(header);
+
+  // Other columns are custom fields when they name a field's key or label
+  const customFieldFor = (header, type) => {
+    const mapped = mappedField(header);
+    if (mapped && mapped.startsWith('customFields.')) {
+      return mapped.slice('customFields.'.length);
+    }
+    const normalized = normalizeHeader(header);
+    const field = type.fields.find((f) => normalizeHeader(f.key) === normalized || normalizeHeader(f.label) === normalized);
+    return field ? field.key : null;
+  };
+  const unmappedColumns = headers.filter((header) => {
+    return !fieldFor(header) && ![...documentTypes.values()].some((type) => customFieldFor(header, type));
+  });
+
+  const rows = [];
+  for (const [index, record] of records.entries()) {
+    const data = {};
+    headers.forEach((header) => {
+      const field = fieldFor(header);
+      if (field && !field.startsWith('customFields.') && record[header] !== '') {
+        data[field] = record[header];
+      }
+    });
+
+    const errors = await validateRow(data);
+    const documentType = documentTypes.get(data.documentType);
+
+    if (documentType) {
+      const rawCustomFields = {};
+      headers.forEach((header) => {
+        const field = fieldFor(header);
+        const key = field && !field.startsWith('customFields.') ? null : customFieldFor(header, documentType);
+        if (key) rawCustomFields[key] = record[header];
+      });
+
+      const customFields = validateCustomFields(documentType, rawCustomFields);
+      customFields.errors.forEach((error) => errors.push({ field: error.path, message: error.msg }));
+      data.customFields = customFields.values;
+    } else if (data.documentType) {
+      errors.push({ field: 'documentType', message: `Unknown document type "${data.documentType}"` });
+    }
+    let attachment = null;
+
+    if (data.fileName) {
+      const ext = path.extname(data.fileName).toLowerCase();
+      attachment = attachments.get(path.basename(data.fileName).toLowerCase()) || null;
+
+      if (!ALLOWED_ATTACHMENT_TYPES.test(ext)) {
+        errors.push({ field: 'fileName', message: 'Only PDF, DOC, DOCX, JPG, JPEG, and PNG files are allowed' });
+      } else if (!attachment) {
+        errors.push({ field: 'fileName', message: `File "${data.fileName}" not found in attachments` });
+      } else {
+        try {
+          checkFileSignature(attachment.getData().subarray(0, SNIFF_BYTES), attachment.entryName);
+        } catch (error) {
+          errors.push({ field: 'fileName', message: error.message });
+        }
+      }
+    }
+
+    // Header is row 1, so the first record is spreadsheet row 2
+    rows.push({ row: index + 2, data, errors, attachment });
+  }
+
+  return { rows, unmappedColumns };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  prepareImport,
+};
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const DocumentType = require('../models/DocumentType');
+const { checkField } = require('./customFields');
+const { visibilityFilter } = require('./documentAccess');
+const { escapeRegex } = require('./contentIndex');
+const { startOfDay, addDays } = require('./dates');
+
+// Query-string filters understood by buildDocumentQuery; saved views keep only these
+const FILTER_KEYS = [
+  'status', 'documentType', 'search', 'customFields',
+  'expiryFrom', 'expiryTo', 'expiresWithin', 'issueFrom', 'issueTo',
+  'issuer', 'owner', 'department', 'hasAttachment',
+];
+
+const SORT_FIELDS = [
+  'title', 'documentType', 'documentNumber', 'issuer', 'issueDate', 'expiryDate', 'status',
+  'cost', 'renewalCost', 'createdAt', 'updatedAt',
+];
+
+// A sortBy like "-expiryDate" limited to known fields, with _id as a tie-breaker
+// so pages don't overlap
+const parseSort = (sortBy, fallback = '-expiryDate') => {
+  const field = String(sortBy || '').replace(/^-/, '');
+  return `${SORT_FIELDS.includes(field) ? sortBy : fallback} _id`;
+};
+
+// Conditions matching a custom field filter value. The value is cast by each
+// definition of the field (its type can differ between document types), the
+// same way it was cast when stored; a value no definition accepts matches
+// nothing. Keys no type defines are compared as text or number.
+const customFieldCondition = (key, value, definitions) => {
+  const path = `customFields.${key}`;
+  if (!definitions.length) {
+    const number = Number(value);
+    return { [path]: Number.isNaN(number) ? value : { $in: [value, number] } };
+  }
+
+  const options = [];
+  definitions.forEach((field) => {
+    const [cast, message] = checkField(field, value);
+    if (message) return;
+    if (field.type === 'date') {
+      options.push({ [path]: { $gte: startOfDay(cast), $lt: addDays(startOfDay(cast), 1) } });
+    } else {
+      options.push({ [path]: cast });
+    }
+  });
+
+  if (!options.length) return { [path]: { $in: [] } };
+  return options.length === 1 ? options[0] : { $or: options };
+};
+
+// { $gte, $lt } covering whole days from..to (both inclusive), or null
+const dateRange = (from, to) => {
+  const range = {};
+  if (from && !Number.isNaN(Date.parse(from))) {
+    range.$gte = startOfDay(from);
+  }
+  if (to && !Number.isNaN(Date.parse(to))) {
+    range.$lt = addDays(startOfDay(to), 1);
+  }
+  return Object.keys(range).length ? range : null;
+};
+
+// Mongo query for the list filters shared by GET /api/documents, its exports
+// and bulk actions. `contentMatches` (from searchDocumentContent) adds
+// documents whose file text matched.
+const buildDocumentQuery = async (user, {
+  status,
+  documentType,
+  search,
+  customFields,
+  expiryFrom,
+  expiryTo,
+  expiresWithin,
+  issueFrom,
+  issueTo,
+  issuer,
+  owner,
+  department,
+  hasAttachment,
+} = {}, contentMatches) => {
+  // Non-admin users only see their own documents and those shared with them
+  const visibility = await visibilityFilter(user);
+  const query = {};
+  const conditions = [visibility, query];
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (documentType) {
+    query.documentType = documentType;
+  }
+
+  // customFields[policyNumber]=X filters on a custom field value
+  if (customFields && typeof customFields === 'object') {
+    const filters = Object.entries(customFields).filter(([key, value]) => {
+      return /^[a-zA-Z][a-zA-Z0-9_]*$/.test(key) && value !== '' && typeof value === 'string';
+    });
+    if (filters.length) {
+      const types = await DocumentType.find(documentType ? { name: documentType } : {}).select('fields');
+      const fields = types.flatMap((type) => type.fields);
+      filters.forEach(([key, value]) => {
+        conditions.push(customFieldCondition(key, value, fields.filter((field) => field.key === key)));
+      });
+    }
+  }
+
+  const expiryRange = dateRange(expiryFrom, expiryTo);
+  if (expiryRange) {
+    conditions.push({ expiryDate: expiryRange });
+  }
+
+  // Relative to today, so a saved "expiring in 90 days" view stays current
+  const withinDays = parseInt(expiresWithin, 10);
+  if (withinDays >= 0) {
+    const today = startOfDay();
+    conditions.push({ expiryDate: { $gte: today, $lt: addDays(today, withinDays + 1) } });
+  }
+
+  const issueRange = dateRange(issueFrom, issueTo);
+  if (issueRange) {
+    query.issueDate = issueRange;
+  }
+
+  if (issuer) {
+    query.issuer = { $regex: escapeRegex(String(issuer)), $options: 'i' };
+  }
+
+  // owner=me for the user's own documents, or a user id
+  if (owner === 'me') {
+    conditions.push({ uploadedBy: user._id });
+  } else if (owner && mongoose.isValidObjectId(owner)) {
+    conditions.push({ uploadedBy: owner });
+  }
+
+  // The owner's department
+  if (department) {
+    const members = await User.find({
+      department: { $regex: `^${escapeRegex(String(department))}$`, $options: 'i' },
+    }).distinct('_id');
+    conditions.push({ uploadedBy: { $in: members } });
+  }
+
+  if (hasAttachment === 'true') {
+    query.filePath = { $nin: [null, ''] };
+  } else if (hasAttachment === 'false') {
+    query.filePath = { $in: [null, ''] };
+  }
+
+  if (search) {
+    // Plain text, not a pattern: user input must not run as a regular expression
+    const pattern = escapeRegex(String(search));
+    const searchConditions = [
+      { title: { $regex: pattern, $options: 'i' } },
+      { documentNumber: { $regex: pattern, $options: 'i' } },
+      { issuer: { $regex: pattern, $options: 'i' } },
+    ];
+
+    if (contentMatches && contentMatches.size) {
+      searchConditions.push({ _id: { $in: [...contentMatches.keys()] } });
+    }
+    conditions.push({ $or: searchConditions });
+  }
+
+  const nonEmpty = conditions.filter((condition) => Object.keys(condition).length);
+  return nonEmpty.length > 1 ? { $and: nonEmpty } : nonEmpty[0] || {};
+};
+
+module.exports = {
+  FILTER_KEYS,
+  SORT_FIELDS,
+  parseSort,
+  buildDocumentQuery,
+};
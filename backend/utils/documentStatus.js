@@ -0,0 +1,23 @@
+const { daysUntil } = require('./dates');
+const { getExpiringSoonDays } = require('../config/statusThresholds');
+
+// Derive status from expiryDate. "Renewed" is set by the renewal flow and is
+// never recalculated.
+const calculateStatus = ({ status, expiryDate, documentType }, now = new Date()) => {
+  if (status === 'Renewed') {
+    return status;
+  }
+
+  const daysLeft = daysUntil(expiryDate, now);
+  if (daysLeft < 0) {
+    return 'Expired';
+  }
+  if (daysLeft <= getExpiringSoonDays(documentType)) {
+    return 'Expiring Soon';
+  }
+  return 'Active';
+};
+
+module.exports = {
+  calculateStatus,
+};
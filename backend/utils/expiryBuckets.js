@@ -0,0 +1,62 @@
+const { startOfDay, addDays } = require('./dates');
+
+const BUCKET_SIZES = ['day', 'week', 'month'];
+
+// Start of the bucket holding `date` (UTC): its day, the Monday of its week,
+// or the 1st of its month
+const bucketStart = (date, bucket) => {
+  const day = startOfDay(date);
+  if (bucket === 'week') {
+    return addDays(day, -((day.getUTCDay() + 6) % 7));
+  }
+  if (bucket === 'month') {
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  }
+  return day;
+};
+
+const nextBucketStart = (start, bucket) => {
+  if (bucket === 'week') {
+    return addDays(start, 7);
+  }
+  if (bucket === 'month') {
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  }
+  return addDays(start, 1);
+};
+
+// Consecutive buckets covering from..to (whole days, inclusive), empty ones
+// included, each holding the documents that expire in it. `end` is exclusive.
+const bucketByExpiry = (documents, from, to, bucket) => {
+  const buckets = [];
+  const byStart = new Map();
+  const last = addDays(startOfDay(to), 1);
+
+  for (let start = bucketStart(from, bucket); start < last; start = nextBucketStart(start, bucket)) {
+    const entry = {
+      start,
+      end: nextBucketStart(start, bucket),
+      count: 0,
+      statusCounts: {},
+      documents: [],
+    };
+    buckets.push(entry);
+    byStart.set(start.getTime(), entry);
+  }
+
+  documents.forEach((document) => {
+    const entry = byStart.get(bucketStart(document.expiryDate, bucket).getTime());
+    if (!entry) return;
+    entry.count += 1;
+    entry.statusCounts[document.status] = (entry.statusCounts[document.status] || 0) + 1;
+    entry.documents.push(document);
+  });
+
+  return buckets;
+};
+
+module.exports = {
+  BUCKET_SIZES,
+  bucketStart,
+  bucketByExpiry,
+};
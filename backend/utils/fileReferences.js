@@ -0,0 +1,36 @@
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const DocumentContent = require('../models/DocumentContent');
+const TrashedDocument = require('../models/TrashedDocument');
+const FileScan = require('../models/FileScan');
+
+// Every collection holding a stored file reference, and the field it's kept in
+const FILE_REFERENCES = [
+  { model: Document, field: 'filePath' },
+  { model: DocumentVersion, field: 'filePath' },
+  { model: DocumentContent, field: 'filePath' },
+  { model: TrashedDocument, field: 'snapshot.filePath' },
+  { model: FileScan, field: 'filePath' },
+];
+
+// Every distinct stored file anything points at
+const collectFilePaths = async () => {
+  const filePaths = new Set();
+  for (const { model, field } of FILE_REFERENCES) {
+    const values = await model.distinct(field, { [field]: { $exists: true, $nin: [null, ''] } });
+    values.forEach((filePath) => filePaths.add(filePath));
+  }
+  return [...filePaths];
+};
+
+// Point everything that referenced oldPath at newPath
+const replaceFileReference = async (oldPath, newPath) => {
+  for (const { model, field } of FILE_REFERENCES) {
+    await model.updateMany({ [field]: oldPath }, { $set: { [field]: newPath } });
+  }
+};
+
+module.exports = {
+  collectFilePaths,
+  replaceFileReference,
+};
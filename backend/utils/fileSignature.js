@@ -0,0 +1,74 @@
+const path = require('path');
+
+// Bytes needed to recognise a file
+const SNIFF_BYTES = 64;
+
+// A PDF must start with %PDF-. Only a few bytes of whitespace may come first:
+// accepting the header further in would let other files (e.g. executables
+// with a PDF embedded) pass as PDFs.
+const PDF_MAX_LEADING_WHITESPACE = 4;
+
+const isPdf = (head) => {
+  let start = 0;
+  while (start < PDF_MAX_LEADING_WHITESPACE && [0x09, 0x0a, 0x0c, 0x0d, 0x20].includes(head[start])) {
+    start += 1;
+  }
+  return head.subarray(start, start + 5).toString('latin1') === '%PDF-';
+};
+
+// Leading bytes ("magic numbers") of every accepted upload type
+const SIGNATURES = [
+  { type: 'pdf', test: isPdf },
+  { type: 'png', test: (head) => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'jpeg', test: (head) => head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  // Legacy Word files are OLE compound documents
+  { type: 'doc', test: (head) => head.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) },
+  // DOCX is a ZIP container
+  { type: 'docx', test: (head) => head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) },
+];
+
+const EXTENSION_TYPES = {
+  '.pdf': 'pdf',
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.doc': 'doc',
+  '.docx': 'docx',
+};
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  // Non-standard names some browsers still send for JPEGs
+  'image/jpg': 'jpeg',
+  'image/pjpeg': 'jpeg',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+};
+
+const detectFileType = (head) => {
+  const match = SIGNATURES.find((signature) => signature.test(head));
+  return match ? match.type : null;
+};
+
+// Throw unless the file's first bytes match the type its extension (and,
+// when given, its claimed mimetype) declare. A mimetype outside the table
+// is rejected, not skipped.
+const checkFileSignature = (head, fileName, mimetype) => {
+  const declared = EXTENSION_TYPES[path.extname(fileName).toLowerCase()];
+  const detected = detectFileType(head);
+
+  if (!declared || detected !== declared) {
+    throw new Error(`The contents of "${fileName}" do not match its file type`);
+  }
+  if (mimetype && MIME_TYPES[String(mimetype).toLowerCase()] !== detected) {
+    throw new Error(`The contents of "${fileName}" do not match its declared type ${mimetype}`);
+  }
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  detectFileType,
+  checkFileSignature,
+};
@@ -0,0 +1,87 @@
+// Minimal RFC 5545 writer for all-day expiry events
+
+const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Content lines are limited to 75 octets; continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const buildEvent = ({ uid, date, summary, description, url, alarms = [] }, now) => {
+  const start = new Date(date);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    'TRANSP:TRANSPARENT',
+  ];
+
+  if (url) {
+    lines.push(`URL:${url}`);
+  }
+
+  alarms.forEach((days) => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER;RELATED=START:-P${days}D`,
+      `DESCRIPTION:${escapeText(summary)}`,
+      'END:VALARM'
+    );
+  });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+const buildCalendar = ({ name, events }, now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Document Expiry Tracker//Expiry Feed//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => buildEvent(event, now)),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine,
+};
@@ -0,0 +1,182 @@
+// Offline heuristics that propose document fields from a file's text layer.
+// Every suggestion carries a confidence between 0 and 1 and the text it came from.
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+const MONTH_NAMES = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+const DATE_PATTERNS = [
+  // 2025-03-31, 2025/03/31
+  { regex: /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g, parse: (m) => [m[1], m[2], m[3], 1] },
+  // 31/03/2025 or 03/31/2025; ambiguous when both parts are <= 12
+  {
+    regex: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/g,
+    parse: (m) => {
+      const a = parseInt(m[1], 10);
+      const b = parseInt(m[2], 10);
+      if (a > 12) return [m[3], b, a, 1];
+      if (b > 12) return [m[3], a, b, 1];
+      return process.env.DATE_ORDER === 'MDY' ? [m[3], a, b, 0.8] : [m[3], b, a, 0.8];
+    },
+  },
+  // 31 March 2025, 31-Mar-2025, 31st of March, 2025
+  {
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?[\\s-]+${MONTH_NAMES}\\.?[\\s-,]+(\\d{4})\\b`, 'gi'),
+    parse: (m) => [m[3], MONTHS[m[2].slice(0, 3).toLowerCase()], m[1], 1],
+  },
+  // March 31, 2025
+  {
+    regex: new RegExp(`\\b${MONTH_NAMES}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'),
+    parse: (m) => [m[3], MONTHS[m[1].slice(0, 3).toLowerCase()], m[2], 1],
+  },
+];
+
+const EXPIRY_KEYWORDS = /(valid\s+(?:until|till|through|thru|to)|expir(?:es|y|ation)(?:\s+date)?(?:\s+on)?|date\s+of\s+expiry|exp\.?\s+date|end\s+date|renewal\s+date|until)\W*$/i;
+const ISSUE_KEYWORDS = /(issued(?:\s+on)?|issue\s+date|date\s+of\s+issue|effective(?:\s+date|\s+from)?|valid\s+from|commencement\s+date|start\s+date|dated)\W*$/i;
+
+const NUMBER_LABEL = /\b(certificate|policy|licen[cs]e|permit|contract|document|registration|reference|ref|serial|account)\s*(?:no\.?|number|num\.?|#|id)?\s*[:#-]\s*([A-Z0-9][A-Z0-9\-/.]{1,30}(?: \d[A-Z0-9\-/.]{2,20})?)/gi;
+const NUMBER_LABEL_STRICT = /\b(certificate|policy|licen[cs]e|permit|contract|document|registration|reference|ref|serial|account)\s*(?:no\.?|number|num\.?|#|id)\s*[:#-]?\s*([A-Z0-9][A-Z0-9\-/.]{1,30}(?: \d[A-Z0-9\-/.]{2,20})?)/gi;
+const NUMBER_GENERIC = /\b([A-Z]{2,5}[-/]?\d{4,12}(?:[-/][A-Z0-9]{1,8})?)\b/g;
+
+const ISSUER_LABEL = /\b(?:issued\s+by|issuing\s+(?:authority|body|office)|issuer|insurer|underwritten\s+by|licensor|landlord|certifying\s+body)\s*[:-]?\s*([^\n]{3,80})/gi;
+const ORGANISATION = /\b(ltd|limited|inc|llc|plc|gmbh|corp(?:oration)?|company|co\.|authority|department|ministry|council|agency|insurance|assurance|bureau|board|commission)\b/i;
+
+const toIsoDate = (year, month, day) => {
+  const y = parseInt(year, 10);
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+  if (y < 1950 || y > 2100) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const excerpt = (text, index, length) => {
+  const start = Math.max(0, index - 40);
+  return text.slice(start, index + length + 20).replace(/\s+/g, ' ').trim();
+};
+
+const findDates = (text) => {
+  const found = [];
+  DATE_PATTERNS.forEach(({ regex, parse }) => {
+    for (const match of text.matchAll(regex)) {
+      const [year, month, day, certainty] = parse(match);
+      const value = toIsoDate(year, month, day);
+      if (value && !found.some((f) => f.index === match.index)) {
+        found.push({
+          value,
+          index: match.index,
+          certainty,
+          before: text.slice(Math.max(0, match.index - 40), match.index),
+          source: excerpt(text, match.index, match[0].length),
+        });
+      }
+    }
+  });
+  return found.sort((a, b) => a.index - b.index);
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Keep the best-scoring suggestion per value, highest confidence first
+const rank = (candidates, limit = 3) => {
+  const best = new Map();
+  candidates.forEach((candidate) => {
+    const existing = best.get(candidate.value);
+    if (!existing || existing.confidence < candidate.confidence) {
+      best.set(candidate.value, { ...candidate, confidence: round(candidate.confidence) });
+    }
+  });
+  return [...best.values()].sort((a, b) => b.confidence - a.confidence).slice(0, limit);
+};
+
+const suggestDates = (text) => {
+  const dates = findDates(text);
+  const expiry = [];
+  const issue = [];
+
+  dates.forEach((date) => {
+    const { value, source, certainty } = date;
+    if (EXPIRY_KEYWORDS.test(date.before)) {
+      expiry.push({ value, source, confidence: 0.9 * certainty });
+    } else if (ISSUE_KEYWORDS.test(date.before)) {
+      issue.push({ value, source, confidence: 0.9 * certainty });
+    }
+  });
+
+  // Without labels, the latest date is most likely the expiry and the earliest the issue date
+  if (dates.length) {
+    const byValue = [...dates].sort((a, b) => a.value.localeCompare(b.value));
+    const latest = byValue[byValue.length - 1];
+    const earliest = byValue[0];
+    expiry.push({ value: latest.value, source: latest.source, confidence: 0.35 * latest.certainty });
+    if (earliest !== latest) {
+      issue.push({ value: earliest.value, source: earliest.source, confidence: 0.3 * earliest.certainty });
+    }
+  }
+
+  return { issueDate: rank(issue), expiryDate: rank(expiry) };
+};
+
+const suggestDocumentNumbers = (text) => {
+  const candidates = [];
+
+  for (const match of text.matchAll(NUMBER_LABEL_STRICT)) {
+    if (/\d/.test(match[2])) {
+      candidates.push({ value: match[2].replace(/[.-]+$/, ''), source: excerpt(text, match.index, match[0].length), confidence: 0.85 });
+    }
+  }
+  for (const match of text.matchAll(NUMBER_LABEL)) {
+    if (/\d/.test(match[2])) {
+      candidates.push({ value: match[2].replace(/[.-]+$/, ''), source: excerpt(text, match.index, match[0].length), confidence: 0.7 });
+    }
+  }
+  for (const match of text.matchAll(NUMBER_GENERIC)) {
+    candidates.push({ value: match[1], source: excerpt(text, match.index, match[0].length), confidence: 0.35 });
+  }
+
+  return rank(candidates);
+};
+
+const suggestIssuers = (text) => {
+  const candidates = [];
+
+  for (const match of text.matchAll(ISSUER_LABEL)) {
+    const value = match[1].split(/\s{2,}|[,;]\s*(?=\w+:)/)[0].trim();
+    if (value.length >= 3) {
+      candidates.push({ value, source: excerpt(text, match.index, match[0].length), confidence: 0.8 });
+    }
+  }
+
+  // Letterheads usually name the issuer within the first few lines
+  text.split('\n').slice(0, 15).forEach((line, i) => {
+    const value = line.trim();
+    if (value.length >= 3 && value.length <= 80 && ORGANISATION.test(value)
+      && !value.includes(':') && !/^(certificate|policy|schedule)\b/i.test(value)) {
+      candidates.push({ value, source: value, confidence: i < 5 ? 0.5 : 0.4 });
+    }
+  });
+
+  return rank(candidates);
+};
+
+const suggestMetadata = (text) => {
+  if (!text) {
+    return { issueDate: [], expiryDate: [], documentNumber: [], issuer: [] };
+  }
+
+  return {
+    ...suggestDates(text),
+    documentNumber: suggestDocumentNumbers(text),
+    issuer: suggestIssuers(text),
+  };
+};
+
+module.exports = {
+  suggestMetadata,
+};
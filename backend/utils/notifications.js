@@ -0,0 +1,103 @@
+const { EventEmitter } = require('events');
+const Notification = require('../models/Notification');
+const DocumentShare = require('../models/DocumentShare');
+const Team = require('../models/Team');
+const User = require('../models/User');
+
+// Live listeners, keyed by user id. In-process only: with several server
+// processes a user's stream only sees events raised by the process it is
+// connected to.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// Listen for a user's live events; returns a function that stops listening
+const subscribe = (userId, listener) => {
+  const channel = String(userId);
+  bus.on(channel, listener);
+  return () => bus.off(channel, listener);
+};
+
+const push = (userId, event, data) => {
+  bus.emit(String(userId), { event, data });
+};
+
+const unreadCount = (userId) => Notification.countDocuments({ user: userId, read: false });
+
+// Push the user's unread count to all their open streams (e.g. after they read
+// something in another tab); resolves to the count
+const syncUnreadCount = async (userId) => {
+  const count = await unreadCount(userId);
+  push(userId, 'unread', { unreadCount: count });
+  return count;
+};
+
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean).map(String))];
+
+// The owner plus everyone the document is shared with, directly or through a team
+const documentAudience = async (document) => {
+  const ownerId = document.uploadedBy && document.uploadedBy._id ? document.uploadedBy._id : document.uploadedBy;
+  const shares = await DocumentShare.find({ document: document._id });
+  const teamIds = shares.filter((share) => share.team).map((share) => share.team);
+  const teams = teamIds.length ? await Team.find({ _id: { $in: teamIds } }) : [];
+
+  return uniqueIds([
+    ownerId,
+    ...shares.map((share) => share.user),
+    ...teams.flatMap((team) => team.members.map((member) => member.user)),
+  ]);
+};
+
+// Store a notification for each user and push it to their open streams.
+// The actor is left out. Notifications with a key are sent at most once per
+// user. Never throws: a failed notification must not fail the request or job
+// that raised it.
+const notify = async (userIds, { type, title, message, document, actor, key }) => {
+  const recipients = uniqueIds(userIds).filter((id) => !actor || id !== String(actor));
+  let sent = 0;
+
+  for (const user of recipients) {
+    try {
+      const notification = await Notification.create({
+        user,
+        type,
+        title,
+        message,
+        document: document && document._id ? document._id : document,
+        actor,
+        key,
+      });
+      push(user, 'notification', {
+        notification,
+        unreadCount: await unreadCount(user),
+      });
+      sent += 1;
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error(`Notification for user ${user} failed: ${error.message}`);
+      }
+    }
+  }
+
+  return sent;
+};
+
+// Tell everyone who can see a document that it changed, so open dashboards
+// refresh their lists and stats. Nothing is stored.
+const announceDocumentChange = async (document, extraUserIds = []) => {
+  try {
+    const adminIds = await User.find({ role: 'admin' }).distinct('_id');
+    const userIds = uniqueIds([...(await documentAudience(document)), ...extraUserIds, ...adminIds]);
+    userIds.forEach((userId) => push(userId, 'documents.changed', { document: String(document._id) }));
+  } catch (error) {
+    console.error(`Change announcement for document ${document._id} failed: ${error.message}`);
+  }
+};
+
+module.exports = {
+  subscribe,
+  unreadCount,
+  syncUnreadCount,
+  documentAudience,
+  notify,
+  announceDocumentChange,
+};
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+let transporter;
+
+// Any SMTP server works, including a local stand-in such as MailHog or smtp4dev
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const sendEmail = async ({ to, subject, text, html }) => {
+  return getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'Document Expiry Tracker <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = sendEmail;
@@ -0,0 +1,182 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { recordAudit } = require('./auditLog');
+const {
+  ACCESS_TOKEN_TTL,
+  SESSION_IDLE_DAYS,
+  REFRESH_REUSE_GRACE_SECONDS,
+  REFRESH_COOKIE_NAME,
+  REFRESH_COOKIE_PATH,
+  REFRESH_COOKIE_SAMESITE,
+  REFRESH_COOKIE_SECURE,
+} = require('../config/sessions');
+
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\//, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+];
+
+// iOS and Android before macOS and Linux, whose names their user agents contain
+const PLATFORMS = [
+  [/iPhone|iPad/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+const match = (patterns, value) => (patterns.find(([pattern]) => pattern.test(value)) || [])[1];
+
+// "Chrome on Windows", for the sessions list
+const describeDevice = (userAgent) => {
+  const browser = match(BROWSERS, userAgent || '');
+  const platform = match(PLATFORMS, userAgent || '');
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+const sessionExpiry = (from) => new Date(from.getTime() + SESSION_IDLE_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT for the Authorization header, tied to its session by `sid`
+const signAccessToken = (session) => {
+  return jwt.sign(
+    { id: String(session.user._id || session.user), sid: String(session._id) },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// { id, sid } from a valid access token, or null
+const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return payload.id && payload.sid ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// No cookie-parser: this is the only cookie the API reads
+const readRefreshToken = (req) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  const prefix = `${REFRESH_COOKIE_NAME}=`;
+  const cookie = cookies.map((c) => c.trim()).find((c) => c.startsWith(prefix));
+  return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+};
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: REFRESH_COOKIE_SECURE,
+  sameSite: REFRESH_COOKIE_SAMESITE,
+  path: REFRESH_COOKIE_PATH,
+});
+
+const setRefreshCookie = (res, token, expiresAt) => {
+  res.cookie(REFRESH_COOKIE_NAME, token, { ...cookieOptions(), expires: expiresAt });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, cookieOptions());
+};
+
+// Sign a user in on this device: creates the session, sets the refresh
+// cookie and returns the first access token. Call after checking the
+// password on login and register.
+const startSession = async (req, res, user) => {
+  const token = Session.generateToken();
+  const now = new Date();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: Session.hashToken(token),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    lastUsedAt: now,
+    expiresAt: sessionExpiry(now),
+  });
+  setRefreshCookie(res, token, session.expiresAt);
+
+  return { session, token: signAccessToken(session) };
+};
+
+// Swap the refresh cookie for a new one and a new access token. Returns
+// { session, token }, or { error } when the browser has to sign in again.
+const refreshSession = async (req, res) => {
+  const refreshToken = readRefreshToken(req);
+  if (!refreshToken) {
+    return { error: 'Not signed in' };
+  }
+
+  const hash = Session.hashToken(refreshToken);
+  const now = new Date();
+  const next = Session.generateToken();
+
+  // Atomic, so of two refreshes racing with the same token only one rotates it
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, expiresAt: { $gt: now } },
+    {
+      tokenHash: Session.hashToken(next),
+      previousTokenHash: hash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+      expiresAt: sessionExpiry(now),
+    },
+    { new: true }
+  );
+  if (session) {
+    setRefreshCookie(res, next, session.expiresAt);
+    return { session, token: signAccessToken(session) };
+  }
+
+  const rotated = await Session.findOne({ previousTokenHash: hash, expiresAt: { $gt: now } });
+  if (rotated && now - rotated.rotatedAt <= REFRESH_REUSE_GRACE_SECONDS * 1000) {
+    // Lost a race with another tab, which already stored the new cookie
+    return { session: rotated, token: signAccessToken(rotated) };
+  }
+  if (rotated) {
+    // An old refresh token came back after it was replaced, so someone else
+    // has a copy: end the session for both of them
+    await rotated.deleteOne();
+    await recordAudit(req, {
+      action: 'session.token_reuse',
+      metadata: { user: rotated.user, session: rotated._id, userAgent: rotated.userAgent },
+    });
+  }
+
+  clearRefreshCookie(res);
+  return { error: 'Your session has expired. Please sign in again.' };
+};
+
+// Sign this device out: the session in the refresh cookie ends
+const endSession = async (req, res) => {
+  const refreshToken = readRefreshToken(req);
+  if (refreshToken) {
+    await Session.deleteOne({ tokenHash: Session.hashToken(refreshToken) });
+  }
+  clearRefreshCookie(res);
+};
+
+// End all of a user's sessions, except `keep` if given; returns how many
+// ended. Call when a password is changed or an account is deactivated.
+const revokeUserSessions = async (userId, keep) => {
+  const filter = { user: userId };
+  if (keep) filter._id = { $ne: keep };
+  const result = await Session.deleteMany(filter);
+  return result.deletedCount;
+};
+
+module.exports = {
+  describeDevice,
+  signAccessToken,
+  verifyAccessToken,
+  clearRefreshCookie,
+  startSession,
+  refreshSession,
+  endSession,
+  revokeUserSessions,
+};
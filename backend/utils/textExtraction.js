@@ -0,0 +1,28 @@
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+
+// Cap stored text so one huge file cannot bloat the index
+const MAX_TEXT_LENGTH = 1024 * 1024;
+
+const normalizeWhitespace = (text) => text.replace(/[ \t\f\v]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+
+// Plain text of a PDF or DOCX file's contents; null for formats without a text layer
+const extractText = async (buffer, fileName) => {
+  const ext = path.extname(fileName).toLowerCase();
+  let text = null;
+
+  if (ext === '.pdf') {
+    const result = await pdfParse(buffer);
+    text = result.text;
+  } else if (ext === '.docx') {
+    const result = await mammoth.extractRawText({ buffer });
+    text = result.value;
+  }
+
+  return text === null ? null : normalizeWhitespace(text).slice(0, MAX_TEXT_LENGTH);
+};
+
+module.exports = {
+  extractText,
+};
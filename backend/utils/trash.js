@@ -0,0 +1,69 @@
+const Document = require('../models/Document');
+const DocumentType = require('../models/DocumentType');
+const DocumentShare = require('../models/DocumentShare');
+const DocumentVersion = require('../models/DocumentVersion');
+const FileScan = require('../models/FileScan');
+const TrashedDocument = require('../models/TrashedDocument');
+const { removeDocumentContent } = require('./contentIndex');
+const { removeFile } = require('../storage');
+const { addDays } = require('./dates');
+const { calculateStatus } = require('./documentStatus');
+const { TRASH_RETENTION_DAYS } = require('../config/trash');
+
+// Move a document into the trash. Files, versions and shares are left alone
+// until the entry is purged.
+const moveToTrash = async (document, userId) => {
+  const snapshot = document.toObject({ depopulate: true });
+  const deletedAt = new Date();
+
+  const trashed = await TrashedDocument.create({
+    documentId: document._id,
+    snapshot,
+    title: snapshot.title,
+    documentType: snapshot.documentType,
+    owner: snapshot.uploadedBy,
+    deletedBy: userId,
+    deletedAt,
+    purgeAt: addDays(deletedAt, TRASH_RETENTION_DAYS),
+  });
+  await Document.deleteOne({ _id: document._id });
+
+  return trashed;
+};
+
+// Put a trashed document back under its original id
+const restoreFromTrash = async (trashed) => {
+  const document = new Document(trashed.snapshot);
+  await DocumentType.syncThreshold(document.documentType);
+  document.status = calculateStatus(document);
+  await document.save();
+  await trashed.deleteOne();
+
+  return document;
+};
+
+// Remove a trashed document for good: every file version, its shares and
+// its search index entry
+const purgeTrashed = async (trashed) => {
+  if (trashed.legalHold && trashed.legalHold.active) {
+    throw new Error(`"${trashed.title}" is under legal hold`);
+  }
+
+  const versions = await DocumentVersion.find({ document: trashed.documentId });
+  const filePaths = new Set([trashed.snapshot.filePath, ...versions.map((v) => v.filePath)]);
+  for (const filePath of filePaths) {
+    await removeFile(filePath);
+  }
+  await FileScan.deleteMany({ filePath: { $in: [...filePaths].filter(Boolean) } });
+
+  await DocumentVersion.deleteMany({ document: trashed.documentId });
+  await DocumentShare.deleteMany({ document: trashed.documentId });
+  await removeDocumentContent(trashed.documentId);
+  await trashed.deleteOne();
+};
+
+module.exports = {
+  moveToTrash,
+  restoreFromTrash,
+  purgeTrashed,
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const AccessToken = require('../models/AccessToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { PREVIEW_URL_EXPIRES } = require('../config/storage');
+
+// File types a browser can show inline, by extension
+const PREVIEW_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+};
+
+const previewType = (fileName) => PREVIEW_TYPES[path.extname(fileName || '').toLowerCase()] || null;
+
+// Signed with a key derived from JWT_SECRET so a view token can never pass
+// as a login token
+const signingKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('document-view').digest();
+
+// Short-lived token in a preview URL. <iframe> and <img> requests can't send
+// the Authorization header, so the URL itself says who is viewing which
+// document. It names the session (`sid`) or personal access token (`tid`)
+// that asked for it, so signing out or revoking the token ends it too.
+const createViewToken = (req, document) => {
+  return jwt.sign(
+    {
+      purpose: 'view',
+      user: String(req.user._id),
+      document: String(document._id),
+      sid: req.sessionId ? String(req.sessionId) : undefined,
+      tid: req.accessToken ? String(req.accessToken._id) : undefined,
+    },
+    signingKey(),
+    { expiresIn: PREVIEW_URL_EXPIRES }
+  );
+};
+
+// { user, sid } or { user, tid } from a view token, or null unless it is
+// valid and was issued for this document
+const verifyViewToken = (token, documentId) => {
+  try {
+    const payload = jwt.verify(String(token || ''), signingKey());
+    if (payload.purpose !== 'view' || payload.document !== String(documentId) || !(payload.sid || payload.tid)) {
+      return null;
+    }
+    return payload.sid ? { user: payload.user, sid: payload.sid } : { user: payload.user, tid: payload.tid };
+  } catch (error) {
+    return null;
+  }
+};
+
+// The user a view token lets see this document, or null when the token is
+// invalid or the session or access token it was issued to has ended
+const viewTokenUser = async (token, documentId) => {
+  const grant = verifyViewToken(token, documentId);
+  if (!grant) {
+    return null;
+  }
+
+  const issuer = grant.sid
+    ? await Session.findOne({ _id: grant.sid, user: grant.user })
+    : await AccessToken.findOne({ _id: grant.tid, user: grant.user });
+  if (!issuer || issuer.isExpired()) {
+    return null;
+  }
+  return User.findById(grant.user).select('-password');
+};
+
+module.exports = {
+  previewType,
+  createViewToken,
+  verifyViewToken,
+  viewTokenUser,
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_SECONDS, WEBHOOK_TIMEOUT } = require('../config/webhooks');
+
+// Document fields sent to webhooks (file locations stay internal)
+const PAYLOAD_FIELDS = [
+  'title', 'documentType', 'documentNumber', 'issuer', 'issueDate', 'expiryDate',
+  'status', 'cost', 'renewalCost', 'currency', 'customFields', 'fileName', 'uploadedBy',
+  'createdAt', 'updatedAt',
+];
+
+const STATUS_EVENTS = {
+  'Expiring Soon': 'document.expiring_soon',
+  Expired: 'document.expired',
+};
+
+const documentPayload = (document) => {
+  const source = document.toObject ? document.toObject({ depopulate: true }) : document;
+  const data = { id: String(source._id) };
+  PAYLOAD_FIELDS.forEach((field) => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+// Field-level changes (from diffDocuments) limited to the fields webhooks see
+const changesPayload = (changes) => changes.filter((change) => PAYLOAD_FIELDS.includes(change.field));
+
+// Receivers recompute this over "<X-Webhook-Timestamp>.<raw body>" with their secret
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Exponential backoff: base, 2x base, 4x base, ...
+const retryDelay = (attempts) => WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+// Long enough for an attempt to finish, so the retry job doesn't pick up a
+// delivery that is still in flight
+const leaseUntil = () => new Date(Date.now() + WEBHOOK_TIMEOUT * 2);
+
+// Make one attempt at a delivery and record the outcome
+const deliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook no longer exists';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  delivery.attempts += 1;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'DocumentExpiryTracker-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+    });
+    delivery.responseStatus = response.status;
+    if (!response.ok) {
+      throw new Error(`Endpoint responded with ${response.status}`);
+    }
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+    if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+    }
+  }
+
+  return delivery.save();
+};
+
+// Queue a delivery and make the first attempt straight away
+const queueDelivery = async (webhook, event, payload, replayOf) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event,
+    payload,
+    replayOf,
+    nextAttemptAt: leaseUntil(),
+  });
+
+  deliver(delivery).catch((error) => {
+    console.error(`Webhook delivery ${delivery._id} failed: ${error.message}`);
+  });
+  return delivery;
+};
+
+// Send an event to every active webhook that subscribes to it. Never throws:
+// webhooks must not break the request that triggered them.
+const emitWebhookEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ active: true });
+    const payload = { event, occurredAt: new Date().toISOString(), data };
+
+    for (const webhook of webhooks.filter((w) => w.wants(event))) {
+      await queueDelivery(webhook, event, { id: crypto.randomUUID(), ...payload });
+    }
+  } catch (error) {
+    console.error(`Emitting webhook event ${event} failed: ${error.message}`);
+  }
+};
+
+// The expiring_soon/expired event for a document that has just moved into
+// that status, if there is one
+const emitStatusChange = (document, previousStatus) => {
+  const event = STATUS_EVENTS[document.status];
+  if (event && document.status !== previousStatus) {
+    return emitWebhookEvent(event, { document: documentPayload(document), previousStatus });
+  }
+  return Promise.resolve();
+};
+
+// Attempt every delivery whose retry is due
+const runWebhookRetries = async (now = new Date()) => {
+  const result = { delivered: 0, pending: 0, failed: 0 };
+
+  for (;;) {
+    // Claim one at a time so overlapping runs never send the same attempt twice
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: leaseUntil() } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+
+    await deliver(delivery);
+    result[delivery.status] += 1;
+  }
+  return result;
+};
+
+module.exports = {
+  documentPayload,
+  changesPayload,
+  signPayload,
+  queueDelivery,
+  emitWebhookEvent,
+  emitStatusChange,
+  runWebhookRetries,
+};
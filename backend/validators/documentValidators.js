@@ -0,0 +1,24 @@
+const { body } = require('express-validator');
+
+// Optional cost fields, accepted wherever a document is created or changed.
+// Empty strings (a cleared form field) pass and are stored as no cost.
+const costRules = [
+  body('cost').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+  body('renewalCost').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Renewal cost must be a positive number'),
+  body('currency').optional({ values: 'falsy' }).trim().toUpperCase()
+    .matches(/^[A-Z]{3}$/).withMessage('Currency must be a three-letter code such as USD'),
+];
+
+// Rules for a new document, shared by POST /api/documents and bulk import
+const documentRules = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('documentType').notEmpty().withMessage('Document type is required'),
+  body('issueDate').isISO8601().withMessage('Valid issue date is required'),
+  body('expiryDate').isISO8601().withMessage('Valid expiry date is required'),
+  ...costRules,
+];
+
+module.exports = {
+  costRules,
+  documentRules,
+};
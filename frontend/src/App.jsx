@@ -7,6 +7,14 @@ import ProtectedRoute from './components/common/ProtectedRoute';
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
 import Dashboard from './components/Dashboard/Dashboard';
+import DocumentDetail from './components/Documents/DocumentDetail';
+import DocumentTypes from './components/Admin/DocumentTypes';
+import Teams from './components/Admin/Teams';
+import AuditLog from './components/Admin/AuditLog';
+import Webhooks from './components/Admin/Webhooks';
+import UserSessions from './components/Admin/UserSessions';
+import AccessTokens from './components/Settings/AccessTokens';
+import Sessions from './components/Settings/Sessions';
 import './App.css';
 
 function App() {
@@ -25,6 +33,70 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/documents/:id"
+              element={
+                <ProtectedRoute>
+                  <DocumentDetail />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/document-types"
+              element={
+                <ProtectedRoute>
+                  <DocumentTypes />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/teams"
+              element={
+                <ProtectedRoute>
+                  <Teams />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/audit"
+              element={
+                <ProtectedRoute>
+                  <AuditLog />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/webhooks"
+              element={
+                <ProtectedRoute>
+                  <Webhooks />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/sessions"
+              element={
+                <ProtectedRoute>
+                  <UserSessions />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/settings/tokens"
+              element={
+                <ProtectedRoute>
+                  <AccessTokens />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/settings/sessions"
+              element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
           </Routes>
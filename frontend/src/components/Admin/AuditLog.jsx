@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { auditAPI } from '../../services/api';
+import { downloadFile } from '../../utils/downloadFile';
+import Navbar from '../Layout/Navbar';
+
+const EMPTY_FILTERS = { action: '', actor: '', document: '', from: '', to: '' };
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchActions();
+  }, []);
+
+  useEffect(() => {
+    fetchEntries(1);
+  }, [filters]);
+
+  const activeFilters = () => {
+    const params = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params[key] = value;
+    });
+    return params;
+  };
+
+  const fetchActions = async () => {
+    try {
+      const response = await auditAPI.getActions();
+      setActions(response.data.actions);
+    } catch (error) {
+      // The action filter just stays empty
+    }
+  };
+
+  const fetchEntries = async (page) => {
+    setLoading(true);
+    try {
+      const response = await auditAPI.getAll({ ...activeFilters(), page });
+      setEntries(response.data.entries);
+      setPagination({
+        page: response.data.page,
+        pages: response.data.pages,
+        total: response.data.total,
+      });
+    } catch (error) {
+      toast.error('Error loading audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const response = await auditAPI.export(activeFilters());
+      downloadFile(response.data, `audit-log-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (error) {
+      toast.error('Error exporting audit log');
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  };
+
+  return (
+    <div style={styles.container}>
+      <Navbar />
+      <div style={styles.content}>
+        <div style={styles.headerRow}>
+          <h2 style={styles.heading}>Audit Log</h2>
+          <button onClick={handleExport} style={styles.secondaryButton}>
+            ⬇ Export CSV
+          </button>
+        </div>
+
+        <div style={{ ...styles.card, ...styles.row }}>
+          <select name="action" value={filters.action} onChange={handleFilterChange} style={styles.input}>
+            <option value="">All Actions</option>
+            {actions.map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            name="actor"
+            placeholder="User ID"
+            value={filters.actor}
+            onChange={handleFilterChange}
+            style={styles.input}
+          />
+          <input
+            type="text"
+            name="document"
+            placeholder="Document ID"
+            value={filters.document}
+            onChange={handleFilterChange}
+            style={styles.input}
+          />
+          <label style={styles.dateLabel}>
+            From
+            <input type="date" name="from" value={filters.from} onChange={handleFilterChange} style={styles.input} />
+          </label>
+          <label style={styles.dateLabel}>
+            To
+            <input type="date" name="to" value={filters.to} onChange={handleFilterChange} style={styles.input} />
+          </label>
+          <button onClick={() => setFilters(EMPTY_FILTERS)} style={styles.secondaryButton}>
+            Clear
+          </button>
+        </div>
+
+        <div style={styles.card}>
+          {loading ? (
+            <div style={styles.message}>Loading audit log...</div>
+          ) : entries.length === 0 ? (
+            <div style={styles.message}>No entries match these filters</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Time</th>
+                  <th style={styles.th}>User</th>
+                  <th style={styles.th}>Action</th>
+                  <th style={styles.th}>Document</th>
+                  <th style={styles.th}>IP</th>
+                  <th style={styles.th}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <React.Fragment key={entry._id}>
+                    <tr>
+                      <td style={styles.td}>{formatDateTime(entry.createdAt)}</td>
+                      <td style={styles.td}>
+                        {entry.actorName || '—'}
+                        {entry.actorEmail && <div style={styles.subtle}>{entry.actorEmail}</div>}
+                      </td>
+                      <td style={styles.td}><code>{entry.action}</code></td>
+                      <td style={styles.td}>{entry.documentTitle || '—'}</td>
+                      <td style={styles.td}>{entry.ip || '—'}</td>
+                      <td style={styles.td}>
+                        {(entry.changes.length > 0 || entry.metadata) && (
+                          <button
+                            onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                            style={styles.linkButton}
+                          >
+                            {expanded === entry._id ? 'Hide' : 'Details'}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {expanded === entry._id && (
+                      <tr>
+                        <td colSpan="6" style={styles.details}>
+                          {entry.changes.map((change) => (
+                            <div key={change.field}>
+                              <code>{change.field}</code>: {JSON.stringify(change.from)} → {JSON.stringify(change.to)}
+                            </div>
+                          ))}
+                          {entry.metadata && <pre style={styles.pre}>{JSON.stringify(entry.metadata, null, 2)}</pre>}
+                          {entry.userAgent && <div style={styles.subtle}>{entry.userAgent}</div>}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {pagination.pages > 1 && (
+            <div style={styles.pagination}>
+              <button
+                onClick={() => fetchEntries(pagination.page - 1)}
+                disabled={pagination.page === 1}
+                style={styles.secondaryButton}
+              >
+                Previous
+              </button>
+              <span style={styles.subtle}>
+                Page {pagination.page} of {pagination.pages} ({pagination.total} entries)
+              </span>
+              <button
+                onClick={() => fetchEntries(pagination.page + 1)}
+                disabled={pagination.page === pagination.pages}
+                style={styles.secondaryButton}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f5f7fa',
+  },
+  content: {
+    maxWidth: '1200px',
+    margin: '0 auto',
+    padding: '30px 24px',
+  },
+  headerRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '24px',
+  },
+  heading: {
+    fontSize: '24px',
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '16px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  row: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  input: {
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  dateLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '13px',
+    color: '#6B7280',
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  linkButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    color: '#4F46E5',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '600',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '8px 12px',
+    borderBottom: '2px solid #E5E7EB',
+    fontWeight: '600',
+    color: '#374151',
+    fontSize: '13px',
+  },
+  td: {
+    padding: '10px 12px',
+    fontSize: '13px',
+    color: '#1F2937',
+    borderBottom: '1px solid #F3F4F6',
+    verticalAlign: 'top',
+  },
+  subtle: {
+    fontSize: '12px',
+    color: '#6B7280',
+  },
+  details: {
+    padding: '10px 12px 16px',
+    fontSize: '12px',
+    color: '#374151',
+    backgroundColor: '#F9FAFB',
+    borderBottom: '1px solid #F3F4F6',
+  },
+  pre: {
+    margin: '6px 0',
+    whiteSpace: 'pre-wrap',
+  },
+  pagination: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '16px',
+    marginTop: '16px',
+  },
+};
+
+export default AuditLog;
@@ -0,0 +1,448 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { documentTypeAPI } from '../../services/api';
+import Navbar from '../Layout/Navbar';
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'boolean'];
+
+const emptyType = { name: '', description: '', expiringSoonDays: '', fields: [] };
+const emptyField = { key: '', label: '', type: 'text', required: false, options: [] };
+
+const DocumentTypes = () => {
+  const [documentTypes, setDocumentTypes] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchDocumentTypes();
+  }, []);
+
+  const fetchDocumentTypes = async () => {
+    try {
+      const response = await documentTypeAPI.getAll({ all: true });
+      setDocumentTypes(response.data.documentTypes);
+    } catch (error) {
+      toast.error('Error loading document types');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateField = (index, changes) => {
+    const fields = editing.fields.map((field, i) => (i === index ? { ...field, ...changes } : field));
+    setEditing({ ...editing, fields });
+  };
+
+  const removeField = (index) => {
+    setEditing({ ...editing, fields: editing.fields.filter((_, i) => i !== index) });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = {
+      ...editing,
+      expiringSoonDays: editing.expiringSoonDays === '' ? null : Number(editing.expiringSoonDays),
+    };
+
+    try {
+      if (editing._id) {
+        await documentTypeAPI.update(editing._id, data);
+      } else {
+        await documentTypeAPI.create(data);
+      }
+      toast.success('Document type saved');
+      setEditing(null);
+      fetchDocumentTypes();
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg
+        || error.response?.data?.error
+        || error.response?.data?.message;
+      toast.error(message || 'Error saving document type');
+    }
+  };
+
+  const handleReactivate = async (type) => {
+    try {
+      await documentTypeAPI.update(type._id, { active: true });
+      fetchDocumentTypes();
+    } catch (error) {
+      toast.error('Error reactivating document type');
+    }
+  };
+
+  const handleDelete = async (type) => {
+    if (window.confirm(`Delete the "${type.name}" type? Types still in use are deactivated instead.`)) {
+      try {
+        const response = await documentTypeAPI.delete(type._id);
+        toast.success(response.data.message);
+        fetchDocumentTypes();
+      } catch (error) {
+        toast.error('Error deleting document type');
+      }
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Navbar />
+      <div style={styles.content}>
+        <div style={styles.actionBar}>
+          <h2 style={styles.heading}>Document Types</h2>
+          {!editing && (
+            <button onClick={() => setEditing({ ...emptyType })} style={styles.primaryButton}>
+              + Add Type
+            </button>
+          )}
+        </div>
+
+        {editing && (
+          <form onSubmit={handleSave} style={styles.card}>
+            <div style={styles.row}>
+              <label style={styles.label}>
+                Name *
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  required
+                  style={styles.input}
+                />
+              </label>
+              <label style={styles.label}>
+                Expiring Soon Window (days)
+                <input
+                  type="number"
+                  min="0"
+                  max="365"
+                  value={editing.expiringSoonDays ?? ''}
+                  onChange={(e) => setEditing({ ...editing, expiringSoonDays: e.target.value })}
+                  placeholder="Default"
+                  style={styles.input}
+                />
+              </label>
+              <label style={{ ...styles.label, flex: 2 }}>
+                Description
+                <input
+                  type="text"
+                  value={editing.description || ''}
+                  onChange={(e) => setEditing({ ...editing, description: e.target.value })}
+                  style={styles.input}
+                />
+              </label>
+            </div>
+
+            <h3 style={styles.subheading}>Custom Fields</h3>
+            {editing.fields.map((field, index) => (
+              <div key={index} style={styles.fieldRow}>
+                <input
+                  type="text"
+                  placeholder="Label"
+                  value={field.label}
+                  onChange={(e) => updateField(index, { label: e.target.value })}
+                  required
+                  style={styles.input}
+                />
+                <input
+                  type="text"
+                  placeholder="key (e.g. policyNumber)"
+                  value={field.key}
+                  onChange={(e) => updateField(index, { key: e.target.value })}
+                  pattern="[a-zA-Z][a-zA-Z0-9_]*"
+                  required
+                  style={styles.input}
+                />
+                <select
+                  value={field.type}
+                  onChange={(e) => updateField(index, { type: e.target.value })}
+                  style={styles.input}
+                >
+                  {FIELD_TYPES.map((type) => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+                {field.type === 'select' ? (
+                  <input
+                    type="text"
+                    placeholder="Options, comma separated"
+                    value={field.options.join(',')}
+                    onChange={(e) => updateField(index, { options: e.target.value.split(',').map((o) => o.trim()) })}
+                    style={styles.input}
+                  />
+                ) : field.type === 'text' ? (
+                  <input
+                    type="text"
+                    placeholder="Pattern (regex, optional)"
+                    value={field.pattern || ''}
+                    onChange={(e) => updateField(index, { pattern: e.target.value })}
+                    style={styles.input}
+                  />
+                ) : field.type === 'number' ? (
+                  <div style={styles.range}>
+                    <input
+                      type="number"
+                      placeholder="Min"
+                      value={field.min ?? ''}
+                      onChange={(e) => updateField(index, { min: e.target.value === '' ? undefined : Number(e.target.value) })}
+                      style={styles.input}
+                    />
+                    <input
+                      type="number"
+                      placeholder="Max"
+                      value={field.max ?? ''}
+                      onChange={(e) => updateField(index, { max: e.target.value === '' ? undefined : Number(e.target.value) })}
+                      style={styles.input}
+                    />
+                  </div>
+                ) : (
+                  <span />
+                )}
+                <label style={styles.checkboxLabel}>
+                  <input
+                    type="checkbox"
+                    checked={field.required}
+                    onChange={(e) => updateField(index, { required: e.target.checked })}
+                  />
+                  Required
+                </label>
+                <button type="button" onClick={() => removeField(index)} style={styles.removeButton} title="Remove">
+                  🗑️
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setEditing({ ...editing, fields: [...editing.fields, { ...emptyField }] })}
+              style={styles.secondaryButton}
+            >
+              + Add Field
+            </button>
+
+            <div style={styles.formActions}>
+              <button type="button" onClick={() => setEditing(null)} style={styles.secondaryButton}>
+                Cancel
+              </button>
+              <button type="submit" style={styles.primaryButton}>
+                Save
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div style={styles.card}>
+          {loading ? (
+            <div style={styles.message}>Loading document types...</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Name</th>
+                  <th style={styles.th}>Expiring Soon</th>
+                  <th style={styles.th}>Custom Fields</th>
+                  <th style={styles.th}>Status</th>
+                  <th style={styles.th}>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {documentTypes.map((type) => (
+                  <tr key={type._id}>
+                    <td style={styles.td}>
+                      <strong>{type.name}</strong>
+                      {type.description && <div style={styles.description}>{type.description}</div>}
+                    </td>
+                    <td style={styles.td}>
+                      {type.expiringSoonDays !== undefined && type.expiringSoonDays !== null
+                        ? `${type.expiringSoonDays} days`
+                        : 'Default'}
+                    </td>
+                    <td style={styles.td}>
+                      {type.fields.length ? type.fields.map((field) => field.label).join(', ') : '—'}
+                    </td>
+                    <td style={styles.td}>{type.active ? 'Active' : 'Inactive'}</td>
+                    <td style={styles.td}>
+                      <div style={styles.actions}>
+                        <button onClick={() => setEditing(type)} style={styles.actionButton} title="Edit">
+                          ✏️
+                        </button>
+                        {!type.active && (
+                          <button
+                            onClick={() => handleReactivate(type)}
+                            style={styles.actionButton}
+                            title="Reactivate"
+                          >
+                            ♻️
+                          </button>
+                        )}
+                        {type.active && (
+                          <button
+                            onClick={() => handleDelete(type)}
+                            style={{ ...styles.actionButton, ...styles.deleteButton }}
+                            title="Delete"
+                          >
+                            🗑️
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f5f7fa',
+  },
+  content: {
+    maxWidth: '1400px',
+    margin: '0 auto',
+    padding: '30px 24px',
+  },
+  actionBar: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '24px',
+  },
+  heading: {
+    fontSize: '24px',
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  subheading: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1F2937',
+    margin: '16px 0 12px',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  row: {
+    display: 'flex',
+    gap: '16px',
+    flexWrap: 'wrap',
+  },
+  label: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#374151',
+  },
+  input: {
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+    minWidth: 0,
+  },
+  fieldRow: {
+    display: 'grid',
+    gridTemplateColumns: '1.2fr 1.2fr 0.8fr 1.5fr auto auto',
+    gap: '8px',
+    alignItems: 'center',
+    marginBottom: '8px',
+  },
+  range: {
+    display: 'flex',
+    gap: '8px',
+  },
+  checkboxLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '14px',
+    color: '#374151',
+  },
+  formActions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '8px',
+    marginTop: '16px',
+  },
+  primaryButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '12px 24px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  removeButton: {
+    padding: '6px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    backgroundColor: '#FEE2E2',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '12px',
+    borderBottom: '2px solid #E5E7EB',
+    fontWeight: '600',
+    color: '#374151',
+    fontSize: '14px',
+  },
+  td: {
+    padding: '16px 12px',
+    fontSize: '14px',
+    color: '#1F2937',
+    borderBottom: '1px solid #F3F4F6',
+  },
+  description: {
+    fontSize: '12px',
+    color: '#6B7280',
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  actionButton: {
+    padding: '6px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    backgroundColor: '#F3F4F6',
+  },
+  deleteButton: {
+    backgroundColor: '#FEE2E2',
+  },
+};
+
+export default DocumentTypes;
@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { teamAPI } from '../../services/api';
+import Navbar from '../Layout/Navbar';
+
+const Teams = () => {
+  const [teams, setTeams] = useState([]);
+  const [newTeam, setNewTeam] = useState({ name: '', kind: 'team', description: '' });
+  const [memberEmails, setMemberEmails] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchTeams();
+  }, []);
+
+  const fetchTeams = async () => {
+    try {
+      const response = await teamAPI.getAll();
+      setTeams(response.data.teams);
+    } catch (error) {
+      toast.error('Error loading teams');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceTeam = (team) => {
+    setTeams(teams.map((t) => (t._id === team._id ? team : t)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await teamAPI.create(newTeam);
+      toast.success('Team created');
+      setNewTeam({ name: '', kind: 'team', description: '' });
+      fetchTeams();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error creating team');
+    }
+  };
+
+  const handleDelete = async (team) => {
+    if (window.confirm(`Delete "${team.name}"? Documents shared with it will no longer be shared.`)) {
+      try {
+        await teamAPI.delete(team._id);
+        setTeams(teams.filter((t) => t._id !== team._id));
+      } catch (error) {
+        toast.error('Error deleting team');
+      }
+    }
+  };
+
+  const handleAddMember = async (e, team) => {
+    e.preventDefault();
+    try {
+      const response = await teamAPI.addMember(team._id, { email: memberEmails[team._id] });
+      replaceTeam(response.data.team);
+      setMemberEmails({ ...memberEmails, [team._id]: '' });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error adding member');
+    }
+  };
+
+  const handleRoleChange = async (team, member, role) => {
+    try {
+      const response = await teamAPI.addMember(team._id, { user: member.user._id, role });
+      replaceTeam(response.data.team);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error changing role');
+    }
+  };
+
+  const handleRemoveMember = async (team, member) => {
+    try {
+      const response = await teamAPI.removeMember(team._id, member.user._id);
+      replaceTeam(response.data.team);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error removing member');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Navbar />
+      <div style={styles.content}>
+        <h2 style={styles.heading}>Teams & Departments</h2>
+
+        <form onSubmit={handleCreate} style={{ ...styles.card, ...styles.row }}>
+          <input
+            type="text"
+            placeholder="Name"
+            value={newTeam.name}
+            onChange={(e) => setNewTeam({ ...newTeam, name: e.target.value })}
+            required
+            style={styles.input}
+          />
+          <select
+            value={newTeam.kind}
+            onChange={(e) => setNewTeam({ ...newTeam, kind: e.target.value })}
+            style={styles.input}
+          >
+            <option value="team">Team</option>
+            <option value="department">Department</option>
+          </select>
+          <input
+            type="text"
+            placeholder="Description"
+            value={newTeam.description}
+            onChange={(e) => setNewTeam({ ...newTeam, description: e.target.value })}
+            style={{ ...styles.input, flex: 1 }}
+          />
+          <button type="submit" style={styles.primaryButton}>+ Add</button>
+        </form>
+
+        {loading ? (
+          <div style={styles.message}>Loading teams...</div>
+        ) : teams.length === 0 ? (
+          <div style={styles.message}>No teams yet</div>
+        ) : (
+          teams.map((team) => (
+            <div key={team._id} style={styles.card}>
+              <div style={styles.teamHeader}>
+                <div>
+                  <strong style={styles.teamName}>{team.name}</strong>
+                  <span style={styles.kind}>{team.kind}</span>
+                  {team.description && <div style={styles.description}>{team.description}</div>}
+                </div>
+                <button onClick={() => handleDelete(team)} style={styles.deleteButton} title="Delete">
+                  🗑️
+                </button>
+              </div>
+
+              <ul style={styles.list}>
+                {team.members.map((member) => (
+                  <li key={member.user._id} style={styles.item}>
+                    <span>{member.user.name} ({member.user.email})</span>
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(team, member, e.target.value)}
+                      style={styles.roleSelect}
+                    >
+                      <option value="member">Member</option>
+                      <option value="manager">Manager</option>
+                    </select>
+                    <button
+                      onClick={() => handleRemoveMember(team, member)}
+                      style={styles.removeButton}
+                      title="Remove"
+                    >
+                      ✕
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <form onSubmit={(e) => handleAddMember(e, team)} style={styles.row}>
+                <input
+                  type="email"
+                  placeholder="Add member by email"
+                  value={memberEmails[team._id] || ''}
+                  onChange={(e) => setMemberEmails({ ...memberEmails, [team._id]: e.target.value })}
+                  required
+                  style={{ ...styles.input, flex: 1 }}
+                />
+                <button type="submit" style={styles.secondaryButton}>Add Member</button>
+              </form>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f5f7fa',
+  },
+  content: {
+    maxWidth: '1000px',
+    margin: '0 auto',
+    padding: '30px 24px',
+  },
+  heading: {
+    fontSize: '24px',
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: '24px',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '16px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  row: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+  },
+  input: {
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  primaryButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  secondaryButton: {
+    padding: '10px 20px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+  teamHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    marginBottom: '12px',
+  },
+  teamName: {
+    fontSize: '16px',
+    color: '#1F2937',
+  },
+  kind: {
+    marginLeft: '8px',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    backgroundColor: '#DBEAFE',
+    color: '#1E40AF',
+    textTransform: 'capitalize',
+  },
+  description: {
+    fontSize: '13px',
+    color: '#6B7280',
+    marginTop: '4px',
+  },
+  deleteButton: {
+    padding: '6px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    backgroundColor: '#FEE2E2',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 12px',
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid #F3F4F6',
+    fontSize: '14px',
+    color: '#1F2937',
+  },
+  roleSelect: {
+    marginLeft: 'auto',
+    padding: '4px 8px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '6px',
+    fontSize: '13px',
+  },
+  removeButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    color: '#991B1B',
+    fontSize: '14px',
+  },
+};
+
+export default Teams;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { authAPI, sessionAPI } from '../../services/api';
+import Navbar from '../Layout/Navbar';
+import SessionList from '../Settings/SessionList';
+
+// Lets admins see where a user is signed in and sign them out, e.g. when a
+// laptop is lost or someone leaves
+const UserSessions = () => {
+  const [users, setUsers] = useState([]);
+  const [userId, setUserId] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  useEffect(() => {
+    if (userId) {
+      fetchSessions();
+    } else {
+      setSessions([]);
+    }
+  }, [userId]);
+
+  const fetchUsers = async () => {
+    try {
+      const response = await authAPI.getUsers();
+      setUsers(response.data.users);
+    } catch (error) {
+      toast.error('Error loading users');
+    }
+  };
+
+  const fetchSessions = async () => {
+    setLoading(true);
+    try {
+      const response = await sessionAPI.getForUser(userId);
+      setSessions(response.data.sessions);
+    } catch (error) {
+      toast.error('Error loading sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectedUser = users.find((user) => user._id === userId);
+
+  const handleRevoke = async (session) => {
+    if (window.confirm(`Sign ${selectedUser.name} out of ${session.device}?`)) {
+      try {
+        await sessionAPI.revokeOneForUser(userId, session._id);
+        setSessions(sessions.filter((s) => s._id !== session._id));
+        toast.success('Session signed out');
+      } catch (error) {
+        toast.error('Error signing out session');
+      }
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (window.confirm(`Sign ${selectedUser.name} out of every device?`)) {
+      try {
+        const response = await sessionAPI.revokeForUser(userId);
+        toast.success(response.data.message);
+        fetchSessions();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error signing out user');
+      }
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Navbar />
+      <div style={styles.content}>
+        <h2 style={styles.heading}>User Sessions</h2>
+
+        <div style={styles.toolbar}>
+          <select value={userId} onChange={(e) => setUserId(e.target.value)} style={styles.select}>
+            <option value="">Choose a user...</option>
+            {users.map((user) => (
+              <option key={user._id} value={user._id}>{user.name} ({user.email})</option>
+            ))}
+          </select>
+          {userId && sessions.length > 0 && (
+            <button onClick={handleRevokeAll} style={styles.dangerButton}>
+              Sign out of all devices
+            </button>
+          )}
+        </div>
+
+        {userId && (
+          <div style={styles.card}>
+            {loading ? (
+              <div style={styles.message}>Loading sessions...</div>
+            ) : (
+              <SessionList sessions={sessions} onRevoke={handleRevoke} />
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f5f7fa',
+  },
+  content: {
+    maxWidth: '1100px',
+    margin: '0 auto',
+    padding: '30px 24px',
+  },
+  heading: {
+    fontSize: '24px',
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: '24px',
+  },
+  toolbar: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    marginBottom: '16px',
+  },
+  select: {
+    flex: 1,
+    minWidth: '240px',
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  dangerButton: {
+    backgroundColor: '#DC2626',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+};
+
+export default UserSessions;
@@ -0,0 +1,485 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { webhookAPI } from '../../services/api';
+import Navbar from '../Layout/Navbar';
+
+const emptyWebhook = { name: '', url: '', events: [] };
+
+const deliveryColors = {
+  pending: { backgroundColor: '#FEF3C7', color: '#92400E' },
+  delivered: { backgroundColor: '#D1FAE5', color: '#065F46' },
+  failed: { backgroundColor: '#FEE2E2', color: '#991B1B' },
+};
+
+const Webhooks = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [newWebhook, setNewWebhook] = useState(emptyWebhook);
+  const [secret, setSecret] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryFilters, setDeliveryFilters] = useState({ webhook: '', status: '' });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, []);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [deliveryFilters]);
+
+  const fetchWebhooks = async () => {
+    try {
+      const response = await webhookAPI.getAll();
+      setWebhooks(response.data.webhooks);
+      setEvents(response.data.events);
+    } catch (error) {
+      toast.error('Error loading webhooks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDeliveries = async () => {
+    try {
+      const params = {};
+      Object.entries(deliveryFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      const response = await webhookAPI.getDeliveries(params);
+      setDeliveries(response.data.deliveries);
+    } catch (error) {
+      toast.error('Error loading deliveries');
+    }
+  };
+
+  const toggleEvent = (list, event) => (
+    list.includes(event) ? list.filter((e) => e !== event) : [...list, event]
+  );
+
+  const replaceWebhook = (webhook) => {
+    setWebhooks(webhooks.map((w) => (w._id === webhook._id ? webhook : w)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await webhookAPI.create(newWebhook);
+      setSecret({ name: response.data.webhook.name, value: response.data.secret });
+      setNewWebhook(emptyWebhook);
+      fetchWebhooks();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.errors?.[0]?.msg
+          || error.response?.data?.message
+          || 'Error creating webhook'
+      );
+    }
+  };
+
+  const handleUpdate = async (webhook, data) => {
+    try {
+      const response = await webhookAPI.update(webhook._id, data);
+      replaceWebhook(response.data.webhook);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating webhook');
+    }
+  };
+
+  const handleRotateSecret = async (webhook) => {
+    if (window.confirm(`Issue a new secret for "${webhook.name}"? The current one stops working immediately.`)) {
+      try {
+        const response = await webhookAPI.rotateSecret(webhook._id);
+        setSecret({ name: webhook.name, value: response.data.secret });
+      } catch (error) {
+        toast.error('Error rotating secret');
+      }
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (window.confirm(`Delete "${webhook.name}" and its delivery log?`)) {
+      try {
+        await webhookAPI.delete(webhook._id);
+        setWebhooks(webhooks.filter((w) => w._id !== webhook._id));
+        fetchDeliveries();
+      } catch (error) {
+        toast.error('Error deleting webhook');
+      }
+    }
+  };
+
+  const handleReplay = async (delivery) => {
+    try {
+      await webhookAPI.replay(delivery._id);
+      toast.success('Delivery queued again');
+      fetchDeliveries();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error replaying delivery');
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const copySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(secret.value);
+      toast.success('Secret copied');
+    } catch (error) {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Navbar />
+      <div style={styles.content}>
+        <h2 style={styles.heading}>Webhooks</h2>
+
+        {secret && (
+          <div style={styles.secretBox}>
+            <div>
+              Signing secret for <strong>{secret.name}</strong>. Copy it now, it won't be shown again.
+            </div>
+            <div style={styles.row}>
+              <code style={styles.secret}>{secret.value}</code>
+              <button onClick={copySecret} style={styles.secondaryButton}>Copy</button>
+              <button onClick={() => setSecret(null)} style={styles.secondaryButton}>Done</button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} style={styles.card}>
+          <div style={styles.row}>
+            <input
+              type="text"
+              placeholder="Name"
+              value={newWebhook.name}
+              onChange={(e) => setNewWebhook({ ...newWebhook, name: e.target.value })}
+              required
+              style={styles.input}
+            />
+            <input
+              type="url"
+              placeholder="https://example.com/hooks/documents"
+              value={newWebhook.url}
+              onChange={(e) => setNewWebhook({ ...newWebhook, url: e.target.value })}
+              required
+              style={{ ...styles.input, flex: 1 }}
+            />
+            <button type="submit" style={styles.primaryButton}>+ Add</button>
+          </div>
+          <div style={styles.events}>
+            {events.map((event) => (
+              <label key={event} style={styles.eventLabel}>
+                <input
+                  type="checkbox"
+                  checked={newWebhook.events.includes(event)}
+                  onChange={() => setNewWebhook({
+                    ...newWebhook,
+                    events: toggleEvent(newWebhook.events, event),
+                  })}
+                />
+                {event}
+              </label>
+            ))}
+            <span style={styles.hint}>Leave all unchecked to receive every event.</span>
+          </div>
+        </form>
+
+        {loading ? (
+          <div style={styles.message}>Loading webhooks...</div>
+        ) : webhooks.length === 0 ? (
+          <div style={styles.message}>No webhooks yet</div>
+        ) : (
+          webhooks.map((webhook) => (
+            <div key={webhook._id} style={styles.card}>
+              <div style={styles.webhookHeader}>
+                <div>
+                  <strong style={styles.webhookName}>{webhook.name}</strong>
+                  {!webhook.active && <span style={styles.inactive}>Paused</span>}
+                  <div style={styles.url}>{webhook.url}</div>
+                </div>
+                <div style={styles.row}>
+                  <button
+                    onClick={() => handleUpdate(webhook, { active: !webhook.active })}
+                    style={styles.secondaryButton}
+                  >
+                    {webhook.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button onClick={() => handleRotateSecret(webhook)} style={styles.secondaryButton}>
+                    New Secret
+                  </button>
+                  <button onClick={() => handleDelete(webhook)} style={styles.deleteButton} title="Delete">
+                    🗑️
+                  </button>
+                </div>
+              </div>
+              <div style={styles.events}>
+                {events.map((event) => (
+                  <label key={event} style={styles.eventLabel}>
+                    <input
+                      type="checkbox"
+                      checked={webhook.events.includes(event)}
+                      onChange={() => handleUpdate(webhook, { events: toggleEvent(webhook.events, event) })}
+                    />
+                    {event}
+                  </label>
+                ))}
+                {webhook.events.length === 0 && <span style={styles.hint}>All events</span>}
+              </div>
+            </div>
+          ))
+        )}
+
+        <h3 style={styles.subheading}>Recent Deliveries</h3>
+        <div style={{ ...styles.row, marginBottom: '12px' }}>
+          <select
+            value={deliveryFilters.webhook}
+            onChange={(e) => setDeliveryFilters({ ...deliveryFilters, webhook: e.target.value })}
+            style={styles.input}
+          >
+            <option value="">All webhooks</option>
+            {webhooks.map((webhook) => (
+              <option key={webhook._id} value={webhook._id}>{webhook.name}</option>
+            ))}
+          </select>
+          <select
+            value={deliveryFilters.status}
+            onChange={(e) => setDeliveryFilters({ ...deliveryFilters, status: e.target.value })}
+            style={styles.input}
+          >
+            <option value="">Any status</option>
+            <option value="pending">Pending</option>
+            <option value="delivered">Delivered</option>
+            <option value="failed">Failed</option>
+          </select>
+          <button onClick={fetchDeliveries} style={styles.secondaryButton}>Refresh</button>
+        </div>
+
+        <div style={styles.card}>
+          {deliveries.length === 0 ? (
+            <div style={styles.message}>No deliveries</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>When</th>
+                  <th style={styles.th}>Webhook</th>
+                  <th style={styles.th}>Event</th>
+                  <th style={styles.th}>Status</th>
+                  <th style={styles.th}>Attempts</th>
+                  <th style={styles.th}>Response</th>
+                  <th style={styles.th}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.map((delivery) => (
+                  <tr key={delivery._id}>
+                    <td style={styles.td}>{formatDate(delivery.createdAt)}</td>
+                    <td style={styles.td}>{delivery.webhook?.name || 'Deleted'}</td>
+                    <td style={styles.td}>
+                      {delivery.event}
+                      {delivery.replayOf && <span style={styles.hint}> (replay)</span>}
+                    </td>
+                    <td style={styles.td}>
+                      <span style={{ ...styles.status, ...deliveryColors[delivery.status] }}>
+                        {delivery.status}
+                      </span>
+                    </td>
+                    <td style={styles.td}>{delivery.attempts}</td>
+                    <td style={styles.td} title={delivery.lastError || ''}>
+                      {delivery.responseStatus || delivery.lastError || '-'}
+                    </td>
+                    <td style={styles.td}>
+                      {delivery.webhook && delivery.status !== 'pending' && (
+                        <button onClick={() => handleReplay(delivery)} style={styles.secondaryButton}>
+                          Replay
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f5f7fa',
+  },
+  content: {
+    maxWidth: '1100px',
+    margin: '0 auto',
+    padding: '30px 24px',
+  },
+  heading: {
+    fontSize: '24px',
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: '24px',
+  },
+  subheading: {
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#1F2937',
+    margin: '32px 0 12px',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '16px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  row: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  input: {
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  primaryButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  secondaryButton: {
+    padding: '8px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '13px',
+  },
+  deleteButton: {
+    padding: '6px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    backgroundColor: '#FEE2E2',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+  secretBox: {
+    backgroundColor: '#FEF3C7',
+    border: '1px solid #FCD34D',
+    borderRadius: '12px',
+    padding: '16px 24px',
+    marginBottom: '16px',
+    fontSize: '14px',
+    color: '#92400E',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+  },
+  secret: {
+    flex: 1,
+    padding: '8px 12px',
+    backgroundColor: 'white',
+    borderRadius: '6px',
+    fontFamily: 'monospace',
+    wordBreak: 'break-all',
+  },
+  events: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    marginTop: '12px',
+    alignItems: 'center',
+  },
+  eventLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '13px',
+    color: '#374151',
+  },
+  hint: {
+    fontSize: '12px',
+    color: '#6B7280',
+  },
+  webhookHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    gap: '12px',
+  },
+  webhookName: {
+    fontSize: '16px',
+    color: '#1F2937',
+  },
+  inactive: {
+    marginLeft: '8px',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    backgroundColor: '#F3F4F6',
+    color: '#6B7280',
+  },
+  url: {
+    fontSize: '13px',
+    color: '#6B7280',
+    marginTop: '4px',
+    wordBreak: 'break-all',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    padding: '10px 12px',
+    textAlign: 'left',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#6B7280',
+    textTransform: 'uppercase',
+    borderBottom: '2px solid #E5E7EB',
+  },
+  td: {
+    padding: '10px 12px',
+    fontSize: '13px',
+    color: '#1F2937',
+    borderBottom: '1px solid #F3F4F6',
+  },
+  status: {
+    padding: '2px 8px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+};
+
+export default Webhooks;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { documentAPI } from '../../services/api';
+
+const ACTION_LABELS = {
+  'document.create': 'created the document',
+  'document.view': 'viewed the document',
+  'document.update': 'edited the document',
+  'document.renew': 'renewed the document',
+  'document.delete': 'moved the document to the trash',
+  'document.restore': 'restored the document from the trash',
+  'document.download': 'downloaded',
+  'document.preview': 'previewed',
+  'document.version.restore': 'restored a previous version',
+  'document.share': 'shared the document',
+  'document.unshare': 'removed a share',
+  'document.quarantine': 'quarantined the file: malware was found',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString('en-US');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const describe = (entry) => {
+  const label = ACTION_LABELS[entry.action] || entry.action;
+  const meta = entry.metadata || {};
+
+  if (entry.action === 'document.preview') {
+    return `${label} ${meta.fileName || 'the file'}`;
+  }
+  if (entry.action === 'document.download') {
+    return `${label} ${meta.fileName || 'the file'}${meta.version ? ` (v${meta.version})` : ''}`;
+  }
+  if (entry.action === 'document.version.restore') {
+    return `${label} (v${meta.restoredFrom})`;
+  }
+  if (entry.action === 'document.share') {
+    return `${label} with ${meta.user || meta.team} as ${meta.role}`;
+  }
+  return label;
+};
+
+const ActivityTimeline = ({ doc, onClose }) => {
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchActivity();
+  }, [doc._id]);
+
+  const fetchActivity = async () => {
+    setLoading(true);
+    try {
+      const response = await documentAPI.getActivity(doc._id);
+      setActivity(response.data.activity);
+    } catch (error) {
+      toast.error('Error loading activity');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.heading}>Activity — {doc.title}</h3>
+        <button onClick={onClose} style={styles.closeButton} title="Close">
+          ✕
+        </button>
+      </div>
+
+      {loading ? (
+        <div style={styles.message}>Loading activity...</div>
+      ) : activity.length === 0 ? (
+        <div style={styles.message}>No activity recorded yet</div>
+      ) : (
+        <ul style={styles.timeline}>
+          {activity.map((entry) => (
+            <li key={entry._id} style={styles.entry}>
+              <div style={styles.entryHeader}>
+                <span>
+                  <strong>{entry.actorName || 'Someone'}</strong> {describe(entry)}
+                </span>
+                <span style={styles.time}>{formatDateTime(entry.createdAt)}</span>
+              </div>
+              {entry.changes && entry.changes.length > 0 && (
+                <ul style={styles.changes}>
+                  {entry.changes.map((change) => (
+                    <li key={change.field}>
+                      <code>{change.field}</code>: {formatValue(change.from)} → {formatValue(change.to)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '24px',
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  heading: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  closeButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    fontSize: '16px',
+    color: '#6B7280',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '20px',
+    color: '#6B7280',
+  },
+  timeline: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    maxHeight: '360px',
+    overflowY: 'auto',
+  },
+  entry: {
+    padding: '10px 12px',
+    borderLeft: '3px solid #4F46E5',
+    marginBottom: '8px',
+    backgroundColor: 'white',
+    fontSize: '13px',
+    color: '#1F2937',
+  },
+  entryHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '12px',
+  },
+  time: {
+    color: '#6B7280',
+    whiteSpace: 'nowrap',
+  },
+  changes: {
+    margin: '6px 0 0',
+    paddingLeft: '18px',
+    color: '#4B5563',
+    fontSize: '12px',
+  },
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,259 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { documentAPI } from '../../services/api';
+import { downloadFile } from '../../utils/downloadFile';
+
+// Renewed is set by renewing a document, not by a bulk action
+const STATUSES = ['Active', 'Expiring Soon', 'Expired'];
+
+// Toolbar for the rows selected in DocumentList. `selection` is { ids } or,
+// after "select all matching", { filter }. Per-document results go to
+// onResults(results, changed); `failures` are the last run's failed ones.
+const BulkActions = ({
+  selection,
+  count,
+  documentTypes,
+  failures,
+  onResults,
+  onDismissFailures,
+  onClear,
+}) => {
+  const [action, setAction] = useState('');
+  const [value, setValue] = useState('');
+  const [running, setRunning] = useState(false);
+
+  const needsValue = ['status', 'documentType', 'reassign'].includes(action);
+
+  const chooseAction = (next) => {
+    setAction(next);
+    setValue('');
+  };
+
+  const errorMessage = async (error, fallback) => {
+    // Blob responses (the ZIP download) carry their JSON error as a blob too
+    const data = error.response?.data instanceof Blob
+      ? JSON.parse(await error.response.data.text())
+      : error.response?.data;
+    return {
+      message: data?.message || data?.errors?.[0]?.msg || fallback,
+      results: data?.results || [],
+    };
+  };
+
+  const runDownload = async () => {
+    const response = await documentAPI.bulkDownload(selection);
+    downloadFile(response.data, `documents-${new Date().toISOString().slice(0, 10)}.zip`);
+    toast.success('ZIP downloaded. download-report.csv inside lists any files left out.');
+  };
+
+  const runAction = async () => {
+    const data = { ...selection, action };
+    if (action === 'status') data.status = value;
+    if (action === 'documentType') data.documentType = value;
+    if (action === 'reassign') data.owner = value;
+
+    const response = await documentAPI.bulk(data);
+    const { succeeded, failed, results } = response.data;
+
+    if (failed === 0) {
+      toast.success(`Updated ${succeeded} document${succeeded === 1 ? '' : 's'}`);
+    } else {
+      toast.warn(`${succeeded} succeeded, ${failed} failed`);
+    }
+    onResults(results, succeeded > 0);
+  };
+
+  const handleApply = async () => {
+    if (action === 'delete' && !window.confirm(`Move ${count} document${count === 1 ? '' : 's'} to the trash?`)) {
+      return;
+    }
+
+    setRunning(true);
+    onDismissFailures();
+    try {
+      if (action === 'download') {
+        await runDownload();
+      } else {
+        await runAction();
+      }
+      setAction('');
+      setValue('');
+    } catch (error) {
+      const { message, results } = await errorMessage(error, 'Error running bulk action');
+      if (results.length) onResults(results, false);
+      toast.error(message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.bar}>
+        <strong style={styles.count}>{count} selected</strong>
+
+        <select value={action} onChange={(e) => chooseAction(e.target.value)} style={styles.input}>
+          <option value="">Choose an action...</option>
+          <option value="download">⬇ Download files (ZIP)</option>
+          <option value="status">Set status</option>
+          <option value="documentType">Change document type</option>
+          <option value="reassign">Reassign owner</option>
+          <option value="delete">🗑️ Move to trash</option>
+        </select>
+
+        {action === 'status' && (
+          <select value={value} onChange={(e) => setValue(e.target.value)} style={styles.input}>
+            <option value="">Status...</option>
+            {STATUSES.map((status) => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        )}
+
+        {action === 'documentType' && (
+          <select value={value} onChange={(e) => setValue(e.target.value)} style={styles.input}>
+            <option value="">Document type...</option>
+            {documentTypes.map((type) => (
+              <option key={type._id} value={type.name}>{type.name}</option>
+            ))}
+          </select>
+        )}
+
+        {action === 'reassign' && (
+          <input
+            type="email"
+            placeholder="New owner's email"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            style={styles.input}
+          />
+        )}
+
+        <button
+          onClick={handleApply}
+          disabled={!action || (needsValue && !value) || running}
+          style={styles.applyButton}
+        >
+          {running ? 'Working...' : 'Apply'}
+        </button>
+        <button onClick={onClear} style={styles.clearButton}>Clear selection</button>
+      </div>
+
+      {action === 'status' && value && (
+        <div style={styles.hint}>
+          Statuses follow each document's expiry date; documents whose dates give another status are not changed.
+        </div>
+      )}
+
+      {failures.length > 0 && (
+        <div style={styles.failures}>
+          <div style={styles.failuresHeader}>
+            <strong>{failures.length} document{failures.length === 1 ? '' : 's'} not changed</strong>
+            <button onClick={onDismissFailures} style={styles.closeButton}>✕</button>
+          </div>
+          <ul style={styles.list}>
+            {failures.map((failure) => (
+              <li key={failure.id} style={styles.item}>
+                <span>{failure.title || failure.id}</span>
+                <span style={styles.error}>{failure.error}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    border: '2px solid #C7D2FE',
+    borderRadius: '8px',
+    padding: '12px 16px',
+    marginBottom: '16px',
+    backgroundColor: '#EEF2FF',
+  },
+  bar: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  count: {
+    fontSize: '14px',
+    color: '#3730A3',
+    marginRight: '8px',
+  },
+  input: {
+    padding: '8px 12px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  applyButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '8px 16px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  clearButton: {
+    marginLeft: 'auto',
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    color: '#4F46E5',
+    fontWeight: '600',
+    fontSize: '13px',
+  },
+  hint: {
+    marginTop: '8px',
+    fontSize: '12px',
+    color: '#4B5563',
+  },
+  failures: {
+    marginTop: '12px',
+    padding: '12px',
+    borderRadius: '8px',
+    backgroundColor: '#FEF2F2',
+    border: '1px solid #FECACA',
+  },
+  failuresHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    fontSize: '14px',
+    color: '#991B1B',
+  },
+  closeButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    fontSize: '14px',
+    color: '#6B7280',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '8px 0 0',
+    maxHeight: '200px',
+    overflowY: 'auto',
+  },
+  item: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '12px',
+    padding: '4px 0',
+    fontSize: '13px',
+    color: '#1F2937',
+  },
+  error: {
+    color: '#991B1B',
+  },
+};
+
+export default BulkActions;
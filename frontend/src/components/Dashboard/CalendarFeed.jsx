@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { calendarAPI } from '../../services/api';
+
+const CalendarFeed = ({ onClose }) => {
+  const [feed, setFeed] = useState(null);
+  const [url, setUrl] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchFeed();
+  }, []);
+
+  const fetchFeed = async () => {
+    try {
+      const response = await calendarAPI.getFeed();
+      setFeed(response.data.feed);
+    } catch (error) {
+      toast.error('Error loading calendar feed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (feed && !window.confirm('Generating a new link stops the current one from working. Continue?')) {
+      return;
+    }
+    try {
+      const response = await calendarAPI.createFeed();
+      setUrl(response.data.url);
+      fetchFeed();
+    } catch (error) {
+      toast.error('Error creating calendar feed');
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (window.confirm('Revoke your calendar feed? Subscribed calendars will stop updating.')) {
+      try {
+        await calendarAPI.revokeFeed();
+        setFeed(null);
+        setUrl('');
+        toast.success('Calendar feed revoked');
+      } catch (error) {
+        toast.error('Error revoking calendar feed');
+      }
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.heading}>📅 Calendar Subscription</h3>
+        <button onClick={onClose} style={styles.closeButton} title="Close">
+          ✕
+        </button>
+      </div>
+      <p style={styles.text}>
+        Subscribe to your document expiry dates in Outlook, Google Calendar or any iCalendar app.
+        Keep the link private: anyone with it can see your expiry dates.
+      </p>
+
+      {loading ? (
+        <div style={styles.text}>Loading...</div>
+      ) : (
+        <>
+          {url && (
+            <div style={styles.urlRow}>
+              <input type="text" value={url} readOnly style={styles.urlInput} onFocus={(e) => e.target.select()} />
+              <button onClick={handleCopy} style={styles.button}>Copy</button>
+            </div>
+          )}
+          {feed && !url && (
+            <p style={styles.text}>
+              A subscription link is active
+              {feed.lastAccessedAt && ` (last synced ${new Date(feed.lastAccessedAt).toLocaleString()})`}.
+              For security the link is only shown when it is generated.
+            </p>
+          )}
+          <div style={styles.actions}>
+            <button onClick={handleCreate} style={styles.button}>
+              {feed ? 'Generate New Link' : 'Generate Link'}
+            </button>
+            {feed && (
+              <button onClick={handleRevoke} style={{ ...styles.button, ...styles.revokeButton }}>
+                Revoke
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  heading: {
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  closeButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    fontSize: '16px',
+    color: '#6B7280',
+  },
+  text: {
+    color: '#6B7280',
+    fontSize: '14px',
+    marginBottom: '16px',
+  },
+  urlRow: {
+    display: 'flex',
+    gap: '8px',
+    marginBottom: '16px',
+  },
+  urlInput: {
+    flex: '1',
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '13px',
+    fontFamily: 'monospace',
+    outline: 'none',
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  button: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  revokeButton: {
+    backgroundColor: '#EF4444',
+  },
+};
+
+export default CalendarFeed;
@@ -0,0 +1,117 @@
+import React from 'react';
+
+// Renders the custom fields of a document type as form inputs.
+// `values` is the document's customFields object; onChange receives the updated object.
+const CustomFieldsInput = ({ documentType, values = {}, onChange }) => {
+  if (!documentType || !documentType.fields.length) {
+    return null;
+  }
+
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  const renderInput = (field) => {
+    const value = values[field.key] ?? '';
+
+    switch (field.type) {
+      case 'select':
+        return (
+          <select
+            value={value}
+            onChange={(e) => setValue(field.key, e.target.value)}
+            required={field.required}
+            style={styles.input}
+          >
+            <option value="">Select {field.label}</option>
+            {field.options.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'boolean':
+        return (
+          <input
+            type="checkbox"
+            checked={value === true || value === 'true'}
+            onChange={(e) => setValue(field.key, e.target.checked)}
+            style={styles.checkbox}
+          />
+        );
+      case 'date':
+        return (
+          <input
+            type="date"
+            value={value ? String(value).slice(0, 10) : ''}
+            onChange={(e) => setValue(field.key, e.target.value)}
+            required={field.required}
+            style={styles.input}
+          />
+        );
+      case 'number':
+        return (
+          <input
+            type="number"
+            value={value}
+            min={field.min}
+            max={field.max}
+            onChange={(e) => setValue(field.key, e.target.value)}
+            required={field.required}
+            style={styles.input}
+          />
+        );
+      default:
+        return (
+          <input
+            type="text"
+            value={value}
+            minLength={field.min}
+            maxLength={field.max}
+            pattern={field.pattern || undefined}
+            onChange={(e) => setValue(field.key, e.target.value)}
+            required={field.required}
+            style={styles.input}
+          />
+        );
+    }
+  };
+
+  return (
+    <div style={styles.grid}>
+      {documentType.fields.map((field) => (
+        <label key={field.key} style={styles.label}>
+          {field.label}{field.required && ' *'}
+          {renderInput(field)}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+const styles = {
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))',
+    gap: '16px',
+    marginBottom: '16px',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#374151',
+  },
+  input: {
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  checkbox: {
+    width: '18px',
+    height: '18px',
+  },
+};
+
+export default CustomFieldsInput;
@@ -1,21 +1,45 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import { analyticsAPI } from '../../services/api';
+import { subscribeNotifications } from '../../services/notificationStream';
 import Navbar from '../Layout/Navbar';
 import DocumentList from './DocumentList';
 import DocumentForm from './DocumentForm';
 import Analytics from './Analytics';
+import CalendarFeed from './CalendarFeed';
+import ExpiryCalendar from './ExpiryCalendar';
+import ImportDocuments from './ImportDocuments';
+import RenewalForecast from './RenewalForecast';
+import Trash from './Trash';
 
 const Dashboard = () => {
   const [activeTab, setActiveTab] = useState('documents');
   const [analytics, setAnalytics] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [showCalendarFeed, setShowCalendarFeed] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [refreshTrigger, setRefreshTrigger] = useState(0);
 
   useEffect(() => {
     fetchAnalytics();
   }, [refreshTrigger]);
 
+  // Refresh the stats and list when documents change elsewhere; a burst of
+  // changes (e.g. the nightly status job) triggers a single refresh
+  useEffect(() => {
+    let timer = null;
+    const unsubscribe = subscribeNotifications((event) => {
+      if (event === 'documents.changed') {
+        clearTimeout(timer);
+        timer = setTimeout(() => setRefreshTrigger(prev => prev + 1), 1000);
+      }
+    });
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, []);
+
   const fetchAnalytics = async () => {
     try {
       const response = await analyticsAPI.getDashboard();
@@ -31,6 +55,11 @@ const Dashboard = () => {
     toast.success('Document added successfully!');
   };
 
+  const handleDocumentsImported = () => {
+    setShowImport(false);
+    setRefreshTrigger(prev => prev + 1);
+  };
+
   return (
     <div style={styles.container}>
       <Navbar />
@@ -81,6 +110,15 @@ const Dashboard = () => {
         >
           📄 Documents
         </button>
+        <button
+          onClick={() => setActiveTab('calendar')}
+          style={{
+            ...styles.tab,
+            ...(activeTab === 'calendar' ? styles.activeTab : {}),
+          }}
+        >
+          📅 Calendar
+        </button>
         <button
           onClick={() => setActiveTab('analytics')}
           style={{
@@ -90,6 +128,15 @@ const Dashboard = () => {
         >
           📈 Analytics
         </button>
+        <button
+          onClick={() => setActiveTab('trash')}
+          style={{
+            ...styles.tab,
+            ...(activeTab === 'trash' ? styles.activeTab : {}),
+          }}
+        >
+          🗑️ Trash
+        </button>
       </div>
 
       {/* Content Area */}
@@ -98,11 +145,28 @@ const Dashboard = () => {
           <>
             <div style={styles.actionBar}>
               <h2 style={styles.heading}>Document Management</h2>
-              <button onClick={() => setShowForm(!showForm)} style={styles.addButton}>
-                {showForm ? '✕ Cancel' : '+ Add Document'}
-              </button>
+              <div style={styles.actionButtons}>
+                <button onClick={() => setShowCalendarFeed(!showCalendarFeed)} style={styles.secondaryButton}>
+                  📅 Subscribe
+                </button>
+                <button onClick={() => setShowImport(!showImport)} style={styles.secondaryButton}>
+                  ⬆ Import
+                </button>
+                <button onClick={() => setShowForm(!showForm)} style={styles.addButton}>
+                  {showForm ? '✕ Cancel' : '+ Add Document'}
+                </button>
+              </div>
             </div>
 
+            {showCalendarFeed && <CalendarFeed onClose={() => setShowCalendarFeed(false)} />}
+
+            {showImport && (
+              <ImportDocuments
+                onSuccess={handleDocumentsImported}
+                onCancel={() => setShowImport(false)}
+              />
+            )}
+
             {showForm && (
               <DocumentForm
                 onSuccess={handleDocumentAdded}
@@ -114,7 +178,18 @@ const Dashboard = () => {
           </>
         )}
 
-        {activeTab === 'analytics' && <Analytics analytics={analytics} />}
+        {activeTab === 'calendar' && (
+          <ExpiryCalendar refreshTrigger={refreshTrigger} onUpdate={() => setRefreshTrigger(prev => prev + 1)} />
+        )}
+
+        {activeTab === 'analytics' && (
+          <>
+            <Analytics analytics={analytics} />
+            <RenewalForecast refreshTrigger={refreshTrigger} />
+          </>
+        )}
+
+        {activeTab === 'trash' && <Trash onRestore={() => setRefreshTrigger(prev => prev + 1)} />}
       </div>
     </div>
   );
@@ -206,6 +281,20 @@ const styles = {
     fontWeight: 'bold',
     color: '#1F2937',
   },
+  actionButtons: {
+    display: 'flex',
+    gap: '12px',
+  },
+  secondaryButton: {
+    backgroundColor: 'white',
+    color: '#4F46E5',
+    border: '2px solid #4F46E5',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
   addButton: {
     backgroundColor: '#4F46E5',
     color: 'white',
@@ -1,32 +1,121 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
-import { documentAPI } from '../../services/api';
+import { authAPI, documentAPI, documentTypeAPI } from '../../services/api';
+import { downloadFile } from '../../utils/downloadFile';
+import { getStatusStyle } from '../../utils/statusStyles';
+import {
+  ADVANCED_FILTER_KEYS,
+  emptyFilters,
+  filtersFromParams,
+  filtersToParams,
+} from '../../utils/listFilters';
+import VersionHistory from './VersionHistory';
+import ShareDocument from './ShareDocument';
+import ActivityTimeline from './ActivityTimeline';
+import BulkActions from './BulkActions';
+import SavedViews from './SavedViews';
+
+const SORTABLE_COLUMNS = [
+  { label: 'Title', field: 'title' },
+  { label: 'Type', field: 'documentType' },
+  { label: 'Issue Date', field: 'issueDate' },
+  { label: 'Expiry Date', field: 'expiryDate' },
+  { label: 'Days Left', field: 'expiryDate' },
+  { label: 'Status', field: 'status' },
+];
 
 const DocumentList = ({ refreshTrigger, onUpdate }) => {
   const [documents, setDocuments] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [filters, setFilters] = useState({
-    status: '',
-    documentType: '',
-    search: '',
-  });
-  const [currentPage, setCurrentPage] = useState(1);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [documentTypes, setDocumentTypes] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [showMoreFilters, setShowMoreFilters] = useState(false);
   const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const [historyDocument, setHistoryDocument] = useState(null);
+  const [shareDocument, setShareDocument] = useState(null);
+  const [activityDocument, setActivityDocument] = useState(null);
+
+  // Filters, sort order and page live in the URL so the list can be bookmarked.
+  // filters only changes identity when a filter does, not on paging or sorting.
+  const filterKey = filtersToParams(filtersFromParams(searchParams)).toString();
+  const filters = useMemo(() => filtersFromParams(new URLSearchParams(filterKey)), [filterKey]);
+  const sortBy = searchParams.get('sortBy') || '';
+  const currentPage = parseInt(searchParams.get('page'), 10) || 1;
+
+  // Changing a filter goes back to page 1
+  const setFilters = (next) => {
+    setSearchParams(filtersToParams(next, { sortBy }), { replace: true });
+  };
+
+  const setCurrentPage = (page) => {
+    setSearchParams(filtersToParams(filters, { sortBy, page: page > 1 ? page : '' }));
+  };
+
+  const handleSort = (field) => {
+    const next = sortBy === field ? `-${field}` : field;
+    setSearchParams(filtersToParams(filters, { sortBy: next }), { replace: true });
+  };
+
+  const applyView = (view) => {
+    setSearchParams(filtersToParams(
+      { ...emptyFilters(), ...view.filters, customFields: view.filters.customFields || {} },
+      { sortBy: view.sortBy }
+    ));
+  };
+
+  const activeAdvancedFilters = ADVANCED_FILTER_KEYS.filter((key) => filters[key]).length;
+
+  useEffect(() => {
+    fetchDocumentTypes();
+    fetchUsers();
+  }, []);
 
   useEffect(() => {
     fetchDocuments();
-  }, [filters, currentPage, refreshTrigger]);
+  }, [filters, sortBy, currentPage, refreshTrigger]);
+
+  // A selection only makes sense for the filters it was made under
+  useEffect(() => {
+    clearSelection();
+  }, [filters]);
+
+  const fetchDocumentTypes = async () => {
+    try {
+      const response = await documentTypeAPI.getAll();
+      setDocumentTypes(response.data.documentTypes);
+    } catch (error) {
+      toast.error('Error loading document types');
+    }
+  };
+
+  // Only admins can list users; everyone else filters by "me" alone
+  const fetchUsers = async () => {
+    try {
+      const response = await authAPI.getUsers();
+      setUsers(response.data.users || []);
+    } catch (error) {
+      setUsers([]);
+    }
+  };
 
   const fetchDocuments = async () => {
     setLoading(true);
     try {
       const response = await documentAPI.getAll({
         ...filters,
+        ...(sortBy ? { sortBy } : {}),
         page: currentPage,
         limit: 10,
       });
       setDocuments(response.data.documents);
       setTotalPages(response.data.pages);
+      setTotal(response.data.total);
     } catch (error) {
       toast.error('Error loading documents');
     } finally {
@@ -34,11 +123,48 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
     }
   };
 
+  const selectedType = documentTypes.find((type) => type.name === filters.documentType);
+
+  const setCustomFieldFilter = (key, value) => {
+    setFilters({ ...filters, customFields: { ...filters.customFields, [key]: value } });
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setAllMatching(false);
+  };
+
+  const pageIds = documents.map((doc) => doc._id);
+  const pageSelected = pageIds.length > 0 && pageIds.every((id) => selectedIds.includes(id));
+
+  const toggleSelected = (id) => {
+    setAllMatching(false);
+    setSelectedIds(selectedIds.includes(id)
+      ? selectedIds.filter((selected) => selected !== id)
+      : [...selectedIds, id]);
+  };
+
+  const togglePage = () => {
+    setAllMatching(false);
+    setSelectedIds(pageSelected
+      ? selectedIds.filter((id) => !pageIds.includes(id))
+      : [...new Set([...selectedIds, ...pageIds])]);
+  };
+
+  // Keep the documents that failed selected so they can be retried
+  const handleBulkResults = (results, changed) => {
+    const failed = results.filter((result) => !result.success);
+    setBulkFailures(failed);
+    setAllMatching(false);
+    setSelectedIds(failed.filter((result) => result.title).map((result) => result.id));
+    if (changed) onUpdate();
+  };
+
   const handleDelete = async (id) => {
-    if (window.confirm('Are you sure you want to delete this document?')) {
+    if (window.confirm('Move this document to the trash?')) {
       try {
         await documentAPI.delete(id);
-        toast.success('Document deleted successfully');
+        toast.success('Document moved to trash');
         onUpdate();
       } catch (error) {
         toast.error('Error deleting document');
@@ -48,29 +174,38 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
 
   const handleDownload = async (id, fileName) => {
     try {
+      // Object storage hands out a direct link; local files come through the API
+      const link = await documentAPI.getDownloadUrl(id);
+      if (link.data.url) {
+        window.location.assign(link.data.url);
+        return;
+      }
       const response = await documentAPI.download(id);
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', fileName);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      downloadFile(response.data, fileName);
     } catch (error) {
       toast.error('Error downloading file');
     }
   };
 
-  const getStatusStyle = (status) => {
-    const styles = {
-      Active: { backgroundColor: '#D1FAE5', color: '#065F46' },
-      'Expiring Soon': { backgroundColor: '#FEF3C7', color: '#92400E' },
-      Expired: { backgroundColor: '#FEE2E2', color: '#991B1B' },
-      Renewed: { backgroundColor: '#DBEAFE', color: '#1E40AF' },
-    };
-    return styles[status] || {};
+  const handleExport = async (format) => {
+    if (!format) return;
+    try {
+      const response = await documentAPI.export({ ...filters, ...(sortBy ? { sortBy } : {}), format });
+      downloadFile(response.data, `documents-${new Date().toISOString().slice(0, 10)}.${format}`);
+    } catch (error) {
+      toast.error('Error exporting documents');
+    }
+  };
+
+  // Files are quarantined until their malware scan comes back clean
+  const SCAN_BADGES = {
+    pending: { label: '⏳ Scanning', style: { backgroundColor: '#E0E7FF', color: '#3730A3' } },
+    failed: { label: '⚠️ Scan failed', style: { backgroundColor: '#FEF3C7', color: '#92400E' } },
+    infected: { label: '⛔ Quarantined', style: { backgroundColor: '#FEE2E2', color: '#991B1B' } },
   };
 
+  const isQuarantined = (doc) => Boolean(doc.scanStatus && doc.scanStatus !== 'clean');
+
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -97,7 +232,7 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
       <div style={styles.filters}>
         <input
           type="text"
-          placeholder="🔍 Search documents..."
+          placeholder="🔍 Search documents and file contents..."
           value={filters.search}
           onChange={(e) => setFilters({ ...filters, search: e.target.value })}
           style={styles.searchInput}
@@ -117,20 +252,214 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
 
         <select
           value={filters.documentType}
-          onChange={(e) => setFilters({ ...filters, documentType: e.target.value })}
+          onChange={(e) => setFilters({ ...filters, documentType: e.target.value, customFields: {} })}
           style={styles.select}
         >
           <option value="">All Types</option>
-          <option value="Contract">Contract</option>
-          <option value="License">License</option>
-          <option value="Certificate">Certificate</option>
-          <option value="Insurance">Insurance</option>
-          <option value="Lease">Lease</option>
-          <option value="Permit">Permit</option>
-          <option value="Other">Other</option>
+          {documentTypes.map((type) => (
+            <option key={type._id} value={type.name}>{type.name}</option>
+          ))}
         </select>
+
+        {selectedType && selectedType.fields
+          .filter((field) => field.type !== 'date')
+          .map((field) => (
+            field.type === 'select' || field.type === 'boolean' ? (
+              <select
+                key={field.key}
+                value={filters.customFields[field.key] || ''}
+                onChange={(e) => setCustomFieldFilter(field.key, e.target.value)}
+                style={styles.select}
+              >
+                <option value="">Any {field.label}</option>
+                {(field.type === 'boolean' ? ['true', 'false'] : field.options).map((option) => (
+                  <option key={option} value={option}>
+                    {field.type === 'boolean' ? (option === 'true' ? 'Yes' : 'No') : option}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                key={field.key}
+                type="text"
+                placeholder={field.label}
+                value={filters.customFields[field.key] || ''}
+                onChange={(e) => setCustomFieldFilter(field.key, e.target.value)}
+                style={styles.select}
+              />
+            )
+          ))}
+
+        <select
+          value=""
+          onChange={(e) => handleExport(e.target.value)}
+          style={styles.select}
+          title="Export the filtered list"
+        >
+          <option value="">⬇ Export</option>
+          <option value="csv">CSV</option>
+          <option value="xlsx">Excel (XLSX)</option>
+          <option value="pdf">PDF Report</option>
+        </select>
+
+        <button
+          onClick={() => setShowMoreFilters(!showMoreFilters)}
+          style={{ ...styles.select, ...(activeAdvancedFilters ? styles.activeFilterButton : {}) }}
+        >
+          ⚙ More filters{activeAdvancedFilters ? ` (${activeAdvancedFilters})` : ''}
+        </button>
+
+        <SavedViews filters={filters} sortBy={sortBy} onApply={applyView} />
       </div>
 
+      {showMoreFilters && (
+        <div style={styles.moreFilters}>
+          <label style={styles.filterLabel}>
+            Expires between
+            <span style={styles.filterRow}>
+              <input
+                type="date"
+                value={filters.expiryFrom}
+                onChange={(e) => setFilters({ ...filters, expiryFrom: e.target.value })}
+                style={styles.select}
+              />
+              <input
+                type="date"
+                value={filters.expiryTo}
+                onChange={(e) => setFilters({ ...filters, expiryTo: e.target.value })}
+                style={styles.select}
+              />
+            </span>
+          </label>
+
+          <label style={styles.filterLabel}>
+            Expiring within
+            <select
+              value={filters.expiresWithin}
+              onChange={(e) => setFilters({ ...filters, expiresWithin: e.target.value })}
+              style={styles.select}
+            >
+              <option value="">Any time</option>
+              <option value="7">7 days</option>
+              <option value="30">30 days</option>
+              <option value="60">60 days</option>
+              <option value="90">90 days</option>
+              <option value="180">180 days</option>
+              <option value="365">1 year</option>
+            </select>
+          </label>
+
+          <label style={styles.filterLabel}>
+            Issued between
+            <span style={styles.filterRow}>
+              <input
+                type="date"
+                value={filters.issueFrom}
+                onChange={(e) => setFilters({ ...filters, issueFrom: e.target.value })}
+                style={styles.select}
+              />
+              <input
+                type="date"
+                value={filters.issueTo}
+                onChange={(e) => setFilters({ ...filters, issueTo: e.target.value })}
+                style={styles.select}
+              />
+            </span>
+          </label>
+
+          <label style={styles.filterLabel}>
+            Issuer
+            <input
+              type="text"
+              placeholder="Any issuer"
+              value={filters.issuer}
+              onChange={(e) => setFilters({ ...filters, issuer: e.target.value })}
+              style={styles.select}
+            />
+          </label>
+
+          <label style={styles.filterLabel}>
+            Owner
+            <select
+              value={filters.owner}
+              onChange={(e) => setFilters({ ...filters, owner: e.target.value })}
+              style={styles.select}
+            >
+              <option value="">Anyone</option>
+              <option value="me">Me</option>
+              {users.map((user) => (
+                <option key={user._id} value={user._id}>{user.name} ({user.email})</option>
+              ))}
+            </select>
+          </label>
+
+          <label style={styles.filterLabel}>
+            Department
+            <input
+              type="text"
+              placeholder="Owner's department"
+              value={filters.department}
+              onChange={(e) => setFilters({ ...filters, department: e.target.value })}
+              style={styles.select}
+            />
+          </label>
+
+          <label style={styles.filterLabel}>
+            Attachment
+            <select
+              value={filters.hasAttachment}
+              onChange={(e) => setFilters({ ...filters, hasAttachment: e.target.value })}
+              style={styles.select}
+            >
+              <option value="">Any</option>
+              <option value="true">Has a file</option>
+              <option value="false">No file</option>
+            </select>
+          </label>
+
+          <button onClick={() => setFilters(emptyFilters())} style={styles.clearFiltersButton}>
+            Clear all filters
+          </button>
+        </div>
+      )}
+
+      {historyDocument && (
+        <VersionHistory
+          doc={historyDocument}
+          onClose={() => setHistoryDocument(null)}
+          onRestore={onUpdate}
+        />
+      )}
+
+      {shareDocument && (
+        <ShareDocument doc={shareDocument} onClose={() => setShareDocument(null)} />
+      )}
+
+      {activityDocument && (
+        <ActivityTimeline doc={activityDocument} onClose={() => setActivityDocument(null)} />
+      )}
+
+      {(selectedIds.length > 0 || allMatching || bulkFailures.length > 0) && (
+        <BulkActions
+          selection={allMatching ? { filter: filters } : { ids: selectedIds }}
+          count={allMatching ? total : selectedIds.length}
+          documentTypes={documentTypes}
+          failures={bulkFailures}
+          onResults={handleBulkResults}
+          onDismissFailures={() => setBulkFailures([])}
+          onClear={clearSelection}
+        />
+      )}
+
+      {pageSelected && !allMatching && total > selectedIds.length && (
+        <div style={styles.selectAllBanner}>
+          All {selectedIds.length} documents on this page are selected.{' '}
+          <button onClick={() => setAllMatching(true)} style={styles.linkButton}>
+            Select all {total} matching documents
+          </button>
+        </div>
+      )}
+
       {/* Documents Table */}
       {documents.length === 0 ? (
         <div style={styles.emptyState}>
@@ -143,24 +472,62 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
             <table style={styles.table}>
               <thead>
                 <tr>
-                  <th style={styles.th}>Title</th>
-                  <th style={styles.th}>Type</th>
-                  <th style={styles.th}>Issue Date</th>
-                  <th style={styles.th}>Expiry Date</th>
-                  <th style={styles.th}>Days Left</th>
-                  <th style={styles.th}>Status</th>
+                  <th style={styles.checkboxCell}>
+                    <input
+                      type="checkbox"
+                      checked={pageSelected || allMatching}
+                      onChange={togglePage}
+                      title="Select this page"
+                    />
+                  </th>
+                  {SORTABLE_COLUMNS.map((column) => (
+                    <th
+                      key={column.label}
+                      onClick={() => handleSort(column.field)}
+                      style={{ ...styles.th, ...styles.sortableTh }}
+                      title={`Sort by ${column.label.toLowerCase()}`}
+                    >
+                      {column.label}
+                      {sortBy === column.field && ' ▲'}
+                      {sortBy === `-${column.field}` && ' ▼'}
+                    </th>
+                  ))}
                   <th style={styles.th}>Actions</th>
                 </tr>
               </thead>
               <tbody>
                 {documents.map((doc) => (
                   <tr key={doc._id} style={styles.tr}>
+                    <td style={styles.checkboxCell}>
+                      <input
+                        type="checkbox"
+                        checked={allMatching || selectedIds.includes(doc._id)}
+                        onChange={() => toggleSelected(doc._id)}
+                      />
+                    </td>
                     <td style={styles.td}>
                       <div style={styles.titleCell}>
-                        <strong>{doc.title}</strong>
+                        <Link to={`/documents/${doc._id}`} style={styles.titleLink}>
+                          <strong>{doc.title}</strong>
+                        </Link>
                         {doc.documentNumber && (
                           <span style={styles.docNumber}>{doc.documentNumber}</span>
                         )}
+                        {SCAN_BADGES[doc.scanStatus] && (
+                          <span style={{ ...styles.scanBadge, ...SCAN_BADGES[doc.scanStatus].style }}>
+                            {SCAN_BADGES[doc.scanStatus].label}
+                          </span>
+                        )}
+                        {doc.searchSnippet && (
+                          <span style={styles.snippet} title="Match in file contents">
+                            📄{' '}
+                            {doc.searchSnippet.map((part, i) => (
+                              part.match
+                                ? <mark key={i} style={styles.highlight}>{part.text}</mark>
+                                : <span key={i}>{part.text}</span>
+                            ))}
+                          </span>
+                        )}
                       </div>
                     </td>
                     <td style={styles.td}>{doc.documentType}</td>
@@ -178,7 +545,7 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
                     </td>
                     <td style={styles.td}>
                       <div style={styles.actions}>
-                        {doc.filePath && (
+                        {doc.filePath && !isQuarantined(doc) && (
                           <button
                             onClick={() => handleDownload(doc._id, doc.fileName)}
                             style={styles.actionButton}
@@ -187,6 +554,29 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
                             ⬇️
                           </button>
                         )}
+                        {doc.filePath && (
+                          <button
+                            onClick={() => setHistoryDocument(doc)}
+                            style={styles.actionButton}
+                            title="Version History"
+                          >
+                            🕘
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setShareDocument(doc)}
+                          style={styles.actionButton}
+                          title="Share"
+                        >
+                          👥
+                        </button>
+                        <button
+                          onClick={() => setActivityDocument(doc)}
+                          style={styles.actionButton}
+                          title="Activity"
+                        >
+                          📜
+                        </button>
                         <button
                           onClick={() => handleDelete(doc._id)}
                           style={{ ...styles.actionButton, ...styles.deleteButton }}
@@ -206,7 +596,7 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
           {totalPages > 1 && (
             <div style={styles.pagination}>
               <button
-                onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
+                onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
                 disabled={currentPage === 1}
                 style={styles.pageButton}
               >
@@ -216,7 +606,7 @@ const DocumentList = ({ refreshTrigger, onUpdate }) => {
                 Page {currentPage} of {totalPages}
               </span>
               <button
-                onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
+                onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
                 disabled={currentPage === totalPages}
                 style={styles.pageButton}
               >
@@ -260,6 +650,49 @@ const styles = {
     outline: 'none',
     cursor: 'pointer',
   },
+  activeFilterButton: {
+    borderColor: '#4F46E5',
+    color: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  moreFilters: {
+    display: 'flex',
+    gap: '16px',
+    flexWrap: 'wrap',
+    alignItems: 'flex-end',
+    padding: '16px',
+    marginTop: '-8px',
+    marginBottom: '24px',
+    borderRadius: '8px',
+    backgroundColor: '#F9FAFB',
+    border: '2px solid #E5E7EB',
+  },
+  filterLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  filterRow: {
+    display: 'flex',
+    gap: '6px',
+  },
+  clearFiltersButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    color: '#4F46E5',
+    fontWeight: '600',
+    fontSize: '13px',
+    padding: '10px 0',
+  },
+  sortableTh: {
+    cursor: 'pointer',
+    userSelect: 'none',
+    whiteSpace: 'nowrap',
+  },
   loading: {
     textAlign: 'center',
     padding: '40px',
@@ -301,15 +734,60 @@ const styles = {
     fontSize: '14px',
     color: '#1F2937',
   },
+  checkboxCell: {
+    width: '32px',
+    padding: '12px 0 12px 12px',
+    borderBottom: '2px solid #E5E7EB',
+  },
+  selectAllBanner: {
+    marginBottom: '16px',
+    padding: '10px 16px',
+    borderRadius: '8px',
+    backgroundColor: '#F3F4F6',
+    fontSize: '14px',
+    color: '#374151',
+    textAlign: 'center',
+  },
+  linkButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    color: '#4F46E5',
+    fontWeight: '600',
+    fontSize: '14px',
+    padding: 0,
+  },
   titleCell: {
     display: 'flex',
     flexDirection: 'column',
     gap: '4px',
   },
+  titleLink: {
+    color: '#1F2937',
+    textDecoration: 'none',
+  },
   docNumber: {
     fontSize: '12px',
     color: '#6B7280',
   },
+  scanBadge: {
+    alignSelf: 'flex-start',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+  },
+  snippet: {
+    fontSize: '12px',
+    color: '#4B5563',
+    maxWidth: '420px',
+    lineHeight: '1.5',
+  },
+  highlight: {
+    backgroundColor: '#FEF08A',
+    padding: '0 2px',
+    borderRadius: '2px',
+  },
   daysLeft: {
     fontWeight: '600',
   },
@@ -0,0 +1,773 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { calendarAPI, documentAPI } from '../../services/api';
+import { downloadFile } from '../../utils/downloadFile';
+import { STATUS_STYLES, getStatusStyle } from '../../utils/statusStyles';
+
+const VIEWS = [
+  { key: 'month', label: 'Month' },
+  { key: 'week', label: 'Week' },
+  { key: 'agenda', label: 'Agenda' },
+  { key: 'timeline', label: 'Timeline' },
+];
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const AGENDA_DAYS = 60;
+const TIMELINE_MONTHS = 12;
+const MONTH_CELL_ENTRIES = 3;
+
+// Expiry dates are stored as UTC midnights, so all date maths here is UTC
+const DAY_MS = 24 * 60 * 60 * 1000;
+const utcToday = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+};
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const addMonths = (date, months) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+const startOfMonth = (date) => addMonths(date, 0);
+const startOfWeek = (date) => addDays(date, -((date.getUTCDay() + 6) % 7));
+const isoDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatDate = (date, options) => new Date(date).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+
+// The range to fetch for a view around `anchor`
+const viewRange = (view, anchor) => {
+  if (view === 'month') {
+    const from = startOfWeek(startOfMonth(anchor));
+    return { from, to: addDays(from, 41), bucket: 'day' };
+  }
+  if (view === 'week') {
+    const from = startOfWeek(anchor);
+    return { from, to: addDays(from, 6), bucket: 'day' };
+  }
+  if (view === 'agenda') {
+    return { from: anchor, to: addDays(anchor, AGENDA_DAYS - 1), bucket: 'day' };
+  }
+  const from = startOfMonth(anchor);
+  return { from, to: addDays(addMonths(from, TIMELINE_MONTHS), -1), bucket: 'week' };
+};
+
+const step = (view, anchor, direction) => {
+  if (view === 'month') return addMonths(anchor, direction);
+  if (view === 'week') return addDays(anchor, 7 * direction);
+  if (view === 'agenda') return addDays(anchor, AGENDA_DAYS * direction);
+  return addMonths(anchor, 3 * direction);
+};
+
+const viewTitle = (view, anchor, range) => {
+  if (view === 'month') return formatDate(anchor, { month: 'long', year: 'numeric' });
+  if (view === 'timeline') {
+    return `${formatDate(range.from, { month: 'short', year: 'numeric' })} – ${formatDate(range.to, { month: 'short', year: 'numeric' })}`;
+  }
+  return `${formatDate(range.from, { month: 'short', day: 'numeric' })} – ${formatDate(range.to, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+};
+
+// Month, week, agenda and timeline views of upcoming expirations. Dragging an
+// entry to another day (month and week views) proposes a new expiry date.
+const ExpiryCalendar = ({ refreshTrigger, onUpdate }) => {
+  const navigate = useNavigate();
+  const [view, setView] = useState('month');
+  const [anchor, setAnchor] = useState(utcToday);
+  const [buckets, setBuckets] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [openBucket, setOpenBucket] = useState(null);
+  const [proposal, setProposal] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [dropTarget, setDropTarget] = useState(null);
+  const dragged = useRef(null);
+
+  const range = viewRange(view, anchor);
+  const rangeKey = `${view}:${isoDay(range.from)}`;
+
+  useEffect(() => {
+    fetchExpirations();
+  }, [rangeKey, refreshTrigger]);
+
+  const fetchExpirations = async () => {
+    setLoading(true);
+    try {
+      const response = await calendarAPI.getExpirations({
+        from: isoDay(range.from),
+        to: isoDay(range.to),
+        bucket: range.bucket,
+      });
+      setBuckets(response.data.buckets);
+      setTruncated(response.data.truncated);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading calendar');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const changeView = (next) => {
+    // Month and timeline pages start on the 1st; keep the others on the day
+    setAnchor(next === 'month' || next === 'timeline' ? startOfMonth(anchor) : anchor);
+    setView(next);
+    setOpenBucket(null);
+  };
+
+  const goTo = (next) => {
+    setAnchor(view === 'month' || view === 'timeline' ? startOfMonth(next) : next);
+    setOpenBucket(null);
+  };
+
+  const showWeek = (date) => {
+    setView('week');
+    setAnchor(date);
+  };
+
+  const handleDragStart = (e, document) => {
+    dragged.current = document;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', document._id);
+  };
+
+  const handleDragEnd = () => {
+    dragged.current = null;
+    setDropTarget(null);
+  };
+
+  const handleDrop = (e, date) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const document = dragged.current;
+    dragged.current = null;
+    if (document && isoDay(document.expiryDate) !== isoDay(date)) {
+      setProposal({ document, date });
+    }
+  };
+
+  const dropProps = (date) => (view === 'month' || view === 'week' ? {
+    onDragOver: (e) => {
+      if (!dragged.current) return;
+      e.preventDefault();
+      setDropTarget(isoDay(date));
+    },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (e) => handleDrop(e, date),
+  } : {});
+
+  const handleSaveProposal = async () => {
+    const { document, date } = proposal;
+    setSaving(true);
+    try {
+      const formData = new FormData();
+      formData.append('expiryDate', isoDay(date));
+      await documentAPI.update(document._id, formData);
+      toast.success(`"${document.title}" now expires on ${formatDate(date, { dateStyle: 'medium' })}`);
+      setProposal(null);
+      setSelected(null);
+      fetchExpirations();
+      if (onUpdate) onUpdate();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Error updating expiry date');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (document) => {
+    try {
+      const link = await documentAPI.getDownloadUrl(document._id);
+      if (link.data.url) {
+        window.location.assign(link.data.url);
+        return;
+      }
+      const response = await documentAPI.download(document._id);
+      downloadFile(response.data, document.fileName);
+    } catch (error) {
+      toast.error('Error downloading file');
+    }
+  };
+
+  const renderEntry = (document, compact) => (
+    <div
+      key={document._id}
+      draggable={view === 'month' || view === 'week'}
+      onDragStart={(e) => handleDragStart(e, document)}
+      onDragEnd={handleDragEnd}
+      onClick={() => setSelected(document)}
+      style={{ ...styles.entry, ...getStatusStyle(document.status), ...(compact ? styles.compactEntry : {}) }}
+      title={`${document.title} (${document.status})`}
+    >
+      {document.title}
+    </div>
+  );
+
+  const today = isoDay(utcToday());
+
+  const renderDayCell = (bucket, inMonth) => {
+    const day = isoDay(bucket.start);
+    const limit = view === 'month' ? MONTH_CELL_ENTRIES : bucket.documents.length;
+    const hidden = bucket.documents.length - limit;
+    return (
+      <div
+        key={day}
+        {...dropProps(bucket.start)}
+        style={{
+          ...styles.dayCell,
+          ...(view === 'week' ? styles.weekCell : {}),
+          ...(inMonth ? {} : styles.outsideMonth),
+          ...(dropTarget === day ? styles.dropTarget : {}),
+        }}
+      >
+        <div style={{ ...styles.dayNumber, ...(day === today ? styles.today : {}) }}>
+          {view === 'week'
+            ? formatDate(bucket.start, { weekday: 'short', month: 'short', day: 'numeric' })
+            : new Date(bucket.start).getUTCDate()}
+        </div>
+        {bucket.documents.slice(0, limit).map((document) => renderEntry(document, view === 'month'))}
+        {hidden > 0 && (
+          <button onClick={() => showWeek(new Date(bucket.start))} style={styles.moreButton}>
+            +{hidden} more
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderGrid = () => {
+    const month = anchor.getUTCMonth();
+    return (
+      <div style={styles.grid}>
+        {WEEKDAYS.map((weekday) => (
+          <div key={weekday} style={styles.weekday}>{weekday}</div>
+        ))}
+        {buckets.map((bucket) => renderDayCell(
+          bucket,
+          view !== 'month' || new Date(bucket.start).getUTCMonth() === month
+        ))}
+      </div>
+    );
+  };
+
+  const renderAgenda = () => {
+    const days = buckets.filter((bucket) => bucket.count > 0);
+    if (days.length === 0) {
+      return <div style={styles.empty}>Nothing expires in the next {AGENDA_DAYS} days</div>;
+    }
+    return (
+      <div>
+        {days.map((bucket) => (
+          <div key={isoDay(bucket.start)} style={styles.agendaDay}>
+            <div style={styles.agendaDate}>
+              {formatDate(bucket.start, { weekday: 'short', month: 'short', day: 'numeric' })}
+            </div>
+            <div style={styles.agendaEntries}>
+              {bucket.documents.map((document) => (
+                <div key={document._id} onClick={() => setSelected(document)} style={styles.agendaRow}>
+                  <span style={{ ...styles.badge, ...getStatusStyle(document.status) }}>{document.status}</span>
+                  <span style={styles.agendaTitle}>{document.title}</span>
+                  <span style={styles.agendaMeta}>{document.documentType}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderTimeline = () => {
+    const max = Math.max(1, ...buckets.map((bucket) => bucket.count));
+    const open = buckets.find((bucket) => isoDay(bucket.start) === openBucket);
+    return (
+      <div>
+        <div style={styles.timeline}>
+          {buckets.map((bucket) => {
+            const key = isoDay(bucket.start);
+            const date = new Date(bucket.start);
+            return (
+              <div
+                key={key}
+                onClick={() => setOpenBucket(bucket.count ? key : null)}
+                style={{ ...styles.timelineColumn, ...(key === openBucket ? styles.timelineOpen : {}) }}
+                title={`Week of ${formatDate(date, { month: 'short', day: 'numeric' })}: ${bucket.count} document${bucket.count === 1 ? '' : 's'}`}
+              >
+                <div style={styles.timelineBar}>
+                  {Object.keys(STATUS_STYLES).map((status) => (bucket.statusCounts[status] ? (
+                    <div
+                      key={status}
+                      style={{
+                        height: `${(bucket.statusCounts[status] / max) * 100}%`,
+                        backgroundColor: STATUS_STYLES[status].color,
+                      }}
+                    />
+                  ) : null))}
+                </div>
+                <div style={styles.timelineLabel}>
+                  {date.getUTCDate() <= 7 ? formatDate(date, { month: 'short' }) : ''}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        <div style={styles.legend}>
+          {Object.keys(STATUS_STYLES).map((status) => (
+            <span key={status} style={styles.legendItem}>
+              <span style={{ ...styles.legendSwatch, backgroundColor: STATUS_STYLES[status].color }} />
+              {status}
+            </span>
+          ))}
+        </div>
+        {open && (
+          <div style={styles.bucketList}>
+            <strong>Week of {formatDate(open.start, { month: 'long', day: 'numeric' })}</strong>
+            {open.documents.map((document) => (
+              <div key={document._id} onClick={() => setSelected(document)} style={styles.agendaRow}>
+                <span style={{ ...styles.badge, ...getStatusStyle(document.status) }}>{document.status}</span>
+                <span style={styles.agendaTitle}>{document.title}</span>
+                <span style={styles.agendaMeta}>{formatDate(document.expiryDate, { month: 'short', day: 'numeric' })}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.toolbar}>
+        <div style={styles.navigation}>
+          <button onClick={() => goTo(step(view, anchor, -1))} style={styles.navButton}>‹</button>
+          <button onClick={() => goTo(utcToday())} style={styles.navButton}>Today</button>
+          <button onClick={() => goTo(step(view, anchor, 1))} style={styles.navButton}>›</button>
+          <h3 style={styles.title}>{viewTitle(view, anchor, range)}</h3>
+        </div>
+        <div style={styles.viewSwitcher}>
+          {VIEWS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => changeView(key)}
+              style={{ ...styles.viewButton, ...(view === key ? styles.activeViewButton : {}) }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {truncated && (
+        <div style={styles.notice}>Too many documents in this range; only the first ones are shown.</div>
+      )}
+      {(view === 'month' || view === 'week') && (
+        <div style={styles.hint}>Drag a document to another day to change its expiry date.</div>
+      )}
+
+      {loading && buckets.length === 0 ? (
+        <div style={styles.empty}>Loading...</div>
+      ) : (
+        <>
+          {(view === 'month' || view === 'week') && renderGrid()}
+          {view === 'agenda' && renderAgenda()}
+          {view === 'timeline' && renderTimeline()}
+        </>
+      )}
+
+      {selected && (
+        <div style={styles.overlay} onClick={() => setSelected(null)}>
+          <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+            <div style={styles.modalHeader}>
+              <h3 style={styles.modalTitle}>{selected.title}</h3>
+              <button onClick={() => setSelected(null)} style={styles.closeButton}>✕</button>
+            </div>
+            <span style={{ ...styles.badge, ...getStatusStyle(selected.status) }}>{selected.status}</span>
+            <dl style={styles.details}>
+              <dt style={styles.term}>Type</dt>
+              <dd style={styles.value}>{selected.documentType}</dd>
+              {selected.documentNumber && (
+                <>
+                  <dt style={styles.term}>Number</dt>
+                  <dd style={styles.value}>{selected.documentNumber}</dd>
+                </>
+              )}
+              {selected.issuer && (
+                <>
+                  <dt style={styles.term}>Issuer</dt>
+                  <dd style={styles.value}>{selected.issuer}</dd>
+                </>
+              )}
+              <dt style={styles.term}>Expires</dt>
+              <dd style={styles.value}>{formatDate(selected.expiryDate, { dateStyle: 'medium' })}</dd>
+              {selected.uploadedBy && (
+                <>
+                  <dt style={styles.term}>Owner</dt>
+                  <dd style={styles.value}>{selected.uploadedBy.name}</dd>
+                </>
+              )}
+            </dl>
+            <div style={styles.modalActions}>
+              {selected.fileName && (
+                <button onClick={() => handleDownload(selected)} style={styles.secondaryButton}>
+                  ⬇ Download
+                </button>
+              )}
+              <button onClick={() => navigate(`/documents/${selected._id}`)} style={styles.primaryButton}>
+                Open document
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {proposal && (
+        <div style={styles.overlay}>
+          <div style={styles.modal}>
+            <h3 style={styles.modalTitle}>Change expiry date?</h3>
+            <p style={styles.proposalText}>
+              Move <strong>{proposal.document.title}</strong> from{' '}
+              {formatDate(proposal.document.expiryDate, { dateStyle: 'medium' })} to{' '}
+              <strong>{formatDate(proposal.date, { dateStyle: 'medium' })}</strong>?
+              Its status will be recalculated from the new date.
+            </p>
+            <div style={styles.modalActions}>
+              <button onClick={() => setProposal(null)} disabled={saving} style={styles.secondaryButton}>
+                Cancel
+              </button>
+              <button onClick={handleSaveProposal} disabled={saving} style={styles.primaryButton}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+    padding: '24px',
+  },
+  toolbar: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '12px',
+    marginBottom: '12px',
+  },
+  navigation: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  navButton: {
+    padding: '8px 14px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  title: {
+    margin: '0 0 0 8px',
+    fontSize: '18px',
+    color: '#1F2937',
+  },
+  viewSwitcher: {
+    display: 'flex',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    overflow: 'hidden',
+  },
+  viewButton: {
+    padding: '8px 16px',
+    border: 'none',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+    color: '#6B7280',
+  },
+  activeViewButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+  },
+  notice: {
+    padding: '8px 12px',
+    marginBottom: '12px',
+    borderRadius: '8px',
+    backgroundColor: '#FEF3C7',
+    color: '#92400E',
+    fontSize: '13px',
+  },
+  hint: {
+    fontSize: '12px',
+    color: '#6B7280',
+    marginBottom: '12px',
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(7, minmax(0, 1fr))',
+    border: '1px solid #E5E7EB',
+    borderRadius: '8px',
+    overflow: 'hidden',
+  },
+  weekday: {
+    padding: '8px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#6B7280',
+    textAlign: 'center',
+    backgroundColor: '#F9FAFB',
+    borderBottom: '1px solid #E5E7EB',
+  },
+  dayCell: {
+    minHeight: '110px',
+    padding: '6px',
+    borderRight: '1px solid #F3F4F6',
+    borderBottom: '1px solid #F3F4F6',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '3px',
+  },
+  weekCell: {
+    minHeight: '320px',
+  },
+  outsideMonth: {
+    backgroundColor: '#F9FAFB',
+    opacity: 0.6,
+  },
+  dropTarget: {
+    backgroundColor: '#EEF2FF',
+    outline: '2px dashed #4F46E5',
+    outlineOffset: '-2px',
+  },
+  dayNumber: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#4B5563',
+    alignSelf: 'flex-start',
+    padding: '2px 6px',
+    borderRadius: '10px',
+  },
+  today: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+  },
+  entry: {
+    padding: '4px 8px',
+    borderRadius: '6px',
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  compactEntry: {
+    padding: '2px 6px',
+    fontSize: '11px',
+  },
+  moreButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    color: '#4F46E5',
+    cursor: 'pointer',
+    fontSize: '11px',
+    fontWeight: '600',
+    textAlign: 'left',
+    padding: '0 6px',
+  },
+  empty: {
+    padding: '48px 16px',
+    textAlign: 'center',
+    color: '#6B7280',
+    fontSize: '14px',
+  },
+  agendaDay: {
+    display: 'flex',
+    gap: '16px',
+    padding: '12px 0',
+    borderBottom: '1px solid #F3F4F6',
+  },
+  agendaDate: {
+    width: '120px',
+    flexShrink: 0,
+    fontWeight: '600',
+    fontSize: '14px',
+    color: '#1F2937',
+  },
+  agendaEntries: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+  },
+  agendaRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '6px 8px',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '14px',
+  },
+  agendaTitle: {
+    flex: 1,
+    color: '#1F2937',
+    fontWeight: '500',
+  },
+  agendaMeta: {
+    color: '#6B7280',
+    fontSize: '13px',
+  },
+  badge: {
+    padding: '4px 12px',
+    borderRadius: '12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    display: 'inline-block',
+  },
+  timeline: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    gap: '3px',
+    height: '220px',
+    padding: '8px 0',
+    borderBottom: '1px solid #E5E7EB',
+  },
+  timelineColumn: {
+    flex: 1,
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    justifyContent: 'flex-end',
+    cursor: 'pointer',
+    borderRadius: '4px',
+  },
+  timelineOpen: {
+    backgroundColor: '#EEF2FF',
+  },
+  timelineBar: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column-reverse',
+    borderRadius: '3px',
+    overflow: 'hidden',
+  },
+  timelineLabel: {
+    height: '18px',
+    fontSize: '11px',
+    color: '#6B7280',
+    whiteSpace: 'nowrap',
+  },
+  legend: {
+    display: 'flex',
+    gap: '16px',
+    marginTop: '12px',
+    fontSize: '12px',
+    color: '#4B5563',
+  },
+  legendItem: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+  },
+  legendSwatch: {
+    width: '10px',
+    height: '10px',
+    borderRadius: '2px',
+  },
+  bucketList: {
+    marginTop: '16px',
+    padding: '12px',
+    borderRadius: '8px',
+    backgroundColor: '#F9FAFB',
+    fontSize: '14px',
+    color: '#1F2937',
+  },
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 1000,
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    width: '420px',
+    maxWidth: '90vw',
+    boxShadow: '0 8px 24px rgba(0,0,0,0.15)',
+  },
+  modalHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    gap: '12px',
+    marginBottom: '8px',
+  },
+  modalTitle: {
+    margin: '0 0 8px',
+    fontSize: '18px',
+    color: '#1F2937',
+  },
+  closeButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    fontSize: '16px',
+    color: '#6B7280',
+  },
+  details: {
+    display: 'grid',
+    gridTemplateColumns: '90px 1fr',
+    gap: '8px 12px',
+    margin: '16px 0',
+    fontSize: '14px',
+  },
+  term: {
+    color: '#6B7280',
+  },
+  value: {
+    margin: 0,
+    color: '#1F2937',
+  },
+  proposalText: {
+    fontSize: '14px',
+    color: '#4B5563',
+    lineHeight: 1.5,
+  },
+  modalActions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '8px',
+    marginTop: '16px',
+  },
+  primaryButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  secondaryButton: {
+    backgroundColor: 'white',
+    color: '#4F46E5',
+    border: '2px solid #4F46E5',
+    padding: '8px 18px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+};
+
+export default ExpiryCalendar;
@@ -0,0 +1,245 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { documentAPI } from '../../services/api';
+
+const ImportDocuments = ({ onSuccess, onCancel }) => {
+  const [file, setFile] = useState(null);
+  const [attachments, setAttachments] = useState(null);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const buildFormData = () => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (attachments) {
+      formData.append('attachments', attachments);
+    }
+    return formData;
+  };
+
+  const handleValidate = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      toast.error('Choose a CSV or XLSX file first');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await documentAPI.import(buildFormData(), true);
+      setReport(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error validating import');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setLoading(true);
+    try {
+      const response = await documentAPI.import(buildFormData(), false);
+      toast.success(`${response.data.imported} documents imported`);
+      onSuccess();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error importing documents');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const invalidRows = report ? report.rows.filter((row) => row.errors.length > 0) : [];
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.heading}>Import Documents</h3>
+      <p style={styles.hint}>
+        Upload a CSV or XLSX file with columns Title, Document Type, Issue Date, Expiry Date and
+        optionally Document Number, Issuer, Description and File Name. Dates must be YYYY-MM-DD.
+        To attach files, add a ZIP whose file names match the File Name column.
+      </p>
+
+      <form onSubmit={handleValidate} style={styles.form}>
+        <label style={styles.label}>
+          Spreadsheet (CSV or XLSX)
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={(e) => {
+              setFile(e.target.files[0]);
+              setReport(null);
+            }}
+            style={styles.fileInput}
+          />
+        </label>
+        <label style={styles.label}>
+          Attachments (optional ZIP)
+          <input
+            type="file"
+            accept=".zip"
+            onChange={(e) => {
+              setAttachments(e.target.files[0]);
+              setReport(null);
+            }}
+            style={styles.fileInput}
+          />
+        </label>
+        <div style={styles.buttons}>
+          <button type="button" onClick={onCancel} style={styles.cancelButton}>
+            Cancel
+          </button>
+          <button type="submit" disabled={loading} style={styles.submitButton}>
+            {loading && !report ? 'Validating...' : 'Validate'}
+          </button>
+        </div>
+      </form>
+
+      {report && (
+        <div style={styles.report}>
+          <div style={styles.summary}>
+            <span>{report.total} rows</span>
+            <span style={styles.validCount}>✅ {report.valid} valid</span>
+            <span style={styles.invalidCount}>❌ {report.invalid} with errors</span>
+          </div>
+
+          {report.unmappedColumns.length > 0 && (
+            <p style={styles.hint}>Ignored columns: {report.unmappedColumns.join(', ')}</p>
+          )}
+
+          {invalidRows.length > 0 && (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Row</th>
+                  <th style={styles.th}>Title</th>
+                  <th style={styles.th}>Errors</th>
+                </tr>
+              </thead>
+              <tbody>
+                {invalidRows.map((row) => (
+                  <tr key={row.row}>
+                    <td style={styles.td}>{row.row}</td>
+                    <td style={styles.td}>{row.data.title || '—'}</td>
+                    <td style={styles.td}>
+                      {row.errors.map((error, i) => (
+                        <div key={i} style={styles.error}>{error.message}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {report.valid > 0 && (
+            <button onClick={handleImport} disabled={loading} style={styles.submitButton}>
+              {loading ? 'Importing...' : `Import ${report.valid} valid rows`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '24px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  heading: {
+    fontSize: '18px',
+    fontWeight: '600',
+    color: '#1F2937',
+    marginBottom: '8px',
+  },
+  hint: {
+    color: '#6B7280',
+    fontSize: '13px',
+    marginBottom: '16px',
+  },
+  form: {
+    display: 'flex',
+    gap: '16px',
+    alignItems: 'flex-end',
+    flexWrap: 'wrap',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#374151',
+  },
+  fileInput: {
+    fontSize: '14px',
+  },
+  buttons: {
+    display: 'flex',
+    gap: '8px',
+  },
+  cancelButton: {
+    padding: '10px 20px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  submitButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  report: {
+    marginTop: '24px',
+  },
+  summary: {
+    display: 'flex',
+    gap: '24px',
+    fontSize: '14px',
+    fontWeight: '600',
+    marginBottom: '12px',
+  },
+  validCount: {
+    color: '#065F46',
+  },
+  invalidCount: {
+    color: '#991B1B',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    marginBottom: '16px',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '8px 12px',
+    borderBottom: '2px solid #E5E7EB',
+    fontWeight: '600',
+    color: '#374151',
+    fontSize: '13px',
+  },
+  td: {
+    padding: '8px 12px',
+    fontSize: '13px',
+    color: '#1F2937',
+    borderBottom: '1px solid #F3F4F6',
+    verticalAlign: 'top',
+  },
+  error: {
+    color: '#991B1B',
+  },
+};
+
+export default ImportDocuments;
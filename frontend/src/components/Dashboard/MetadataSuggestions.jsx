@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { documentAPI } from '../../services/api';
+
+const FIELD_LABELS = {
+  issueDate: 'Issue Date',
+  expiryDate: 'Expiry Date',
+  documentNumber: 'Document Number',
+  issuer: 'Issuer',
+};
+
+// Analyzes the chosen file and offers values for a document form to prefill,
+// as in DocumentEditForm when a replacement file is chosen.
+// Usage: <MetadataSuggestions file={file} onApply={(fields) => setFormData({ ...formData, ...fields })} />
+const MetadataSuggestions = ({ file, onApply }) => {
+  const [suggestions, setSuggestions] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!file) {
+      setSuggestions(null);
+      return;
+    }
+    analyzeFile();
+  }, [file]);
+
+  const analyzeFile = async () => {
+    setLoading(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await documentAPI.analyze(formData);
+      const found = Object.values(response.data.suggestions).some((values) => values.length);
+      setSuggestions(found ? response.data.suggestions : null);
+      if (found) {
+        applyBest(response.data.suggestions);
+      }
+    } catch (error) {
+      // Suggestions are optional; the form still works without them
+      setSuggestions(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Prefill the most confident value for each field; the user confirms or changes them
+  const applyBest = (values) => {
+    const fields = {};
+    Object.keys(FIELD_LABELS).forEach((field) => {
+      if (values[field] && values[field].length) {
+        fields[field] = values[field][0].value;
+      }
+    });
+    onApply(fields);
+  };
+
+  const confidenceStyle = (confidence) => {
+    if (confidence >= 0.75) return styles.high;
+    if (confidence >= 0.5) return styles.medium;
+    return styles.low;
+  };
+
+  if (loading) {
+    return <div style={styles.container}>🔎 Reading file for suggestions...</div>;
+  }
+
+  if (!suggestions) {
+    return null;
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.heading}>
+        ✨ Suggested from the file. The best match was filled in; please check it before saving.
+      </div>
+      {Object.entries(FIELD_LABELS).map(([field, label]) => (
+        suggestions[field].length > 0 && (
+          <div key={field} style={styles.row}>
+            <span style={styles.label}>{label}:</span>
+            {suggestions[field].map((suggestion) => (
+              <button
+                key={suggestion.value}
+                type="button"
+                onClick={() => onApply({ [field]: suggestion.value })}
+                style={{ ...styles.chip, ...confidenceStyle(suggestion.confidence) }}
+                title={suggestion.source}
+              >
+                {suggestion.value} · {Math.round(suggestion.confidence * 100)}%
+              </button>
+            ))}
+          </div>
+        )
+      ))}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    backgroundColor: '#EEF2FF',
+    border: '1px solid #C7D2FE',
+    borderRadius: '8px',
+    padding: '12px 16px',
+    marginBottom: '16px',
+    fontSize: '13px',
+    color: '#3730A3',
+  },
+  heading: {
+    fontWeight: '600',
+    marginBottom: '8px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginTop: '6px',
+  },
+  label: {
+    minWidth: '130px',
+    color: '#374151',
+  },
+  chip: {
+    padding: '4px 10px',
+    borderRadius: '12px',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: '600',
+  },
+  high: {
+    backgroundColor: '#D1FAE5',
+    color: '#065F46',
+  },
+  medium: {
+    backgroundColor: '#FEF3C7',
+    color: '#92400E',
+  },
+  low: {
+    backgroundColor: '#F3F4F6',
+    color: '#4B5563',
+  },
+};
+
+export default MetadataSuggestions;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { costAPI } from '../../services/api';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+const HORIZONS = [3, 6, 12, 24, 36];
+const TYPE_COLORS = ['#4F46E5', '#10B981', '#F59E0B', '#EF4444', '#3B82F6', '#8B5CF6', '#EC4899', '#14B8A6', '#6B7280'];
+
+const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+};
+
+const formatMonth = (month) => {
+  return new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'short', year: '2-digit' });
+};
+
+// Projected renewal spend from /api/costs/forecast: a monthly bar chart
+// stacked by document type, plus totals by department and by type. Amounts
+// in different currencies are kept apart rather than converted.
+const RenewalForecast = ({ refreshTrigger }) => {
+  const [months, setMonths] = useState(12);
+  const [forecast, setForecast] = useState(null);
+  const [currency, setCurrency] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchForecast();
+  }, [months, refreshTrigger]);
+
+  const fetchForecast = async () => {
+    setLoading(true);
+    try {
+      const response = await costAPI.getForecast({ months });
+      setForecast(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading renewal forecast');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const forecasts = forecast ? forecast.forecasts : [];
+  const current = forecasts.find((f) => f.currency === currency) || forecasts[0];
+
+  const chartData = () => {
+    const types = current.byDocumentType.map((group) => group.name);
+    return {
+      labels: current.months.map((month) => formatMonth(month.month)),
+      datasets: types.map((type, i) => ({
+        label: type,
+        data: current.months.map((month) => month.byDocumentType[type] || 0),
+        backgroundColor: TYPE_COLORS[i % TYPE_COLORS.length],
+        stack: 'spend',
+      })),
+    };
+  };
+
+  const chartOptions = current && {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'bottom' },
+      tooltip: {
+        callbacks: {
+          label: (context) => `${context.dataset.label}: ${formatMoney(context.parsed.y, current.currency)}`,
+        },
+      },
+    },
+    scales: {
+      x: { stacked: true },
+      y: {
+        stacked: true,
+        ticks: { callback: (value) => formatMoney(value, current.currency) },
+      },
+    },
+  };
+
+  const renderGroups = (title, groups) => (
+    <div style={styles.tableCard}>
+      <h4 style={styles.tableTitle}>{title}</h4>
+      <table style={styles.table}>
+        <tbody>
+          {groups.map((group) => (
+            <tr key={group.name}>
+              <td style={styles.cell}>{group.name}</td>
+              <td style={styles.countCell}>{group.count} renewal{group.count === 1 ? '' : 's'}</td>
+              <td style={styles.amountCell}>{formatMoney(group.total, current.currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <div>
+          <h3 style={styles.title}>💰 Renewal Spend Forecast</h3>
+          <p style={styles.subtitle}>
+            Expected renewal costs, assuming each document renews on its expiry date for its current term length.
+          </p>
+        </div>
+        <div style={styles.controls}>
+          {forecasts.length > 1 && (
+            <select value={current.currency} onChange={(e) => setCurrency(e.target.value)} style={styles.select}>
+              {forecasts.map((f) => (
+                <option key={f.currency} value={f.currency}>{f.currency}</option>
+              ))}
+            </select>
+          )}
+          <select value={months} onChange={(e) => setMonths(Number(e.target.value))} style={styles.select}>
+            {HORIZONS.map((horizon) => (
+              <option key={horizon} value={horizon}>Next {horizon} months</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading && !forecast ? (
+        <div style={styles.message}>Loading...</div>
+      ) : !current ? (
+        <div style={styles.message}>
+          No renewal costs recorded for documents expiring in this period.
+          Add a cost or renewal cost to documents to see them here.
+        </div>
+      ) : (
+        <>
+          <div style={styles.summary}>
+            <div style={styles.summaryItem}>
+              <div style={styles.summaryValue}>{formatMoney(current.total, current.currency)}</div>
+              <div style={styles.summaryLabel}>{current.count} projected renewal{current.count === 1 ? '' : 's'}</div>
+            </div>
+            {current.overdue.count > 0 && (
+              <div style={styles.summaryItem}>
+                <div style={{ ...styles.summaryValue, color: '#991B1B' }}>
+                  {formatMoney(current.overdue.total, current.currency)}
+                </div>
+                <div style={styles.summaryLabel}>{current.overdue.count} overdue, counted this month</div>
+              </div>
+            )}
+            {forecast.uncosted > 0 && (
+              <div style={styles.summaryItem}>
+                <div style={{ ...styles.summaryValue, color: '#92400E' }}>{forecast.uncosted}</div>
+                <div style={styles.summaryLabel}>due without a cost recorded</div>
+              </div>
+            )}
+          </div>
+
+          <div style={styles.chart}>
+            <Bar data={chartData()} options={chartOptions} />
+          </div>
+
+          <div style={styles.tables}>
+            {renderGroups('By department', current.byDepartment)}
+            {renderGroups('By document type', current.byDocumentType)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+    padding: '24px',
+    marginTop: '24px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    flexWrap: 'wrap',
+    gap: '12px',
+    marginBottom: '20px',
+  },
+  title: {
+    margin: 0,
+    fontSize: '18px',
+    color: '#1F2937',
+  },
+  subtitle: {
+    margin: '4px 0 0',
+    fontSize: '13px',
+    color: '#6B7280',
+  },
+  controls: {
+    display: 'flex',
+    gap: '8px',
+  },
+  select: {
+    padding: '8px 12px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+    cursor: 'pointer',
+  },
+  message: {
+    padding: '40px 16px',
+    textAlign: 'center',
+    color: '#6B7280',
+    fontSize: '14px',
+  },
+  summary: {
+    display: 'flex',
+    gap: '32px',
+    flexWrap: 'wrap',
+    marginBottom: '20px',
+  },
+  summaryItem: {
+    minWidth: '140px',
+  },
+  summaryValue: {
+    fontSize: '26px',
+    fontWeight: 'bold',
+    color: '#1F2937',
+  },
+  summaryLabel: {
+    fontSize: '13px',
+    color: '#6B7280',
+    marginTop: '2px',
+  },
+  chart: {
+    height: '320px',
+  },
+  tables: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+    gap: '20px',
+    marginTop: '24px',
+  },
+  tableCard: {
+    border: '1px solid #E5E7EB',
+    borderRadius: '8px',
+    padding: '16px',
+  },
+  tableTitle: {
+    margin: '0 0 8px',
+    fontSize: '15px',
+    color: '#1F2937',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '14px',
+  },
+  cell: {
+    padding: '6px 0',
+    borderBottom: '1px solid #F3F4F6',
+    color: '#1F2937',
+  },
+  countCell: {
+    padding: '6px 8px',
+    borderBottom: '1px solid #F3F4F6',
+    color: '#6B7280',
+    fontSize: '13px',
+    textAlign: 'right',
+  },
+  amountCell: {
+    padding: '6px 0',
+    borderBottom: '1px solid #F3F4F6',
+    fontWeight: '600',
+    color: '#1F2937',
+    textAlign: 'right',
+  },
+};
+
+export default RenewalForecast;
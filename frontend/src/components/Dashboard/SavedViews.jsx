@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { savedViewAPI } from '../../services/api';
+import { filtersToParams } from '../../utils/listFilters';
+
+// Pick, save and delete named filter + sort combinations for DocumentList.
+// A view is "current" while the list's URL matches it exactly.
+const SavedViews = ({ filters, sortBy, onApply }) => {
+  const [views, setViews] = useState([]);
+
+  useEffect(() => {
+    fetchViews();
+  }, []);
+
+  const fetchViews = async () => {
+    try {
+      const response = await savedViewAPI.getAll();
+      setViews(response.data.views);
+    } catch (error) {
+      toast.error('Error loading saved views');
+    }
+  };
+
+  const viewParams = (view) => filtersToParams(
+    { ...view.filters, customFields: view.filters.customFields || {} },
+    { sortBy: view.sortBy }
+  ).toString();
+
+  const currentParams = filtersToParams(filters, { sortBy }).toString();
+  const currentView = views.find((view) => viewParams(view) === currentParams);
+
+  const handleSelect = (id) => {
+    const view = views.find((v) => v._id === id);
+    if (view) onApply(view);
+  };
+
+  const handleSave = async () => {
+    const name = window.prompt('Name this view', currentView ? currentView.name : '');
+    if (!name || !name.trim()) return;
+
+    const existing = views.find((view) => view.name.toLowerCase() === name.trim().toLowerCase());
+    try {
+      if (existing) {
+        if (!window.confirm(`Replace the filters saved in "${existing.name}"?`)) return;
+        await savedViewAPI.update(existing._id, { filters, sortBy });
+      } else {
+        await savedViewAPI.create({ name: name.trim(), filters, sortBy });
+      }
+      toast.success('View saved');
+      fetchViews();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Error saving view');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (window.confirm(`Delete the saved view "${currentView.name}"?`)) {
+      try {
+        await savedViewAPI.delete(currentView._id);
+        setViews(views.filter((view) => view._id !== currentView._id));
+      } catch (error) {
+        toast.error('Error deleting view');
+      }
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <select
+        value={currentView ? currentView._id : ''}
+        onChange={(e) => handleSelect(e.target.value)}
+        style={styles.select}
+        title="Saved views"
+      >
+        <option value="">📁 Saved views{views.length ? ` (${views.length})` : ''}</option>
+        {views.map((view) => (
+          <option key={view._id} value={view._id}>{view.name}</option>
+        ))}
+      </select>
+      <button onClick={handleSave} style={styles.button} title="Save the current filters and sort order">
+        💾 Save view
+      </button>
+      {currentView && (
+        <button onClick={handleDelete} style={styles.button} title="Delete this saved view">
+          🗑️
+        </button>
+      )}
+      <button onClick={handleCopyLink} style={styles.button} title="Copy a link to this list">
+        🔗
+      </button>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+  },
+  select: {
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+    cursor: 'pointer',
+  },
+  button: {
+    padding: '10px 14px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+};
+
+export default SavedViews;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { documentAPI, teamAPI } from '../../services/api';
+
+const ShareDocument = ({ doc, onClose }) => {
+  const [shares, setShares] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [target, setTarget] = useState({ kind: 'user', email: '', team: '', role: 'viewer' });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchShares();
+    fetchTeams();
+  }, [doc._id]);
+
+  const fetchShares = async () => {
+    try {
+      const response = await documentAPI.getShares(doc._id);
+      setShares(response.data.shares);
+    } catch (error) {
+      toast.error('Error loading shares');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchTeams = async () => {
+    try {
+      const response = await teamAPI.getAll();
+      setTeams(response.data.teams);
+    } catch (error) {
+      setTeams([]);
+    }
+  };
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    const data = target.kind === 'team'
+      ? { team: target.team, role: target.role }
+      : { email: target.email, role: target.role };
+
+    try {
+      await documentAPI.share(doc._id, data);
+      toast.success('Document shared');
+      setTarget({ ...target, email: '', team: '' });
+      fetchShares();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Error sharing document');
+    }
+  };
+
+  const handleRemove = async (share) => {
+    try {
+      await documentAPI.removeShare(doc._id, share._id);
+      setShares(shares.filter((s) => s._id !== share._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error removing share');
+    }
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.heading}>Sharing — {doc.title}</h3>
+        <button onClick={onClose} style={styles.closeButton} title="Close">
+          ✕
+        </button>
+      </div>
+
+      <form onSubmit={handleShare} style={styles.form}>
+        <select
+          value={target.kind}
+          onChange={(e) => setTarget({ ...target, kind: e.target.value })}
+          style={styles.input}
+        >
+          <option value="user">User</option>
+          <option value="team">Team</option>
+        </select>
+        {target.kind === 'user' ? (
+          <input
+            type="email"
+            placeholder="colleague@example.com"
+            value={target.email}
+            onChange={(e) => setTarget({ ...target, email: e.target.value })}
+            required
+            style={{ ...styles.input, flex: 1 }}
+          />
+        ) : (
+          <select
+            value={target.team}
+            onChange={(e) => setTarget({ ...target, team: e.target.value })}
+            required
+            style={{ ...styles.input, flex: 1 }}
+          >
+            <option value="">Select a team</option>
+            {teams.map((team) => (
+              <option key={team._id} value={team._id}>{team.name}</option>
+            ))}
+          </select>
+        )}
+        <select
+          value={target.role}
+          onChange={(e) => setTarget({ ...target, role: e.target.value })}
+          style={styles.input}
+        >
+          <option value="viewer">Can view</option>
+          <option value="editor">Can edit</option>
+        </select>
+        <button type="submit" style={styles.shareButton}>Share</button>
+      </form>
+
+      {loading ? (
+        <div style={styles.message}>Loading...</div>
+      ) : shares.length === 0 ? (
+        <div style={styles.message}>Only the owner can see this document</div>
+      ) : (
+        <ul style={styles.list}>
+          {shares.map((share) => (
+            <li key={share._id} style={styles.item}>
+              <span>
+                {share.team ? `👥 ${share.team.name}` : `👤 ${share.user?.name} (${share.user?.email})`}
+              </span>
+              <span style={styles.role}>{share.role === 'editor' ? 'Can edit' : 'Can view'}</span>
+              <button onClick={() => handleRemove(share)} style={styles.removeButton} title="Remove">
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '24px',
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  heading: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  closeButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    fontSize: '16px',
+    color: '#6B7280',
+  },
+  form: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    marginBottom: '12px',
+  },
+  input: {
+    padding: '8px 12px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  shareButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '8px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  message: {
+    padding: '12px',
+    color: '#6B7280',
+    fontSize: '14px',
+  },
+  list: {
+    listStyle: 'none',
+    padding: 0,
+    margin: 0,
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid #F3F4F6',
+    fontSize: '14px',
+    color: '#1F2937',
+  },
+  role: {
+    marginLeft: 'auto',
+    color: '#6B7280',
+    fontSize: '13px',
+  },
+  removeButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    color: '#991B1B',
+    fontSize: '14px',
+  },
+};
+
+export default ShareDocument;
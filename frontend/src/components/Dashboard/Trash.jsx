@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { trashAPI } from '../../services/api';
+
+const Trash = ({ onRestore }) => {
+  const [documents, setDocuments] = useState([]);
+  const [canManage, setCanManage] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    setLoading(true);
+    try {
+      const response = await trashAPI.getAll();
+      setDocuments(response.data.documents);
+      setCanManage(response.data.canManage);
+    } catch (error) {
+      toast.error('Error loading trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (doc) => {
+    try {
+      await trashAPI.restore(doc._id);
+      toast.success(`"${doc.title}" restored`);
+      setDocuments(documents.filter((d) => d._id !== doc._id));
+      onRestore();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error restoring document');
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (window.confirm(`Permanently delete "${doc.title}"? This cannot be undone.`)) {
+      try {
+        await trashAPI.delete(doc._id);
+        setDocuments(documents.filter((d) => d._id !== doc._id));
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Error deleting document');
+      }
+    }
+  };
+
+  const handleLegalHold = async (doc) => {
+    let data = { active: false };
+    if (!doc.legalHold?.active) {
+      const reason = window.prompt('Reason for the legal hold:');
+      if (!reason) return;
+      data = { active: true, reason };
+    }
+
+    try {
+      await trashAPI.setLegalHold(doc._id, data);
+      fetchTrash();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating legal hold');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (window.confirm('Permanently delete everything in the trash? Documents under legal hold are kept.')) {
+      try {
+        const response = await trashAPI.empty();
+        toast.success(`${response.data.purged} documents permanently deleted`);
+        fetchTrash();
+      } catch (error) {
+        toast.error('Error emptying trash');
+      }
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <p style={styles.hint}>
+          Deleted documents stay here until their purge date and can be restored until then.
+        </p>
+        {canManage && documents.length > 0 && (
+          <button onClick={handleEmpty} style={styles.emptyButton}>
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div style={styles.message}>Loading trash...</div>
+      ) : documents.length === 0 ? (
+        <div style={styles.message}>The trash is empty</div>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Title</th>
+              <th style={styles.th}>Type</th>
+              <th style={styles.th}>Deleted</th>
+              <th style={styles.th}>Purged On</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {documents.map((doc) => (
+              <tr key={doc._id} style={styles.tr}>
+                <td style={styles.td}>
+                  <strong>{doc.title}</strong>
+                  {doc.legalHold?.active && (
+                    <span style={styles.holdBadge} title={doc.legalHold.reason}>
+                      ⚖️ Legal hold
+                    </span>
+                  )}
+                </td>
+                <td style={styles.td}>{doc.documentType}</td>
+                <td style={styles.td}>
+                  {formatDate(doc.deletedAt)}
+                  {doc.deletedBy && <div style={styles.subtle}>by {doc.deletedBy.name}</div>}
+                </td>
+                <td style={styles.td}>
+                  {doc.legalHold?.active ? 'On hold' : formatDate(doc.purgeAt)}
+                </td>
+                <td style={styles.td}>
+                  <div style={styles.actions}>
+                    <button onClick={() => handleRestore(doc)} style={styles.actionButton} title="Restore">
+                      ↩️
+                    </button>
+                    {canManage && (
+                      <button
+                        onClick={() => handleLegalHold(doc)}
+                        style={styles.actionButton}
+                        title={doc.legalHold?.active ? 'Lift legal hold' : 'Place legal hold'}
+                      >
+                        ⚖️
+                      </button>
+                    )}
+                    {!doc.legalHold?.active && (
+                      <button
+                        onClick={() => handleDelete(doc)}
+                        style={{ ...styles.actionButton, ...styles.deleteButton }}
+                        title="Delete Forever"
+                      >
+                        🗑️
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '16px',
+  },
+  hint: {
+    fontSize: '14px',
+    color: '#6B7280',
+  },
+  emptyButton: {
+    backgroundColor: '#FEE2E2',
+    color: '#991B1B',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '12px',
+    borderBottom: '2px solid #E5E7EB',
+    fontWeight: '600',
+    color: '#374151',
+    fontSize: '14px',
+  },
+  tr: {
+    borderBottom: '1px solid #F3F4F6',
+  },
+  td: {
+    padding: '16px 12px',
+    fontSize: '14px',
+    color: '#1F2937',
+  },
+  subtle: {
+    fontSize: '12px',
+    color: '#6B7280',
+  },
+  holdBadge: {
+    marginLeft: '8px',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    backgroundColor: '#FEF3C7',
+    color: '#92400E',
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  actionButton: {
+    padding: '6px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    backgroundColor: '#F3F4F6',
+    transition: 'background-color 0.3s',
+  },
+  deleteButton: {
+    backgroundColor: '#FEE2E2',
+  },
+};
+
+export default Trash;
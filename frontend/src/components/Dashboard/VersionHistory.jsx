@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { documentAPI } from '../../services/api';
+import { downloadFile } from '../../utils/downloadFile';
+
+const VersionHistory = ({ doc, onClose, onRestore }) => {
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [doc._id]);
+
+  const fetchVersions = async () => {
+    setLoading(true);
+    try {
+      const response = await documentAPI.getVersions(doc._id);
+      setVersions(response.data.versions);
+      setCurrentVersion(response.data.currentVersion);
+    } catch (error) {
+      toast.error('Error loading version history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownload = async (version) => {
+    try {
+      const response = await documentAPI.downloadVersion(doc._id, version.version);
+      downloadFile(response.data, version.fileName);
+    } catch (error) {
+      toast.error('Error downloading version');
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (window.confirm(`Restore version ${version.version} as the current file?`)) {
+      try {
+        await documentAPI.restoreVersion(doc._id, version.version);
+        toast.success(`Version ${version.version} restored`);
+        fetchVersions();
+        onRestore();
+      } catch (error) {
+        toast.error('Error restoring version');
+      }
+    }
+  };
+
+  const formatDateTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const formatSize = (bytes) => {
+    if (!bytes) return '—';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <h3 style={styles.heading}>Version History — {doc.title}</h3>
+        <button onClick={onClose} style={styles.closeButton} title="Close">
+          ✕
+        </button>
+      </div>
+
+      {loading ? (
+        <div style={styles.message}>Loading versions...</div>
+      ) : versions.length === 0 ? (
+        <div style={styles.message}>No file versions</div>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Version</th>
+              <th style={styles.th}>File</th>
+              <th style={styles.th}>Size</th>
+              <th style={styles.th}>Uploaded By</th>
+              <th style={styles.th}>Uploaded</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map((version) => (
+              <tr key={version._id}>
+                <td style={styles.td}>
+                  <strong>v{version.version}</strong>
+                  {version.version === currentVersion && (
+                    <span style={styles.currentBadge}>Current</span>
+                  )}
+                  {version.restoredFrom && (
+                    <span style={styles.restoredNote}>restored from v{version.restoredFrom}</span>
+                  )}
+                  {version.scanStatus && version.scanStatus !== 'clean' && (
+                    <span style={styles.quarantineNote}>
+                      {version.scanStatus === 'infected' ? 'quarantined: malware found' : `quarantined: scan ${version.scanStatus}`}
+                    </span>
+                  )}
+                </td>
+                <td style={styles.td}>{version.fileName}</td>
+                <td style={styles.td}>{formatSize(version.fileSize)}</td>
+                <td style={styles.td}>{version.uploadedBy?.name || '—'}</td>
+                <td style={styles.td}>{formatDateTime(version.createdAt)}</td>
+                <td style={styles.td}>
+                  <div style={styles.actions}>
+                    {(!version.scanStatus || version.scanStatus === 'clean') && (
+                      <button
+                        onClick={() => handleDownload(version)}
+                        style={styles.actionButton}
+                        title="Download"
+                      >
+                        ⬇️
+                      </button>
+                    )}
+                    {version.version !== currentVersion && version.scanStatus !== 'infected' && (
+                      <button
+                        onClick={() => handleRestore(version)}
+                        style={styles.actionButton}
+                        title="Restore"
+                      >
+                        ↩️
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  panel: {
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    padding: '16px',
+    marginBottom: '24px',
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '12px',
+  },
+  heading: {
+    fontSize: '16px',
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  closeButton: {
+    border: 'none',
+    backgroundColor: 'transparent',
+    cursor: 'pointer',
+    fontSize: '16px',
+    color: '#6B7280',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '20px',
+    color: '#6B7280',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '8px 12px',
+    borderBottom: '2px solid #E5E7EB',
+    fontWeight: '600',
+    color: '#374151',
+    fontSize: '13px',
+  },
+  td: {
+    padding: '10px 12px',
+    fontSize: '13px',
+    color: '#1F2937',
+    borderBottom: '1px solid #F3F4F6',
+  },
+  currentBadge: {
+    marginLeft: '8px',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    backgroundColor: '#D1FAE5',
+    color: '#065F46',
+  },
+  restoredNote: {
+    display: 'block',
+    fontSize: '11px',
+    color: '#6B7280',
+  },
+  quarantineNote: {
+    display: 'block',
+    fontSize: '11px',
+    color: '#991B1B',
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+  },
+  actionButton: {
+    padding: '6px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    backgroundColor: '#F3F4F6',
+    transition: 'background-color 0.3s',
+  },
+};
+
+export default VersionHistory;
@@ -0,0 +1,396 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { documentAPI } from '../../services/api';
+import { downloadFile } from '../../utils/downloadFile';
+import { getStatusStyle } from '../../utils/statusStyles';
+import Navbar from '../Layout/Navbar';
+import VersionHistory from '../Dashboard/VersionHistory';
+import ShareDocument from '../Dashboard/ShareDocument';
+import ActivityTimeline from '../Dashboard/ActivityTimeline';
+import DocumentEditForm from './DocumentEditForm';
+import FilePreview from './FilePreview';
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+};
+
+const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
+};
+
+const formatFieldValue = (value) => {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return formatDate(value);
+  return String(value);
+};
+
+// Full page for one document at /documents/:id: its details (editable with
+// editor access), an inline preview of the file and its renewal chain
+const DocumentDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [doc, setDoc] = useState(null);
+  const [access, setAccess] = useState(null);
+  const [renewalChain, setRenewalChain] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [panel, setPanel] = useState(null);
+
+  useEffect(() => {
+    setEditing(false);
+    setPanel(null);
+    fetchDocument();
+  }, [id]);
+
+  const fetchDocument = async () => {
+    setLoading(true);
+    setNotFound(false);
+    try {
+      const response = await documentAPI.getById(id);
+      setDoc(response.data.document);
+      setAccess(response.data.access);
+      setRenewalChain(response.data.renewalChain);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        toast.error('Error loading document');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaved = () => {
+    setEditing(false);
+    fetchDocument();
+  };
+
+  const handleDownload = async () => {
+    try {
+      const link = await documentAPI.getDownloadUrl(doc._id);
+      if (link.data.url) {
+        window.location.assign(link.data.url);
+        return;
+      }
+      const response = await documentAPI.download(doc._id);
+      downloadFile(response.data, doc.fileName);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error downloading file');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (window.confirm(`Move "${doc.title}" to the trash?`)) {
+      try {
+        await documentAPI.delete(doc._id);
+        toast.success('Document moved to trash');
+        navigate('/dashboard');
+      } catch (error) {
+        toast.error('Error deleting document');
+      }
+    }
+  };
+
+  const togglePanel = (name) => setPanel(panel === name ? null : name);
+
+  const canEdit = access === 'owner' || access === 'editor';
+  const isOwner = access === 'owner';
+
+  const renderDetail = (label, value) => (
+    !value && value !== 0 ? null : (
+      <div style={styles.detailRow}>
+        <dt style={styles.term}>{label}</dt>
+        <dd style={styles.value}>{value}</dd>
+      </div>
+    )
+  );
+
+  const renderContent = () => {
+    if (loading && !doc) {
+      return <div style={styles.message}>Loading document...</div>;
+    }
+    if (notFound || !doc) {
+      return (
+        <div style={styles.message}>
+          This document doesn't exist or hasn't been shared with you.{' '}
+          <Link to="/dashboard" style={styles.link}>Back to documents</Link>
+        </div>
+      );
+    }
+
+    const customFields = Object.entries(doc.customFields || {}).filter(([, value]) => value !== '' && value !== null);
+
+    return (
+      <>
+        <div style={styles.header}>
+          <div>
+            <Link to="/dashboard" style={styles.link}>← All documents</Link>
+            <h1 style={styles.title}>
+              {doc.title}
+              <span style={{ ...styles.statusBadge, ...getStatusStyle(doc.status) }}>{doc.status}</span>
+            </h1>
+            {doc.documentNumber && <div style={styles.subtitle}>{doc.documentNumber}</div>}
+          </div>
+          <div style={styles.actions}>
+            {doc.filePath && (
+              <button onClick={handleDownload} style={styles.secondaryButton}>⬇ Download</button>
+            )}
+            {doc.filePath && (
+              <button onClick={() => togglePanel('versions')} style={styles.secondaryButton}>🕘 Versions</button>
+            )}
+            {isOwner && (
+              <button onClick={() => togglePanel('share')} style={styles.secondaryButton}>👥 Share</button>
+            )}
+            <button onClick={() => togglePanel('activity')} style={styles.secondaryButton}>📜 Activity</button>
+            {canEdit && !editing && (
+              <button onClick={() => setEditing(true)} style={styles.primaryButton}>✏️ Edit</button>
+            )}
+            {isOwner && (
+              <button onClick={handleDelete} style={styles.deleteButton} title="Move to trash">🗑️</button>
+            )}
+          </div>
+        </div>
+
+        {panel === 'versions' && (
+          <VersionHistory doc={doc} onClose={() => setPanel(null)} onRestore={fetchDocument} />
+        )}
+        {panel === 'share' && <ShareDocument doc={doc} onClose={() => setPanel(null)} />}
+        {panel === 'activity' && <ActivityTimeline doc={doc} onClose={() => setPanel(null)} />}
+
+        <div style={styles.columns}>
+          <div style={styles.sidebar}>
+            <div style={styles.card}>
+              <h3 style={styles.cardTitle}>{editing ? 'Edit document' : 'Details'}</h3>
+              {editing ? (
+                <DocumentEditForm doc={doc} onSaved={handleSaved} onCancel={() => setEditing(false)} />
+              ) : (
+                <dl style={styles.details}>
+                  {renderDetail('Type', doc.documentType)}
+                  {renderDetail('Issuer', doc.issuer)}
+                  {renderDetail('Issued', doc.issueDate && formatDate(doc.issueDate))}
+                  {renderDetail('Expires', formatDate(doc.expiryDate))}
+                  {renderDetail('Cost', doc.cost != null && formatMoney(doc.cost, doc.currency))}
+                  {renderDetail('Renewal cost', doc.renewalCost != null && formatMoney(doc.renewalCost, doc.currency))}
+                  {renderDetail('Owner', doc.uploadedBy && doc.uploadedBy.name)}
+                  {renderDetail('Department', doc.uploadedBy && doc.uploadedBy.department)}
+                  {customFields.map(([key, value]) => (
+                    <React.Fragment key={key}>{renderDetail(key, formatFieldValue(value))}</React.Fragment>
+                  ))}
+                  {renderDetail('Description', doc.description)}
+                  {renderDetail('Your access', access)}
+                </dl>
+              )}
+            </div>
+
+            {renewalChain.length > 0 && (
+              <div style={styles.card}>
+                <h3 style={styles.cardTitle}>Renewal history</h3>
+                <ol style={styles.chain}>
+                  {renewalChain.map((term) => (
+                    <li
+                      key={term._id}
+                      style={{ ...styles.chainItem, ...(term._id === doc._id ? styles.currentTerm : {}) }}
+                    >
+                      {term._id === doc._id ? (
+                        <strong>{term.title}</strong>
+                      ) : (
+                        <Link to={`/documents/${term._id}`} style={styles.link}>{term.title}</Link>
+                      )}
+                      <span style={styles.chainDates}>
+                        {term.issueDate ? formatDate(term.issueDate) : '—'} – {formatDate(term.expiryDate)}
+                      </span>
+                      <span style={{ ...styles.smallBadge, ...getStatusStyle(term.status) }}>{term.status}</span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+          </div>
+
+          <div style={{ ...styles.card, ...styles.previewCard }}>
+            {doc.filePath ? (
+              <FilePreview doc={doc} version={doc.filePath} />
+            ) : (
+              <div style={styles.message}>No file attached to this document</div>
+            )}
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div style={styles.container}>
+      <Navbar />
+      <div style={styles.content}>{renderContent()}</div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f5f7fa',
+  },
+  content: {
+    maxWidth: '1400px',
+    margin: '0 auto',
+    padding: '30px 24px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-end',
+    flexWrap: 'wrap',
+    gap: '16px',
+    marginBottom: '24px',
+  },
+  title: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    margin: '8px 0 0',
+    fontSize: '26px',
+    color: '#1F2937',
+  },
+  subtitle: {
+    marginTop: '4px',
+    fontSize: '14px',
+    color: '#6B7280',
+  },
+  link: {
+    color: '#4F46E5',
+    textDecoration: 'none',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+  },
+  primaryButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  secondaryButton: {
+    backgroundColor: 'white',
+    color: '#4F46E5',
+    border: '2px solid #4F46E5',
+    padding: '8px 16px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  deleteButton: {
+    backgroundColor: '#FEE2E2',
+    border: 'none',
+    padding: '8px 12px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontSize: '14px',
+  },
+  columns: {
+    display: 'grid',
+    gridTemplateColumns: 'minmax(320px, 420px) 1fr',
+    gap: '24px',
+    alignItems: 'start',
+  },
+  sidebar: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '24px',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+    padding: '24px',
+  },
+  previewCard: {
+    minHeight: '480px',
+  },
+  cardTitle: {
+    margin: '0 0 16px',
+    fontSize: '16px',
+    color: '#1F2937',
+  },
+  details: {
+    margin: 0,
+  },
+  detailRow: {
+    display: 'grid',
+    gridTemplateColumns: '120px 1fr',
+    gap: '12px',
+    padding: '8px 0',
+    borderBottom: '1px solid #F3F4F6',
+    fontSize: '14px',
+  },
+  term: {
+    color: '#6B7280',
+  },
+  value: {
+    margin: 0,
+    color: '#1F2937',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+  },
+  statusBadge: {
+    padding: '4px 12px',
+    borderRadius: '12px',
+    fontSize: '13px',
+    fontWeight: '600',
+  },
+  smallBadge: {
+    padding: '2px 8px',
+    borderRadius: '10px',
+    fontSize: '11px',
+    fontWeight: '600',
+  },
+  chain: {
+    margin: 0,
+    padding: 0,
+    listStyle: 'none',
+  },
+  chainItem: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '8px',
+    borderRadius: '6px',
+    fontSize: '14px',
+  },
+  currentTerm: {
+    backgroundColor: '#EEF2FF',
+  },
+  chainDates: {
+    flex: 1,
+    color: '#6B7280',
+    fontSize: '13px',
+  },
+  message: {
+    padding: '48px 16px',
+    textAlign: 'center',
+    color: '#6B7280',
+    fontSize: '14px',
+  },
+};
+
+export default DocumentDetail;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { documentAPI, documentTypeAPI } from '../../services/api';
+import CustomFieldsInput from '../Dashboard/CustomFieldsInput';
+import MetadataSuggestions from '../Dashboard/MetadataSuggestions';
+
+const dateValue = (date) => (date ? String(date).slice(0, 10) : '');
+
+const formFromDocument = (doc) => ({
+  title: doc.title || '',
+  documentType: doc.documentType || '',
+  documentNumber: doc.documentNumber || '',
+  issuer: doc.issuer || '',
+  issueDate: dateValue(doc.issueDate),
+  expiryDate: dateValue(doc.expiryDate),
+  description: doc.description || '',
+  cost: doc.cost ?? '',
+  renewalCost: doc.renewalCost ?? '',
+  currency: doc.currency || '',
+});
+
+// Edits a document through PUT /api/documents/:id. Choosing a file replaces
+// the current one; the old file is kept in the version history.
+const DocumentEditForm = ({ doc, onSaved, onCancel }) => {
+  const [form, setForm] = useState(() => formFromDocument(doc));
+  const [customFields, setCustomFields] = useState(doc.customFields || {});
+  const [file, setFile] = useState(null);
+  const [documentTypes, setDocumentTypes] = useState([]);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchDocumentTypes();
+  }, []);
+
+  const fetchDocumentTypes = async () => {
+    try {
+      const response = await documentTypeAPI.getAll();
+      setDocumentTypes(response.data.documentTypes);
+    } catch (error) {
+      toast.error('Error loading document types');
+    }
+  };
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setErrors({});
+
+    const formData = new FormData();
+    Object.entries(form).forEach(([key, value]) => formData.append(key, value));
+    formData.append('customFields', JSON.stringify(customFields));
+    if (file) {
+      formData.append('file', file);
+    }
+
+    try {
+      const response = await documentAPI.update(doc._id, formData);
+      toast.success('Document updated');
+      onSaved(response.data.document);
+    } catch (error) {
+      const data = error.response?.data;
+      if (data?.errors) {
+        setErrors(Object.fromEntries(data.errors.map((err) => [err.path, err.msg])));
+        toast.error('Please fix the highlighted fields');
+      } else {
+        toast.error(data?.message || 'Error updating document');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectedType = documentTypes.find((type) => type.name === form.documentType);
+
+  const renderField = (name, label, input) => (
+    <label style={styles.field}>
+      <span style={styles.label}>{label}</span>
+      {input}
+      {errors[name] && <span style={styles.error}>{errors[name]}</span>}
+    </label>
+  );
+
+  const inputStyle = (name) => ({ ...styles.input, ...(errors[name] ? styles.inputError : {}) });
+
+  return (
+    <form onSubmit={handleSubmit} style={styles.form}>
+      {renderField('title', 'Title', (
+        <input name="title" value={form.title} onChange={handleChange} required style={inputStyle('title')} />
+      ))}
+
+      <div style={styles.row}>
+        {renderField('documentType', 'Document type', (
+          <select name="documentType" value={form.documentType} onChange={handleChange} required style={inputStyle('documentType')}>
+            {!selectedType && <option value={form.documentType}>{form.documentType}</option>}
+            {documentTypes.map((type) => (
+              <option key={type._id} value={type.name}>{type.name}</option>
+            ))}
+          </select>
+        ))}
+        {renderField('documentNumber', 'Document number', (
+          <input name="documentNumber" value={form.documentNumber} onChange={handleChange} style={inputStyle('documentNumber')} />
+        ))}
+      </div>
+
+      {renderField('issuer', 'Issuer', (
+        <input name="issuer" value={form.issuer} onChange={handleChange} style={inputStyle('issuer')} />
+      ))}
+
+      <div style={styles.row}>
+        {renderField('issueDate', 'Issue date', (
+          <input type="date" name="issueDate" value={form.issueDate} onChange={handleChange} required style={inputStyle('issueDate')} />
+        ))}
+        {renderField('expiryDate', 'Expiry date', (
+          <input type="date" name="expiryDate" value={form.expiryDate} onChange={handleChange} required style={inputStyle('expiryDate')} />
+        ))}
+      </div>
+
+      <div style={styles.row}>
+        {renderField('cost', 'Cost', (
+          <input type="number" min="0" step="0.01" name="cost" value={form.cost} onChange={handleChange} style={inputStyle('cost')} />
+        ))}
+        {renderField('renewalCost', 'Renewal cost', (
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            name="renewalCost"
+            value={form.renewalCost}
+            onChange={handleChange}
+            placeholder="Same as cost"
+            style={inputStyle('renewalCost')}
+          />
+        ))}
+        {renderField('currency', 'Currency', (
+          <input
+            name="currency"
+            value={form.currency}
+            onChange={handleChange}
+            maxLength={3}
+            placeholder="USD"
+            style={{ ...inputStyle('currency'), textTransform: 'uppercase' }}
+          />
+        ))}
+      </div>
+
+      {renderField('description', 'Description', (
+        <textarea name="description" value={form.description} onChange={handleChange} rows={3} style={inputStyle('description')} />
+      ))}
+
+      <CustomFieldsInput documentType={selectedType} values={customFields} onChange={setCustomFields} />
+      {Object.keys(errors).filter((path) => path.startsWith('customFields.')).map((path) => (
+        <div key={path} style={styles.error}>{errors[path]}</div>
+      ))}
+
+      {renderField('file', 'Replace file', (
+        <input
+          type="file"
+          accept=".pdf,.doc,.docx,.jpg,.jpeg,.png"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          style={styles.fileInput}
+        />
+      ))}
+      <MetadataSuggestions file={file} onApply={(fields) => setForm((current) => ({ ...current, ...fields }))} />
+
+      <div style={styles.actions}>
+        <button type="button" onClick={onCancel} disabled={saving} style={styles.cancelButton}>
+          Cancel
+        </button>
+        <button type="submit" disabled={saving} style={styles.saveButton}>
+          {saving ? 'Saving...' : 'Save changes'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const styles = {
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '14px',
+  },
+  row: {
+    display: 'flex',
+    gap: '12px',
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    flex: 1,
+  },
+  label: {
+    fontSize: '13px',
+    fontWeight: '600',
+    color: '#374151',
+  },
+  input: {
+    padding: '10px 12px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+    fontFamily: 'inherit',
+  },
+  inputError: {
+    borderColor: '#F87171',
+  },
+  fileInput: {
+    fontSize: '14px',
+  },
+  error: {
+    fontSize: '12px',
+    color: '#991B1B',
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '8px',
+    marginTop: '8px',
+  },
+  cancelButton: {
+    backgroundColor: 'white',
+    color: '#4F46E5',
+    border: '2px solid #4F46E5',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  saveButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '12px 24px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+};
+
+export default DocumentEditForm;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { documentAPI } from '../../services/api';
+
+// Shows a document's PDF or image inline. The file is streamed from a
+// short-lived preview URL, so the browser's PDF viewer can fetch pages with
+// range requests instead of downloading the whole file first.
+// `version` should change whenever the document's file does.
+const FilePreview = ({ doc, version }) => {
+  const [preview, setPreview] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchPreview();
+  }, [doc._id, version]);
+
+  const fetchPreview = async () => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const response = await documentAPI.getViewUrl(doc._id);
+      setPreview(response.data);
+    } catch (error) {
+      setPreview(null);
+      setMessage(error.response?.data?.message || 'The preview could not be loaded');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div style={styles.message}>Loading preview...</div>;
+  }
+
+  if (!preview) {
+    return (
+      <div style={styles.message}>
+        <div style={styles.icon}>📄</div>
+        {message}
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      {preview.contentType === 'application/pdf' ? (
+        <iframe key={preview.url} src={preview.url} title={doc.fileName} style={styles.frame} />
+      ) : (
+        <img key={preview.url} src={preview.url} alt={doc.fileName} style={styles.image} />
+      )}
+      <div style={styles.footer}>
+        <span>{doc.fileName}</span>
+        <button onClick={fetchPreview} style={styles.linkButton} title="Preview links expire after a while">
+          ↻ Reload preview
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    height: '100%',
+  },
+  frame: {
+    width: '100%',
+    minHeight: '720px',
+    flex: 1,
+    border: '1px solid #E5E7EB',
+    borderRadius: '8px',
+  },
+  image: {
+    maxWidth: '100%',
+    maxHeight: '720px',
+    objectFit: 'contain',
+    alignSelf: 'center',
+    borderRadius: '8px',
+  },
+  footer: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: '8px',
+    fontSize: '13px',
+    color: '#6B7280',
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    color: '#4F46E5',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '600',
+  },
+  message: {
+    padding: '80px 16px',
+    textAlign: 'center',
+    color: '#6B7280',
+    fontSize: '14px',
+    border: '2px dashed #E5E7EB',
+    borderRadius: '8px',
+  },
+  icon: {
+    fontSize: '40px',
+    marginBottom: '12px',
+  },
+};
+
+export default FilePreview;
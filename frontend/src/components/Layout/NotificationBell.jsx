@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { notificationAPI } from '../../services/api';
+import { subscribeNotifications } from '../../services/notificationStream';
+
+const typeIcons = {
+  'document.expiring': '⏰',
+  'document.expired': '❌',
+  'document.shared': '🤝',
+  'document.renewed': '🔄',
+  'document.assigned': '📌',
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const containerRef = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    return subscribeNotifications((event, data) => {
+      if (event === 'unread') {
+        setUnreadCount(data.unreadCount);
+      } else if (event === 'notification') {
+        setUnreadCount(data.unreadCount);
+        setNotifications((current) => [data.notification, ...current]);
+        toast.info(data.notification.title);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const fetchNotifications = async () => {
+    setLoading(true);
+    try {
+      const response = await notificationAPI.getAll({ limit: 15 });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      toast.error('Error loading notifications');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!open) fetchNotifications();
+    setOpen(!open);
+  };
+
+  const replaceNotification = (notification) => {
+    setNotifications((current) => current.map((n) => (n._id === notification._id ? { ...n, ...notification } : n)));
+  };
+
+  const handleOpenNotification = async (notification) => {
+    if (!notification.read) {
+      try {
+        const response = await notificationAPI.markRead(notification._id);
+        replaceNotification({ _id: notification._id, read: true });
+        setUnreadCount(response.data.unreadCount);
+      } catch (error) {
+        toast.error('Error updating notification');
+      }
+    }
+    setOpen(false);
+    const document = notification.document;
+    navigate(document ? `/documents/${document._id || document}` : '/dashboard');
+  };
+
+  const handleToggleRead = async (e, notification) => {
+    e.stopPropagation();
+    try {
+      const response = await notificationAPI.markRead(notification._id, !notification.read);
+      replaceNotification({ _id: notification._id, read: !notification.read });
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      toast.error('Error updating notification');
+    }
+  };
+
+  const handleDismiss = async (e, notification) => {
+    e.stopPropagation();
+    try {
+      const response = await notificationAPI.dismiss(notification._id);
+      setNotifications((current) => current.filter((n) => n._id !== notification._id));
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      toast.error('Error dismissing notification');
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      setNotifications((current) => current.map((n) => ({ ...n, read: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error('Error updating notifications');
+    }
+  };
+
+  const formatTime = (date) => {
+    return new Date(date).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <div ref={containerRef} style={styles.container}>
+      <button onClick={toggleOpen} style={styles.bell} title="Notifications">
+        🔔
+        {unreadCount > 0 && (
+          <span style={styles.badge}>{unreadCount > 99 ? '99+' : unreadCount}</span>
+        )}
+      </button>
+
+      {open && (
+        <div style={styles.dropdown}>
+          <div style={styles.header}>
+            <strong>Notifications</strong>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} style={styles.linkButton}>
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {loading && notifications.length === 0 ? (
+            <div style={styles.message}>Loading...</div>
+          ) : notifications.length === 0 ? (
+            <div style={styles.message}>You're all caught up</div>
+          ) : (
+            <ul style={styles.list}>
+              {notifications.map((notification) => (
+                <li
+                  key={notification._id}
+                  onClick={() => handleOpenNotification(notification)}
+                  style={{ ...styles.item, ...(notification.read ? {} : styles.unreadItem) }}
+                >
+                  <span style={styles.icon}>{typeIcons[notification.type] || '🔔'}</span>
+                  <div style={styles.body}>
+                    <div style={styles.title}>{notification.title}</div>
+                    {notification.message && <div style={styles.text}>{notification.message}</div>}
+                    <div style={styles.time}>{formatTime(notification.createdAt)}</div>
+                  </div>
+                  <div style={styles.actions}>
+                    <button
+                      onClick={(e) => handleToggleRead(e, notification)}
+                      style={styles.iconButton}
+                      title={notification.read ? 'Mark as unread' : 'Mark as read'}
+                    >
+                      {notification.read ? '○' : '●'}
+                    </button>
+                    <button
+                      onClick={(e) => handleDismiss(e, notification)}
+                      style={styles.iconButton}
+                      title="Dismiss"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    position: 'relative',
+  },
+  bell: {
+    position: 'relative',
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '20px',
+    padding: '6px 10px',
+  },
+  badge: {
+    position: 'absolute',
+    top: '0',
+    right: '0',
+    minWidth: '18px',
+    padding: '1px 5px',
+    borderRadius: '9px',
+    backgroundColor: '#EF4444',
+    color: 'white',
+    fontSize: '11px',
+    fontWeight: '700',
+    lineHeight: '16px',
+  },
+  dropdown: {
+    position: 'absolute',
+    right: 0,
+    top: '100%',
+    width: '360px',
+    maxHeight: '480px',
+    overflowY: 'auto',
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    boxShadow: '0 8px 24px rgba(0,0,0,0.15)',
+    zIndex: 1000,
+    textAlign: 'left',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '14px 16px',
+    borderBottom: '1px solid #F3F4F6',
+    color: '#1F2937',
+    fontSize: '14px',
+  },
+  linkButton: {
+    background: 'none',
+    border: 'none',
+    color: '#4F46E5',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '600',
+  },
+  message: {
+    padding: '32px 16px',
+    textAlign: 'center',
+    color: '#6B7280',
+    fontSize: '14px',
+  },
+  list: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+  },
+  item: {
+    display: 'flex',
+    gap: '10px',
+    padding: '12px 16px',
+    borderBottom: '1px solid #F3F4F6',
+    cursor: 'pointer',
+  },
+  unreadItem: {
+    backgroundColor: '#EEF2FF',
+  },
+  icon: {
+    fontSize: '18px',
+  },
+  body: {
+    flex: 1,
+    minWidth: 0,
+  },
+  title: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#1F2937',
+  },
+  text: {
+    fontSize: '13px',
+    color: '#4B5563',
+    marginTop: '2px',
+  },
+  time: {
+    fontSize: '12px',
+    color: '#9CA3AF',
+    marginTop: '4px',
+  },
+  actions: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+  },
+  iconButton: {
+    background: 'none',
+    border: 'none',
+    cursor: 'pointer',
+    color: '#6B7280',
+    fontSize: '12px',
+  },
+};
+
+export default NotificationBell;
@@ -0,0 +1,371 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { accessTokenAPI } from '../../services/api';
+import Navbar from '../Layout/Navbar';
+
+const SCOPE_DESCRIPTIONS = {
+  'documents:read': 'List, view and download documents',
+  'documents:write': 'Create, edit, renew and delete documents',
+  'analytics:read': 'Read analytics and renewal cost forecasts',
+};
+
+const EXPIRY_OPTIONS = [
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: '1 year' },
+  { days: 0, label: 'No expiry' },
+];
+
+const EMPTY_TOKEN = { name: '', scopes: ['documents:read'], expiresInDays: 90 };
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Lets users create and revoke personal access tokens for scripts, which
+// send them as "Authorization: Bearer pat_..." instead of logging in
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState(Object.keys(SCOPE_DESCRIPTIONS));
+  const [newToken, setNewToken] = useState(EMPTY_TOKEN);
+  const [created, setCreated] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await accessTokenAPI.getAll();
+      setTokens(response.data.tokens);
+      setScopes(response.data.scopes);
+    } catch (error) {
+      toast.error('Error loading access tokens');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    const next = newToken.scopes.includes(scope)
+      ? newToken.scopes.filter((s) => s !== scope)
+      : [...newToken.scopes, scope];
+    setNewToken({ ...newToken, scopes: next });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const expiresAt = newToken.expiresInDays
+      ? new Date(Date.now() + newToken.expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : undefined;
+    try {
+      const response = await accessTokenAPI.create({ name: newToken.name, scopes: newToken.scopes, expiresAt });
+      setCreated({ name: response.data.accessToken.name, value: response.data.token });
+      setNewToken(EMPTY_TOKEN);
+      fetchTokens();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Error creating access token');
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (window.confirm(`Revoke "${token.name}"? Scripts using it will stop working immediately.`)) {
+      try {
+        await accessTokenAPI.revoke(token._id);
+        setTokens(tokens.filter((t) => t._id !== token._id));
+        toast.success('Access token revoked');
+      } catch (error) {
+        toast.error('Error revoking access token');
+      }
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(created.value);
+      toast.success('Token copied');
+    } catch (error) {
+      toast.error('Could not copy the token');
+    }
+  };
+
+  const isExpired = (token) => token.expiresAt && new Date(token.expiresAt) <= new Date();
+
+  return (
+    <div style={styles.container}>
+      <Navbar />
+      <div style={styles.content}>
+        <h2 style={styles.heading}>Personal Access Tokens</h2>
+        <p style={styles.intro}>
+          Tokens let scripts and integrations use the API as you, limited to the scopes you choose.
+          Send them in the <code>Authorization: Bearer</code> header.
+        </p>
+
+        {created && (
+          <div style={styles.secretBox}>
+            <div>
+              Token for <strong>{created.name}</strong>. Copy it now, it won't be shown again.
+            </div>
+            <div style={styles.row}>
+              <code style={styles.secret}>{created.value}</code>
+              <button onClick={copyToken} style={styles.secondaryButton}>Copy</button>
+              <button onClick={() => setCreated(null)} style={styles.secondaryButton}>Done</button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} style={styles.card}>
+          <div style={styles.row}>
+            <input
+              type="text"
+              placeholder="Name, e.g. Nightly export script"
+              value={newToken.name}
+              onChange={(e) => setNewToken({ ...newToken, name: e.target.value })}
+              required
+              style={{ ...styles.input, flex: 1 }}
+            />
+            <select
+              value={newToken.expiresInDays}
+              onChange={(e) => setNewToken({ ...newToken, expiresInDays: Number(e.target.value) })}
+              style={styles.input}
+              title="Expiry"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.days} value={option.days}>
+                  {option.days ? `Expires in ${option.label}` : option.label}
+                </option>
+              ))}
+            </select>
+            <button type="submit" disabled={newToken.scopes.length === 0} style={styles.primaryButton}>
+              + Create token
+            </button>
+          </div>
+          <div style={styles.scopes}>
+            {scopes.map((scope) => (
+              <label key={scope} style={styles.scopeLabel}>
+                <input
+                  type="checkbox"
+                  checked={newToken.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                <code>{scope}</code>
+                <span style={styles.hint}>{SCOPE_DESCRIPTIONS[scope]}</span>
+              </label>
+            ))}
+          </div>
+        </form>
+
+        <div style={styles.card}>
+          {loading ? (
+            <div style={styles.message}>Loading tokens...</div>
+          ) : tokens.length === 0 ? (
+            <div style={styles.message}>No access tokens yet</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Name</th>
+                  <th style={styles.th}>Scopes</th>
+                  <th style={styles.th}>Created</th>
+                  <th style={styles.th}>Expires</th>
+                  <th style={styles.th}>Last used</th>
+                  <th style={styles.th}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {tokens.map((token) => (
+                  <tr key={token._id}>
+                    <td style={styles.td}>
+                      <strong>{token.name}</strong>
+                      <div style={styles.hint}><code>{token.tokenHint}…</code></div>
+                    </td>
+                    <td style={styles.td}>
+                      {token.scopes.map((scope) => (
+                        <span key={scope} style={styles.scopeBadge}>{scope}</span>
+                      ))}
+                    </td>
+                    <td style={styles.td}>{formatDate(token.createdAt)}</td>
+                    <td style={styles.td}>
+                      {token.expiresAt ? (
+                        <span style={isExpired(token) ? styles.expired : {}}>
+                          {isExpired(token) ? 'Expired ' : ''}{formatDate(token.expiresAt)}
+                        </span>
+                      ) : 'Never'}
+                    </td>
+                    <td style={styles.td}>
+                      {token.lastUsedAt ? (
+                        <>
+                          {formatDate(token.lastUsedAt)}
+                          {token.lastUsedIp && <div style={styles.hint}>from {token.lastUsedIp}</div>}
+                        </>
+                      ) : 'Never used'}
+                    </td>
+                    <td style={styles.td}>
+                      <button onClick={() => handleRevoke(token)} style={styles.deleteButton} title="Revoke">
+                        🗑️
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f5f7fa',
+  },
+  content: {
+    maxWidth: '1100px',
+    margin: '0 auto',
+    padding: '30px 24px',
+  },
+  heading: {
+    fontSize: '24px',
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: '8px',
+  },
+  intro: {
+    fontSize: '14px',
+    color: '#6B7280',
+    marginBottom: '24px',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '16px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  row: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  input: {
+    padding: '10px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    fontSize: '14px',
+    outline: 'none',
+  },
+  primaryButton: {
+    backgroundColor: '#4F46E5',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  secondaryButton: {
+    padding: '8px 16px',
+    border: '2px solid #E5E7EB',
+    borderRadius: '8px',
+    backgroundColor: 'white',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '13px',
+  },
+  deleteButton: {
+    padding: '6px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '16px',
+    backgroundColor: '#FEE2E2',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+  secretBox: {
+    backgroundColor: '#FEF3C7',
+    border: '1px solid #FCD34D',
+    borderRadius: '12px',
+    padding: '16px 24px',
+    marginBottom: '16px',
+    fontSize: '14px',
+    color: '#92400E',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+  },
+  secret: {
+    flex: 1,
+    padding: '8px 12px',
+    backgroundColor: 'white',
+    borderRadius: '6px',
+    fontFamily: 'monospace',
+    wordBreak: 'break-all',
+  },
+  scopes: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginTop: '16px',
+  },
+  scopeLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '13px',
+    color: '#374151',
+  },
+  hint: {
+    fontSize: '12px',
+    color: '#6B7280',
+  },
+  scopeBadge: {
+    display: 'inline-block',
+    margin: '2px 4px 2px 0',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    backgroundColor: '#EEF2FF',
+    color: '#3730A3',
+  },
+  expired: {
+    color: '#991B1B',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '10px 12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#6B7280',
+    textTransform: 'uppercase',
+    borderBottom: '2px solid #E5E7EB',
+  },
+  td: {
+    padding: '12px',
+    fontSize: '14px',
+    color: '#1F2937',
+    borderBottom: '1px solid #F3F4F6',
+    verticalAlign: 'top',
+  },
+};
+
+export default AccessTokens;
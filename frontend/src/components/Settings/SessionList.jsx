@@ -0,0 +1,105 @@
+import React from 'react';
+
+const formatDate = (date) => {
+  return new Date(date).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+// Table of signed-in devices, shared by the user's own sessions page and the
+// admin view of another user's sessions
+const SessionList = ({ sessions, onRevoke }) => {
+  if (sessions.length === 0) {
+    return <div style={styles.message}>No active sessions</div>;
+  }
+
+  return (
+    <table style={styles.table}>
+      <thead>
+        <tr>
+          <th style={styles.th}>Device</th>
+          <th style={styles.th}>Signed in</th>
+          <th style={styles.th}>Last active</th>
+          <th style={styles.th}></th>
+        </tr>
+      </thead>
+      <tbody>
+        {sessions.map((session) => (
+          <tr key={session._id}>
+            <td style={styles.td}>
+              <strong>{session.device}</strong>
+              {session.current && <span style={styles.currentBadge}>This device</span>}
+              {session.ip && <div style={styles.hint}>{session.ip}</div>}
+            </td>
+            <td style={styles.td}>{formatDate(session.createdAt)}</td>
+            <td style={styles.td}>{formatDate(session.lastUsedAt)}</td>
+            <td style={styles.td}>
+              {!session.current && (
+                <button onClick={() => onRevoke(session)} style={styles.revokeButton}>
+                  Sign out
+                </button>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const styles = {
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '10px 12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    color: '#6B7280',
+    textTransform: 'uppercase',
+    borderBottom: '2px solid #E5E7EB',
+  },
+  td: {
+    padding: '12px',
+    fontSize: '14px',
+    color: '#1F2937',
+    borderBottom: '1px solid #F3F4F6',
+    verticalAlign: 'top',
+  },
+  hint: {
+    fontSize: '12px',
+    color: '#6B7280',
+  },
+  currentBadge: {
+    marginLeft: '8px',
+    padding: '2px 8px',
+    borderRadius: '12px',
+    fontSize: '11px',
+    fontWeight: '600',
+    backgroundColor: '#D1FAE5',
+    color: '#065F46',
+  },
+  revokeButton: {
+    padding: '6px 12px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '13px',
+    fontWeight: '600',
+    backgroundColor: '#FEE2E2',
+    color: '#991B1B',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+};
+
+export default SessionList;
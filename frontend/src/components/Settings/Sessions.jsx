@@ -0,0 +1,133 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { sessionAPI } from '../../services/api';
+import Navbar from '../Layout/Navbar';
+import SessionList from './SessionList';
+
+// The devices the current user is signed in on, with sign-out for each one
+// and for all of them at once
+const Sessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await sessionAPI.getAll();
+      setSessions(response.data.sessions);
+    } catch (error) {
+      toast.error('Error loading sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (window.confirm(`Sign out ${session.device}?`)) {
+      try {
+        await sessionAPI.revoke(session._id);
+        setSessions(sessions.filter((s) => s._id !== session._id));
+        toast.success('Session signed out');
+      } catch (error) {
+        toast.error('Error signing out session');
+      }
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (window.confirm('Sign out of every device, including this one?')) {
+      try {
+        await sessionAPI.revokeAll();
+        localStorage.removeItem('token');
+        localStorage.removeItem('user');
+        window.location.href = '/login';
+      } catch (error) {
+        toast.error('Error signing out everywhere');
+      }
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <Navbar />
+      <div style={styles.content}>
+        <div style={styles.header}>
+          <div>
+            <h2 style={styles.heading}>Sessions</h2>
+            <p style={styles.intro}>
+              Devices signed in to your account. Signing one out takes effect straight away.
+            </p>
+          </div>
+          <button onClick={handleRevokeAll} disabled={loading} style={styles.dangerButton}>
+            Sign out everywhere
+          </button>
+        </div>
+
+        <div style={styles.card}>
+          {loading ? (
+            <div style={styles.message}>Loading sessions...</div>
+          ) : (
+            <SessionList sessions={sessions} onRevoke={handleRevoke} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    minHeight: '100vh',
+    backgroundColor: '#f5f7fa',
+  },
+  content: {
+    maxWidth: '1100px',
+    margin: '0 auto',
+    padding: '30px 24px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    flexWrap: 'wrap',
+    gap: '16px',
+  },
+  heading: {
+    fontSize: '24px',
+    fontWeight: 'bold',
+    color: '#1F2937',
+    marginBottom: '8px',
+  },
+  intro: {
+    fontSize: '14px',
+    color: '#6B7280',
+    marginBottom: '24px',
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: '12px',
+    padding: '24px',
+    marginBottom: '16px',
+    boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+  },
+  dangerButton: {
+    backgroundColor: '#DC2626',
+    color: 'white',
+    border: 'none',
+    padding: '10px 20px',
+    borderRadius: '8px',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '14px',
+  },
+  message: {
+    textAlign: 'center',
+    padding: '40px',
+    color: '#6B7280',
+  },
+};
+
+export default Sessions;
@@ -7,6 +7,8 @@ const api = axios.create({
   headers: {
     'Content-Type': 'application/json',
   },
+  // Sends the httpOnly refresh cookie to /sessions
+  withCredentials: true,
 });
 
 // Request interceptor to add token
@@ -23,16 +25,60 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+// A 401 from these means wrong credentials, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/sessions/refresh', '/sessions/logout'];
+
+let refreshing = null;
+
+// Swap the refresh cookie for a new access token. Requests that fail while a
+// refresh is running share it rather than each starting their own.
+export const refreshAccessToken = () => {
+  if (!refreshing) {
+    refreshing = api.post('/sessions/refresh')
+      .then((response) => {
+        localStorage.setItem('token', response.data.token);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+const signOut = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
+};
+
+// Response interceptor: on a 401, refresh the access token and retry the
+// request once. Only when the session itself has ended (signed out
+// elsewhere or revoked) does the user go back to the login page.
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response && error.response.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+    if (!response || response.status !== 401 || !config || NO_REFRESH_URLS.includes(config.url)) {
+      return Promise.reject(error);
+    }
+    if (config.retriedAfterRefresh) {
+      signOut();
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshAccessToken();
+      config.retriedAfterRefresh = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      signOut();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -48,16 +94,93 @@ export const authAPI = {
 export const documentAPI = {
   getAll: (params) => api.get('/documents', { params }),
   getById: (id) => api.get(`/documents/${id}`),
+  export: (params) => api.get('/documents/export', {
+    params,
+    responseType: 'blob',
+  }),
   create: (formData) => api.post('/documents', formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
   update: (id, formData) => api.put(`/documents/${id}`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
+  analyze: (formData) => api.post('/documents/analyze', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  import: (formData, dryRun) => api.post('/documents/import', formData, {
+    params: { dryRun },
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  renew: (id, formData) => api.post(`/documents/${id}/renew`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
   delete: (id) => api.delete(`/documents/${id}`),
+  bulk: (data) => api.post('/documents/bulk', data),
+  bulkDownload: (data) => api.post('/documents/bulk/download', data, {
+    responseType: 'blob',
+  }),
   download: (id) => api.get(`/documents/download/${id}`, {
     responseType: 'blob',
   }),
+  getDownloadUrl: (id) => api.get(`/documents/${id}/download-url`),
+  getViewUrl: (id) => api.get(`/documents/${id}/view-url`),
+  getShares: (id) => api.get(`/documents/${id}/shares`),
+  share: (id, data) => api.post(`/documents/${id}/shares`, data),
+  removeShare: (id, shareId) => api.delete(`/documents/${id}/shares/${shareId}`),
+  getVersions: (id) => api.get(`/documents/${id}/versions`),
+  downloadVersion: (id, version) => api.get(`/documents/${id}/versions/${version}/download`, {
+    responseType: 'blob',
+  }),
+  restoreVersion: (id, version) => api.post(`/documents/${id}/versions/${version}/restore`),
+  getActivity: (id) => api.get(`/documents/${id}/activity`),
+};
+
+// Trash APIs
+export const trashAPI = {
+  getAll: () => api.get('/trash'),
+  restore: (id) => api.post(`/trash/${id}/restore`),
+  setLegalHold: (id, data) => api.put(`/trash/${id}/legal-hold`, data),
+  delete: (id) => api.delete(`/trash/${id}`),
+  empty: () => api.delete('/trash'),
+};
+
+// Document type APIs
+export const documentTypeAPI = {
+  getAll: (params) => api.get('/document-types', { params }),
+  create: (data) => api.post('/document-types', data),
+  update: (id, data) => api.put(`/document-types/${id}`, data),
+  delete: (id) => api.delete(`/document-types/${id}`),
+};
+
+// Team APIs
+export const teamAPI = {
+  getAll: (params) => api.get('/teams', { params }),
+  create: (data) => api.post('/teams', data),
+  update: (id, data) => api.put(`/teams/${id}`, data),
+  delete: (id) => api.delete(`/teams/${id}`),
+  addMember: (id, data) => api.post(`/teams/${id}/members`, data),
+  removeMember: (id, userId) => api.delete(`/teams/${id}/members/${userId}`),
+};
+
+// Audit log APIs
+export const auditAPI = {
+  getAll: (params) => api.get('/audit', { params }),
+  getActions: () => api.get('/audit/actions'),
+  export: (params) => api.get('/audit/export', {
+    params,
+    responseType: 'blob',
+  }),
+};
+
+// Webhook APIs (admin)
+export const webhookAPI = {
+  getAll: () => api.get('/webhooks'),
+  create: (data) => api.post('/webhooks', data),
+  update: (id, data) => api.put(`/webhooks/${id}`, data),
+  rotateSecret: (id) => api.post(`/webhooks/${id}/secret`),
+  delete: (id) => api.delete(`/webhooks/${id}`),
+  getDeliveries: (params) => api.get('/webhooks/deliveries', { params }),
+  replay: (id) => api.post(`/webhooks/deliveries/${id}/replay`),
 };
 
 // Analytics APIs
@@ -67,4 +190,58 @@ export const analyticsAPI = {
   getStats: () => api.get('/analytics/stats'),
 };
 
+// Personal access token APIs
+export const accessTokenAPI = {
+  getAll: () => api.get('/access-tokens'),
+  create: (data) => api.post('/access-tokens', data),
+  revoke: (id) => api.delete(`/access-tokens/${id}`),
+};
+
+// Cost APIs
+export const costAPI = {
+  getForecast: (params) => api.get('/costs/forecast', { params }),
+};
+
+// Reminder APIs
+export const reminderAPI = {
+  getPreferences: () => api.get('/reminders/preferences'),
+  updatePreferences: (data) => api.put('/reminders/preferences', data),
+  getHistory: () => api.get('/reminders/history'),
+};
+
+// Calendar feed APIs
+export const calendarAPI = {
+  getFeed: () => api.get('/calendar/feed'),
+  createFeed: () => api.post('/calendar/feed'),
+  revokeFeed: () => api.delete('/calendar/feed'),
+  getExpirations: (params) => api.get('/calendar/expirations', { params }),
+};
+
+// Saved document list views
+export const savedViewAPI = {
+  getAll: () => api.get('/saved-views'),
+  create: (data) => api.post('/saved-views', data),
+  update: (id, data) => api.put(`/saved-views/${id}`, data),
+  delete: (id) => api.delete(`/saved-views/${id}`),
+};
+
+// Signed-in devices; logout ends this device's session only
+export const sessionAPI = {
+  getAll: () => api.get('/sessions'),
+  revoke: (id) => api.delete(`/sessions/${id}`),
+  revokeAll: () => api.delete('/sessions'),
+  logout: () => api.post('/sessions/logout'),
+  getForUser: (userId) => api.get(`/sessions/users/${userId}`),
+  revokeForUser: (userId) => api.delete(`/sessions/users/${userId}`),
+  revokeOneForUser: (userId, id) => api.delete(`/sessions/users/${userId}/${id}`),
+};
+
+// Notification APIs
+export const notificationAPI = {
+  getAll: (params) => api.get('/notifications', { params }),
+  markRead: (id, read = true) => api.put(`/notifications/${id}/read`, { read }),
+  markAllRead: () => api.put('/notifications/read-all'),
+  dismiss: (id) => api.delete(`/notifications/${id}`),
+};
+
 export default api;
\ No newline at end of file
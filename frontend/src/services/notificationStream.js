@@ -0,0 +1,93 @@
+import api, { refreshAccessToken } from './api';
+
+// One shared Server-Sent Events connection to /notifications/stream for the
+// whole app. EventSource can't send the Authorization header, so the stream
+// is read with fetch instead.
+
+const RECONNECT_DELAY = 5000;
+
+const listeners = new Set();
+let controller = null;
+let reconnectTimer = null;
+
+const dispatch = (message) => {
+  let event = 'message';
+  const data = [];
+  message.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  });
+  if (!data.length) return;
+
+  const payload = JSON.parse(data.join('\n'));
+  listeners.forEach((listener) => listener(event, payload));
+};
+
+const scheduleReconnect = () => {
+  if (listeners.size && !reconnectTimer) {
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, RECONNECT_DELAY);
+  }
+};
+
+const connect = async () => {
+  const token = localStorage.getItem('token');
+  if (!token) return;
+
+  const current = new AbortController();
+  controller = current;
+  try {
+    const response = await fetch(`${api.defaults.baseURL}/notifications/stream`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: 'text/event-stream',
+      },
+      signal: current.signal,
+    });
+    // Access token expired: refresh it and reconnect. If the session has
+    // ended, the next API call's 401 handler takes the user to login.
+    if (response.status === 401) {
+      controller = null;
+      try {
+        await refreshAccessToken();
+      } catch (error) {
+        return;
+      }
+      if (listeners.size && !controller) connect();
+      return;
+    }
+    if (!response.ok) throw new Error(`Stream responded with ${response.status}`);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+      messages.forEach(dispatch);
+    }
+  } catch (error) {
+    if (current.signal.aborted) return;
+  }
+  if (controller === current) scheduleReconnect();
+};
+
+// Call listener(event, data) for each live event; returns an unsubscribe function
+export const subscribeNotifications = (listener) => {
+  listeners.add(listener);
+  if (!controller) connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (!listeners.size) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (controller) controller.abort();
+      controller = null;
+    }
+  };
+};
@@ -0,0 +1,51 @@
+// Document list filters <-> URL query string, so a filtered, sorted list can
+// be bookmarked or shared. Custom field filters are stored as cf.<key>=value.
+
+export const FILTER_KEYS = [
+  'search',
+  'status',
+  'documentType',
+  'expiryFrom',
+  'expiryTo',
+  'expiresWithin',
+  'issueFrom',
+  'issueTo',
+  'issuer',
+  'owner',
+  'department',
+  'hasAttachment',
+];
+
+// Filters that live behind "More filters"
+export const ADVANCED_FILTER_KEYS = FILTER_KEYS.slice(3);
+
+export const emptyFilters = () => ({
+  ...Object.fromEntries(FILTER_KEYS.map((key) => [key, ''])),
+  customFields: {},
+});
+
+export const filtersFromParams = (params) => {
+  const filters = emptyFilters();
+  FILTER_KEYS.forEach((key) => {
+    filters[key] = params.get(key) || '';
+  });
+  params.forEach((value, key) => {
+    if (key.startsWith('cf.')) filters.customFields[key.slice(3)] = value;
+  });
+  return filters;
+};
+
+// extra: other list state kept in the URL (sortBy, page)
+export const filtersToParams = (filters, extra = {}) => {
+  const params = new URLSearchParams();
+  FILTER_KEYS.forEach((key) => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  Object.entries(filters.customFields || {}).forEach(([key, value]) => {
+    if (value) params.set(`cf.${key}`, value);
+  });
+  Object.entries(extra).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params;
+};
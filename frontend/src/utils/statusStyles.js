@@ -0,0 +1,9 @@
+// Badge colours for each document status, shared by the list and the calendar
+export const STATUS_STYLES = {
+  Active: { backgroundColor: '#D1FAE5', color: '#065F46' },
+  'Expiring Soon': { backgroundColor: '#FEF3C7', color: '#92400E' },
+  Expired: { backgroundColor: '#FEE2E2', color: '#991B1B' },
+  Renewed: { backgroundColor: '#DBEAFE', color: '#1E40AF' },
+};
+
+export const getStatusStyle = (status) => STATUS_STYLES[status] || {};